@@ -0,0 +1,123 @@
+const { SdkError, decodeRevert } = require("../sdk");
+
+/**
+ * @typedef {Object} MembershipBackend
+ * @property {"chain"|"index"} source
+ * @property {function(Object, { offset: number, limit: number }): Promise<Object[]>} getMemberships
+ * @property {function(bigint): Promise<Object|null>} getMembership
+ * @property {function({ holder?: string, tokenIds?: bigint[] }): Promise<Object[]>} getErc1155Balances
+ * @property {function(): Promise<Object>} health
+ */
+
+/**
+ * Answers from the contracts directly. Listing memberships scans them page by page, and ERC1155
+ * balances can only be looked up for a given holder and token ids since the contract cannot enumerate them.
+ * @param {Object} contracts
+ * @param {import("../sdk").MembershipClient} [contracts.memberships]
+ * @param {import("ethers").Contract} [contracts.erc1155] A SimpleERC1155 contract
+ * @returns {MembershipBackend}
+ */
+function createChainBackend({ memberships, erc1155 }) {
+    return {
+        source: "chain",
+
+        async getMemberships(filter, { offset, limit }) {
+            requireContract(memberships, "RevokableMembershipNFT");
+            const page = [];
+            let skipped = 0;
+            for await (const membership of memberships.iterateMemberships(filter)) {
+                if (skipped++ < offset) {
+                    continue;
+                }
+                page.push(membership);
+                if (page.length === limit) {
+                    break;
+                }
+            }
+            return page;
+        },
+
+        async getMembership(tokenId) {
+            requireContract(memberships, "RevokableMembershipNFT");
+            return memberships.viewMembership(tokenId);
+        },
+
+        async getErc1155Balances({ holder, tokenIds }) {
+            requireContract(erc1155, "SimpleERC1155");
+            if (!holder || !tokenIds) {
+                throw new SdkError("holder and tokenId are required when reading balances from the chain", "INVALID_ARGUMENT");
+            }
+            const balances = [];
+            try {
+                for (const tokenId of tokenIds) {
+                    const balance = await erc1155.balanceOf(holder, tokenId);
+                    if (balance === 0n) {
+                        continue;
+                    }
+                    const metadata = await erc1155.getMetadata(tokenId);
+                    balances.push({
+                        contract: erc1155.target,
+                        tokenId,
+                        holder,
+                        balance,
+                        expiration: metadata.expiration === 0n ? null : new Date(Number(metadata.expiration) * 1000),
+                        transferable: metadata.transferable,
+                        uri: await erc1155.uri(tokenId),
+                    });
+                }
+            } catch (error) {
+                throw decodeRevert(error, erc1155.interface);
+            }
+            return balances;
+        },
+
+        async health() {
+            const provider = memberships?.contract.runner.provider ?? erc1155?.runner.provider;
+            return { blockNumber: provider ? await provider.getBlockNumber() : null };
+        },
+    };
+}
+
+/**
+ * Answers from a database kept up to date by MembershipIndexer (see `userbank index --follow`).
+ * @param {import("../sdk/indexStore")} store
+ * @returns {MembershipBackend}
+ */
+function createIndexBackend(store) {
+    const contracts = store.getContracts();
+
+    return {
+        source: "index",
+
+        async getMemberships(filter, { offset, limit }) {
+            requireContract(contracts.RevokableMembershipNFT, "RevokableMembershipNFT");
+            return store.getMemberships({ ...filter, contract: contracts.RevokableMembershipNFT, offset, limit });
+        },
+
+        async getMembership(tokenId) {
+            requireContract(contracts.RevokableMembershipNFT, "RevokableMembershipNFT");
+            return store.getMembership(contracts.RevokableMembershipNFT, tokenId);
+        },
+
+        async getErc1155Balances({ holder, tokenIds }) {
+            requireContract(contracts.SimpleERC1155, "SimpleERC1155");
+            const balances = store.getErc1155Balances({ contract: contracts.SimpleERC1155, holder });
+            return tokenIds ? balances.filter(({ tokenId }) => tokenIds.includes(tokenId)) : balances;
+        },
+
+        async health() {
+            return { lastIndexedBlock: store.getLastBlock() };
+        },
+    };
+}
+
+function requireContract(contract, contractName) {
+    if (!contract) {
+        throw new SdkError(`${contractName} is not configured on this server`, "NOT_CONFIGURED");
+    }
+}
+
+module.exports = {
+    createChainBackend,
+    createIndexBackend,
+};
@@ -0,0 +1,8 @@
+const { createApiServer } = require("./server");
+const { createChainBackend, createIndexBackend } = require("./backends");
+
+module.exports = {
+    createApiServer,
+    createChainBackend,
+    createIndexBackend,
+};
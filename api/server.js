@@ -0,0 +1,161 @@
+const http = require("http");
+const { SdkError } = require("../sdk");
+const { toChecksumAddress } = require("../sdk/utils");
+
+const MAX_LIMIT = 1000;
+
+// SdkError codes -> HTTP status; anything else is a 500
+const STATUS_BY_CODE = {
+    INVALID_ARGUMENT: 400,
+    INVALID_ADDRESS: 400,
+    NOT_FOUND: 404,
+    NOT_CONFIGURED: 503,
+};
+
+function toBody(value) {
+    return JSON.stringify(value, (key, val) => (typeof val === "bigint" ? val.toString() : val));
+}
+
+function integerParam(params, name, fallback) {
+    const value = params.get(name);
+    if (value === null) {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new SdkError(`${name} must be a non-negative integer, got ${value}`, "INVALID_ARGUMENT");
+    }
+    return BigInt(value);
+}
+
+function pathParam(value, name) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new SdkError(`${name} is not a valid URL path segment: ${value}`, "INVALID_ARGUMENT", { cause: error });
+    }
+}
+
+function addressParam(value, name) {
+    return value === null || value === undefined ? undefined : toChecksumAddress(value, name);
+}
+
+/**
+ * Read-only routes. Each handler gets the regex match and the query string and returns the response body.
+ */
+function createRoutes({ backend, userBank }) {
+    return [
+        [/^\/health$/, async () => ({ status: "ok", source: backend.source, ...(await backend.health()) })],
+
+        [/^\/memberships$/, async (match, params) => {
+            const offset = Number(integerParam(params, "offset", 0n));
+            const limit = Number(integerParam(params, "limit", 100n));
+            if (limit === 0 || limit > MAX_LIMIT) {
+                throw new SdkError(`limit must be between 1 and ${MAX_LIMIT}`, "INVALID_ARGUMENT");
+            }
+            const filter = {
+                projectId: integerParam(params, "projectId"),
+                membershipType: params.get("type") ?? undefined,
+                holder: addressParam(params.get("holder"), "holder"),
+                status: params.get("status") ?? "any",
+            };
+            return { offset, limit, memberships: await backend.getMemberships(filter, { offset, limit }) };
+        }],
+
+        [/^\/memberships\/(\d+)$/, async ([, tokenId]) => {
+            const membership = await backend.getMembership(BigInt(tokenId));
+            if (!membership) {
+                throw new SdkError(`Membership ${tokenId} does not exist`, "NOT_FOUND");
+            }
+            return membership;
+        }],
+
+        [/^\/erc1155\/balances$/, async (match, params) => {
+            const tokenIds = params.getAll("tokenId").map((value) => {
+                if (!/^\d+$/.test(value)) {
+                    throw new SdkError(`tokenId must be a non-negative integer, got ${value}`, "INVALID_ARGUMENT");
+                }
+                return BigInt(value);
+            });
+            const holder = addressParam(params.get("holder"), "holder");
+            return { balances: await backend.getErc1155Balances({ holder, tokenIds: tokenIds.length > 0 ? tokenIds : undefined }) };
+        }],
+
+        [/^\/userbank\/addresses\/([^/]+)$/, async ([, address]) => {
+            requireUserBank(userBank);
+            const checksummed = toChecksumAddress(pathParam(address, "address"));
+            const guid = await userBank.getProjectGuid(checksummed);
+            if (guid === null) {
+                throw new SdkError(`No project GUID is mapped to ${checksummed}`, "NOT_FOUND");
+            }
+            return { address: checksummed, guid };
+        }],
+
+        [/^\/userbank\/guids\/([^/]+)\/addresses$/, async ([, guid]) => {
+            requireUserBank(userBank);
+            const decoded = pathParam(guid, "guid");
+            return { guid: decoded, addresses: await userBank.getAddressesForGuid(decoded) };
+        }],
+    ];
+}
+
+function requireUserBank(userBank) {
+    if (!userBank) {
+        throw new SdkError("UserBank is not configured on this server", "NOT_CONFIGURED");
+    }
+}
+
+/**
+ * Creates the read-only HTTP API. Call `listen(port)` on the result to start it.
+ *
+ *   GET /health
+ *   GET /memberships?holder=&projectId=&type=&status=&offset=&limit=
+ *   GET /memberships/:tokenId
+ *   GET /erc1155/balances?holder=&tokenId=&tokenId=
+ *   GET /userbank/addresses/:address
+ *   GET /userbank/guids/:guid/addresses
+ *
+ * Responses are JSON with bigints as decimal strings and dates as ISO-8601 strings. Errors are
+ * `{ error: { code, message } }`, the same shape the CLI prints.
+ * @param {Object} options
+ * @param {import("./backends").MembershipBackend} options.backend Memberships and ERC1155 balances, from the chain or an index
+ * @param {import("../sdk").UserBankClient} [options.userBank] UserBank lookups always go to the chain
+ * @param {string|null} [options.corsOrigin] Value of Access-Control-Allow-Origin; null to omit it
+ * @returns {http.Server}
+ */
+function createApiServer({ backend, userBank = null, corsOrigin = "*" }) {
+    const routes = createRoutes({ backend, userBank });
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, {
+                "Content-Type": "application/json",
+                ...(corsOrigin ? { "Access-Control-Allow-Origin": corsOrigin } : {}),
+            });
+            res.end(toBody(body));
+        };
+
+        const url = new URL(req.url, "http://localhost");
+        const route = routes.find(([pattern]) => pattern.test(url.pathname));
+        if (!route) {
+            send(404, { error: { code: "NOT_FOUND", message: `No route for ${url.pathname}` } });
+            return;
+        }
+        if (req.method !== "GET") {
+            send(405, { error: { code: "METHOD_NOT_ALLOWED", message: "This API is read-only" } });
+            return;
+        }
+        try {
+            send(200, await route[1](url.pathname.match(route[0]), url.searchParams));
+        } catch (error) {
+            const status = STATUS_BY_CODE[error.code] ?? 500;
+            send(status, { error: { code: status === 500 ? "INTERNAL_ERROR" : error.code, message: status === 500 ? "Internal error" : error.message } });
+            if (status === 500) {
+                console.error(error);
+            }
+        }
+    });
+}
+
+module.exports = {
+    createApiServer,
+};
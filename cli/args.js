@@ -0,0 +1,76 @@
+const { parseArgs } = require("util");
+const { SdkError } = require("../sdk");
+const { parseExpiration, toChecksumAddress } = require("../sdk/utils");
+
+/**
+ * Parses the arguments of a subcommand. Unknown flags are rejected unless `strict` is false.
+ * @param {string[]} argv
+ * @param {Object} options `util.parseArgs` option specs
+ * @param {{ strict?: boolean }} [config]
+ * @returns {{ values: Object, positionals: string[] }}
+ */
+function parse(argv, options, { strict = true } = {}) {
+    try {
+        return parseArgs({ args: argv, options, allowPositionals: true, strict });
+    } catch (error) {
+        throw new SdkError(error.message, "INVALID_ARGUMENT", { cause: error });
+    }
+}
+
+function required(values, name) {
+    if (values[name] === undefined) {
+        throw new SdkError(`Missing required option --${name}`, "INVALID_ARGUMENT");
+    }
+    return values[name];
+}
+
+function address(values, name) {
+    return toChecksumAddress(required(values, name), `--${name}`);
+}
+
+function optionalAddress(values, name) {
+    return values[name] === undefined ? undefined : toChecksumAddress(values[name], `--${name}`);
+}
+
+/**
+ * Parses a non-negative integer option into a bigint.
+ */
+function bigint(values, name, fallback) {
+    const value = values[name] ?? fallback;
+    if (value === undefined) {
+        return required(values, name);
+    }
+    if (!/^\d+$/.test(String(value))) {
+        throw new SdkError(`--${name} must be a non-negative integer, got ${value}`, "INVALID_ARGUMENT");
+    }
+    return BigInt(value);
+}
+
+/**
+ * Parses a positive integer option, such as a batch or chunk size, into a number.
+ */
+function positiveInteger(values, name, fallback) {
+    const value = bigint(values, name, fallback);
+    if (value === 0n || value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new SdkError(`--${name} must be a positive integer, got ${value}`, "INVALID_ARGUMENT");
+    }
+    return Number(value);
+}
+
+/**
+ * Parses an expiration given as unix seconds, an ISO-8601 date or "never".
+ * @returns {bigint} Unix seconds, 0 meaning no expiration
+ */
+function expiration(values, name = "expiration") {
+    return parseExpiration(values[name], `--${name}`);
+}
+
+module.exports = {
+    parse,
+    required,
+    address,
+    optionalAddress,
+    bigint,
+    positiveInteger,
+    expiration,
+};
@@ -0,0 +1,37 @@
+const args = require("../args");
+const { getDeployedContract } = require("../../scripts/utils/deployments");
+const { getSender } = require("../../scripts/utils/sender");
+const { loadRecipientsFile, airdropErc1155 } = require("../../sdk");
+
+module.exports = {
+    usage: "airdrop-erc1155 --file <csv|json> --id <id> [--expiration <unix|ISO date|never>] [--transferable] [--data 0x] [--chunk-size 200] [--start-at 0] [--contract <address>]",
+    description: "Mint one SimpleERC1155 id to every address,amount row of a recipients file (--start-at resumes a stopped airdrop)",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            id: { type: "string" },
+            expiration: { type: "string" },
+            transferable: { type: "boolean", default: false },
+            data: { type: "string", default: "0x" },
+            "chunk-size": { type: "string", default: "200" },
+            "start-at": { type: "string", default: "0" },
+            contract: { type: "string" },
+        });
+        const chunkSize = args.positiveInteger(values, "chunk-size");
+        const recipients = loadRecipientsFile(args.required(values, "file"));
+        const id = args.bigint(values, "id");
+
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getDeployedContract("SimpleERC1155", { address: args.optionalAddress(values, "contract") });
+        const result = await airdropErc1155(token, getSender(signer), recipients, {
+            id,
+            expiration: args.expiration(values),
+            transferable: values.transferable,
+            data: values.data,
+            chunkSize,
+            startAt: Number(args.bigint(values, "start-at")),
+        });
+        return { contract: await token.getAddress(), id, ...result };
+    },
+};
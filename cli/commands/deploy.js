@@ -0,0 +1,61 @@
+const { parse } = require("../args");
+const { saveDeployment } = require("../../scripts/utils/deployments");
+const { SdkError } = require("../../sdk");
+
+const DEPLOYERS = {
+    userbank: {
+        contractName: "UserBank",
+        async deploy(hre) {
+            const UserBank = await hre.ethers.getContractFactory("UserBank");
+            return hre.upgrades.deployProxy(UserBank, [], { initializer: "initialize", kind: "uups" });
+        },
+    },
+    erc20: {
+        contractName: "SimpleERC20",
+        async deploy(hre, values) {
+            return hre.ethers.deployContract("SimpleERC20", [values.name ?? "FreeqERC20", values.symbol ?? "FERC20"]);
+        },
+    },
+    erc1155: {
+        contractName: "SimpleERC1155",
+        async deploy(hre, values) {
+            return hre.ethers.deployContract("SimpleERC1155", [values.uri ?? "https://example.com/api/{id}.json"]);
+        },
+    },
+    nft: {
+        contractName: "BasicNFT",
+        async deploy(hre, values) {
+            return hre.ethers.deployContract("BasicNFT", [values.name ?? "BasicNFT", values.symbol ?? "BNFT", values.uri ?? "https://example.com/metadata/"]);
+        },
+    },
+    membership: {
+        contractName: "RevokableMembershipNFT",
+        async deploy(hre, values) {
+            return hre.ethers.deployContract("RevokableMembershipNFT", [values.name ?? "RevocableNFT", values.symbol ?? "RNFT"]);
+        },
+    },
+};
+
+module.exports = {
+    usage: `deploy <${Object.keys(DEPLOYERS).join("|")}> [--name <name>] [--symbol <symbol>] [--uri <uri>]`,
+    description: "Deploy a contract and record it in deployments/<chainId>.json",
+
+    async run(hre, argv) {
+        const { values, positionals } = parse(argv, {
+            name: { type: "string" },
+            symbol: { type: "string" },
+            uri: { type: "string" },
+        });
+        if (!Object.hasOwn(DEPLOYERS, positionals[0] ?? "")) {
+            throw new SdkError(`deploy expects one of ${Object.keys(DEPLOYERS).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        const deployer = DEPLOYERS[positionals[0]];
+
+        const contract = await deployer.deploy(hre, values);
+        await contract.waitForDeployment();
+        const proxy = deployer.contractName === "UserBank";
+        const { record, file } = await saveDeployment(deployer.contractName, contract, { proxy });
+
+        return { contract: deployer.contractName, ...record, registry: file };
+    },
+};
@@ -0,0 +1,65 @@
+const args = require("../args");
+const { toJson } = require("../output");
+const { MembershipIndexer, SdkError, getDeployment } = require("../../sdk");
+
+// Option name -> contract name, for contracts whose address is passed explicitly
+const CONTRACT_OPTIONS = {
+    membership: "RevokableMembershipNFT",
+    erc1155: "SimpleERC1155",
+    nft: "BasicNFT",
+};
+
+module.exports = {
+    usage: "index [--db index-<chainId>.db] [--membership <address>] [--erc1155 <address>] [--nft <address>] [--from-block <n>] [--confirmations 0] [--follow [--interval 5000]]",
+    description: "Index membership, ERC1155 and NFT events into a local SQLite file (contracts default to deployments/<chainId>.json)",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            db: { type: "string" },
+            membership: { type: "string" },
+            erc1155: { type: "string" },
+            nft: { type: "string" },
+            "from-block": { type: "string" },
+            confirmations: { type: "string", default: "0" },
+            follow: { type: "boolean", default: false },
+            interval: { type: "string", default: "5000" },
+        });
+        const { chainId } = await hre.ethers.provider.getNetwork();
+
+        const contracts = {};
+        const deploymentBlocks = [];
+        for (const [option, contractName] of Object.entries(CONTRACT_OPTIONS)) {
+            const deployment = getDeployment(chainId, contractName);
+            const address = args.optionalAddress(values, option) ?? deployment?.address;
+            if (address) {
+                contracts[contractName] = address;
+                deploymentBlocks.push(deployment?.address === address ? deployment.blockNumber ?? 0 : 0);
+            }
+        }
+        if (Object.keys(contracts).length === 0) {
+            throw new SdkError(`No contracts to index on chainId ${chainId}; pass --membership, --erc1155 or --nft`, "INVALID_ARGUMENT");
+        }
+
+        const indexer = new MembershipIndexer(hre.ethers.provider, {
+            database: values.db ?? `index-${chainId}.db`,
+            contracts,
+            fromBlock: Number(args.bigint(values, "from-block", String(Math.min(...deploymentBlocks)))),
+            confirmations: Number(args.bigint(values, "confirmations")),
+        });
+        try {
+            if (!values.follow) {
+                return { contracts, ...(await indexer.sync()) };
+            }
+            const controller = new AbortController();
+            process.once("SIGINT", () => controller.abort());
+            await indexer.follow({
+                intervalMs: Number(args.bigint(values, "interval")),
+                signal: controller.signal,
+                onSync: (result) => console.error(toJson(result)),
+            });
+            return { contracts, stopped: true };
+        } finally {
+            indexer.close();
+        }
+    },
+};
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const args = require("../args");
+const { getSender } = require("../../scripts/utils/sender");
+const { summarizeReceipt, toJson } = require("../output");
+const { MembershipClient, SdkError, loadProvisioningFile, provisionMemberships, extendMemberships } = require("../../sdk");
+
+const SECONDS_PER_DAY = 24n * 60n * 60n;
+
+function readVoucherFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new SdkError(`Cannot read voucher file ${file}: ${error.message}`, "INVALID_ARGUMENT", { cause: error });
+    }
+}
+
+const SUBCOMMANDS = {
+    async mint(memberships, argv) {
+        const { values } = args.parse(argv, {
+            to: { type: "string" },
+            type: { type: "string" },
+            project: { type: "string", default: "0" },
+            expiration: { type: "string" },
+            transferable: { type: "boolean", default: false },
+            contract: { type: "string" },
+        });
+        const { hash, ...membership } = await memberships.mint({
+            projectId: args.bigint(values, "project"),
+            to: args.address(values, "to"),
+            membershipType: args.required(values, "type"),
+            expiration: args.expiration(values),
+            transferable: values.transferable,
+        });
+        return { ...membership, transactionHash: hash };
+    },
+
+    async voucher(memberships, argv) {
+        const { values } = args.parse(argv, {
+            to: { type: "string" },
+            type: { type: "string" },
+            project: { type: "string", default: "0" },
+            expiration: { type: "string" },
+            transferable: { type: "boolean", default: false },
+            nonce: { type: "string" },
+            deadline: { type: "string" },
+            out: { type: "string" },
+            contract: { type: "string" },
+        });
+        const signed = await memberships.signVoucher({
+            projectId: args.bigint(values, "project"),
+            to: args.address(values, "to"),
+            membershipType: args.required(values, "type"),
+            expiration: args.expiration(values),
+            transferable: values.transferable,
+            nonce: values.nonce === undefined ? undefined : args.bigint(values, "nonce"),
+            deadline: values.deadline === undefined ? undefined : args.expiration(values, "deadline"),
+        });
+        if (values.out) {
+            fs.writeFileSync(values.out, `${toJson(signed)}\n`);
+        }
+        return signed;
+    },
+
+    async "verify-voucher"(memberships, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            contract: { type: "string" },
+        });
+        return memberships.verifyVoucher(readVoucherFile(args.required(values, "file")));
+    },
+
+    async redeem(memberships, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            contract: { type: "string" },
+        });
+        const { hash, ...membership } = await memberships.redeemVoucher(readVoucherFile(args.required(values, "file")));
+        return { ...membership, transactionHash: hash };
+    },
+
+    async revoke(memberships, argv) {
+        const { values } = args.parse(argv, {
+            "token-id": { type: "string" },
+            hard: { type: "boolean", default: false },
+            contract: { type: "string" },
+        });
+        const tokenId = args.bigint(values, "token-id");
+        const receipt = await memberships.revoke(tokenId, { hard: values.hard });
+        return { tokenId, hard: values.hard, ...summarizeReceipt(receipt) };
+    },
+
+    async reinstate(memberships, argv) {
+        const { values } = args.parse(argv, {
+            "token-id": { type: "string" },
+            contract: { type: "string" },
+        });
+        const tokenId = args.bigint(values, "token-id");
+        const receipt = await memberships.reinstate(tokenId);
+        return { ...(await memberships.viewMembership(tokenId)), ...summarizeReceipt(receipt) };
+    },
+
+    async renew(memberships, argv) {
+        const { values } = args.parse(argv, {
+            "token-id": { type: "string" },
+            expiration: { type: "string" },
+            contract: { type: "string" },
+        });
+        const tokenId = args.bigint(values, "token-id");
+        args.required(values, "expiration");
+        const receipt = await memberships.renew(tokenId, args.expiration(values));
+        return { ...(await memberships.viewMembership(tokenId)), ...summarizeReceipt(receipt) };
+    },
+
+    async extend(memberships, argv) {
+        const { values } = args.parse(argv, {
+            type: { type: "string" },
+            "expiring-before": { type: "string" },
+            days: { type: "string" },
+            until: { type: "string" },
+            project: { type: "string" },
+            "dry-run": { type: "boolean", default: false },
+            contract: { type: "string" },
+        });
+        if ((values.days === undefined) === (values.until === undefined)) {
+            throw new SdkError("extend expects exactly one of --days and --until", "INVALID_ARGUMENT");
+        }
+        args.required(values, "expiring-before");
+        const results = await extendMemberships(memberships, {
+            membershipType: args.required(values, "type"),
+            expiringBefore: args.expiration(values, "expiring-before"),
+            seconds: values.days === undefined ? undefined : args.bigint(values, "days") * SECONDS_PER_DAY,
+            until: values.until === undefined ? undefined : args.expiration(values, "until"),
+            projectId: values.project === undefined ? undefined : args.bigint(values, "project"),
+            dryRun: values["dry-run"],
+        });
+        return {
+            total: results.length,
+            extended: results.filter((result) => result.status === "extended").length,
+            failed: results.filter((result) => result.status === "failed").length,
+            results,
+        };
+    },
+
+    async provision(memberships, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            state: { type: "string" },
+            report: { type: "string" },
+            "batch-size": { type: "string", default: "10" },
+            contract: { type: "string" },
+        });
+        const file = args.required(values, "file");
+        const batchSize = args.positiveInteger(values, "batch-size");
+        const rows = loadProvisioningFile(file);
+        const results = await provisionMemberships(memberships, rows, { statePath: values.state ?? `${file}.state.json`, batchSize });
+
+        const report = {
+            total: results.length,
+            minted: results.filter((result) => result.status === "minted").length,
+            failed: results.filter((result) => result.status === "failed").length,
+            results,
+        };
+        if (values.report) {
+            fs.writeFileSync(values.report, `${toJson(report)}\n`);
+        }
+        return report;
+    },
+
+    async check(memberships, argv) {
+        const { values } = args.parse(argv, {
+            address: { type: "string", multiple: true },
+            type: { type: "string" },
+            project: { type: "string", default: "0" },
+            contract: { type: "string" },
+        });
+        if (!values.address?.length) {
+            throw new SdkError("Missing required option --address", "INVALID_ARGUMENT");
+        }
+        const projectId = args.bigint(values, "project");
+        const membershipType = args.required(values, "type");
+        const valid = await memberships.hasValidMemberships({ projectId, users: values.address, membershipType });
+        return { projectId, membershipType, results: [...valid].map(([address, isValid]) => ({ address, valid: isValid })) };
+    },
+
+    async "set-permissions"(memberships, argv) {
+        const { values } = args.parse(argv, {
+            project: { type: "string" },
+            account: { type: "string" },
+            permission: { type: "string", multiple: true, default: [] },
+            contract: { type: "string" },
+        });
+        const projectId = args.bigint(values, "project");
+        const account = args.address(values, "account");
+        const receipt = await memberships.setProjectPermissions({ projectId, account, permissions: values.permission });
+        return { projectId, account, permissions: await memberships.getProjectPermissions(projectId, account), ...summarizeReceipt(receipt) };
+    },
+
+    async permissions(memberships, argv) {
+        const { values } = args.parse(argv, {
+            project: { type: "string" },
+            account: { type: "string" },
+            contract: { type: "string" },
+        });
+        const projectId = args.bigint(values, "project");
+        const account = args.address(values, "account");
+        return { projectId, account, permissions: await memberships.getProjectPermissions(projectId, account) };
+    },
+
+    async list(memberships, argv) {
+        const { values } = args.parse(argv, {
+            project: { type: "string" },
+            type: { type: "string" },
+            holder: { type: "string" },
+            status: { type: "string", default: "any" },
+            "page-size": { type: "string", default: "100" },
+            contract: { type: "string" },
+        });
+        const filter = {
+            projectId: values.project === undefined ? undefined : args.bigint(values, "project"),
+            membershipType: values.type,
+            holder: args.optionalAddress(values, "holder"),
+            status: values.status,
+        };
+        const listed = [];
+        for await (const membership of memberships.iterateMemberships(filter, { pageSize: Number(args.bigint(values, "page-size")) })) {
+            listed.push(membership);
+        }
+        return listed;
+    },
+};
+
+module.exports = {
+    usage: [
+        "membership mint --to <address> --type <membershipType> [--project <id>] [--expiration <unix|ISO date|never>] [--transferable]",
+        "membership voucher --to <address> --type <membershipType> [--project <id>] [--expiration <unix|ISO date|never>] [--transferable] [--nonce <n>] [--deadline <unix|ISO date>] [--out <file>]   (signs without sending; deadline defaults to a week)",
+        "membership verify-voucher --file <voucher.json>",
+        "membership redeem --file <voucher.json>   (mints a signed voucher, paying the gas)",
+        "membership revoke --token-id <id> [--hard]",
+        "membership reinstate --token-id <id>   (undo a soft revoke)",
+        "membership renew --token-id <id> --expiration <unix|ISO date|never>",
+        "membership extend --type <membershipType> --expiring-before <unix|ISO date> (--days <n> | --until <unix|ISO date>) [--project <id>] [--dry-run]",
+        "membership provision --file <csv|json> [--state <path>] [--report <path>] [--batch-size 10]",
+        "membership check --address <address> [--address <address> ...] --type <membershipType> [--project <id>]",
+        `membership set-permissions --project <id> --account <address> [--permission <${Object.keys(MembershipClient.PERMISSIONS).join("|")}> ...]   (replaces the account's permissions; none removes them)`,
+        "membership permissions --project <id> --account <address>",
+        `membership list [--project <id>] [--type <membershipType>] [--holder <address>] [--status <${Object.keys(MembershipClient.STATUSES).join("|")}>] [--page-size 100]`,
+    ].join("\n"),
+    description: "Mint, sign vouchers for, revoke, reinstate, renew and list RevokableMembershipNFT memberships (all accept --contract <address>)",
+
+    async run(hre, argv) {
+        const [name, ...rest] = argv;
+        if (!Object.hasOwn(SUBCOMMANDS, name ?? "")) {
+            throw new SdkError(`membership expects one of ${Object.keys(SUBCOMMANDS).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        const subcommand = SUBCOMMANDS[name];
+        const { values } = args.parse(rest, { contract: { type: "string" } }, { strict: false });
+        const [signer] = await hre.ethers.getSigners();
+        const memberships = await MembershipClient.connect(signer ?? hre.ethers.provider, {
+            address: args.optionalAddress(values, "contract"),
+            // Read-only commands still work on networks without a configured account
+            sender: signer ? getSender(signer) : undefined,
+        });
+        return subcommand(memberships, rest);
+    },
+};
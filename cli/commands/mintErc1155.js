@@ -0,0 +1,31 @@
+const args = require("../args");
+const { summarizeReceipt } = require("../output");
+const { getDeployedContract } = require("../../scripts/utils/deployments");
+const { getSender } = require("../../scripts/utils/sender");
+
+module.exports = {
+    usage: "mint-erc1155 --to <address> --id <id> --amount <n> [--expiration <unix|ISO date|never>] [--transferable] [--data 0x] [--contract <address>]",
+    description: "Mint SimpleERC1155 passes; expiration and transferable only apply to the first mint of an id",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            to: { type: "string" },
+            id: { type: "string" },
+            amount: { type: "string" },
+            expiration: { type: "string" },
+            transferable: { type: "boolean", default: false },
+            data: { type: "string", default: "0x" },
+            contract: { type: "string" },
+        });
+        const to = args.address(values, "to");
+        const id = args.bigint(values, "id");
+        const amount = args.bigint(values, "amount");
+        const expiration = args.expiration(values);
+
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getDeployedContract("SimpleERC1155", { address: args.optionalAddress(values, "contract") });
+        const receipt = await getSender(signer).send(token, "mint", [to, id, amount, expiration, values.transferable, values.data]);
+
+        return { contract: await token.getAddress(), to, id, amount, expiration, transferable: values.transferable, ...summarizeReceipt(receipt) };
+    },
+};
@@ -0,0 +1,26 @@
+const args = require("../args");
+const { summarizeReceipt } = require("../output");
+const { getDeployedContract } = require("../../scripts/utils/deployments");
+const { getSender } = require("../../scripts/utils/sender");
+
+module.exports = {
+    usage: "mint-erc20 --to <address> --amount <tokens> [--decimals 18] [--contract <address>]",
+    description: "Mint SimpleERC20 tokens; --amount is in whole tokens",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            to: { type: "string" },
+            amount: { type: "string" },
+            decimals: { type: "string" },
+            contract: { type: "string" },
+        });
+        const to = args.address(values, "to");
+        const amount = hre.ethers.parseUnits(args.required(values, "amount"), Number(args.bigint(values, "decimals", "18")));
+
+        const [signer] = await hre.ethers.getSigners();
+        const token = await getDeployedContract("SimpleERC20", { address: args.optionalAddress(values, "contract") });
+        const receipt = await getSender(signer).send(token, "mint", [to, amount]);
+
+        return { contract: await token.getAddress(), to, amount, ...summarizeReceipt(receipt) };
+    },
+};
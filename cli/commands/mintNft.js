@@ -0,0 +1,28 @@
+const args = require("../args");
+const { summarizeReceipt } = require("../output");
+const { getDeployedContract } = require("../../scripts/utils/deployments");
+const { getSender } = require("../../scripts/utils/sender");
+
+module.exports = {
+    usage: "mint-nft --to <address> [--expiration <unix|ISO date|never>] [--contract <address>]",
+    description: "Mint a BasicNFT",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            to: { type: "string" },
+            expiration: { type: "string" },
+            contract: { type: "string" },
+        });
+        const to = args.address(values, "to");
+        const expiration = args.expiration(values);
+
+        const [signer] = await hre.ethers.getSigners();
+        const nft = await getDeployedContract("BasicNFT", { address: args.optionalAddress(values, "contract") });
+        const receipt = await getSender(signer).send(nft, "mint", [to, expiration]);
+        const minted = receipt.logs
+            .map((log) => nft.interface.parseLog(log))
+            .find((event) => event?.name === "NftMinted");
+
+        return { contract: await nft.getAddress(), to, tokenId: minted.args.tokenId, expiration, ...summarizeReceipt(receipt) };
+    },
+};
@@ -0,0 +1,52 @@
+const { Contract } = require("ethers");
+const args = require("../args");
+const { createApiServer, createChainBackend, createIndexBackend } = require("../../api");
+const { MembershipClient, UserBankClient, loadArtifact, getDeployment } = require("../../sdk");
+const IndexStore = require("../../sdk/indexStore");
+
+module.exports = {
+    usage: "serve [--port 8080] [--host 127.0.0.1] [--db <index file>] [--membership <address>] [--erc1155 <address>] [--userbank <address>] [--cors-origin *]",
+    description: "Serve a read-only HTTP API over memberships, ERC1155 balances and UserBank mappings until interrupted (from the chain, or from an `index` database with --db)",
+
+    async run(hre, argv) {
+        const { values } = args.parse(argv, {
+            port: { type: "string", default: "8080" },
+            host: { type: "string", default: "127.0.0.1" },
+            db: { type: "string" },
+            membership: { type: "string" },
+            erc1155: { type: "string" },
+            userbank: { type: "string" },
+            "cors-origin": { type: "string", default: "*" },
+        });
+        const provider = hre.ethers.provider;
+        const { chainId } = await provider.getNetwork();
+        const addressOf = (option, contractName) => args.optionalAddress(values, option) ?? getDeployment(chainId, contractName)?.address;
+
+        const userBankAddress = addressOf("userbank", "UserBank");
+        const userBank = userBankAddress ? await UserBankClient.connect(provider, { address: userBankAddress }) : null;
+
+        let store = null;
+        let backend;
+        if (values.db) {
+            store = new IndexStore(values.db);
+            backend = createIndexBackend(store);
+        } else {
+            const membershipAddress = addressOf("membership", "RevokableMembershipNFT");
+            const erc1155Address = addressOf("erc1155", "SimpleERC1155");
+            backend = createChainBackend({
+                memberships: membershipAddress ? await MembershipClient.connect(provider, { address: membershipAddress }) : undefined,
+                erc1155: erc1155Address ? new Contract(erc1155Address, loadArtifact("SimpleERC1155").abi, provider) : undefined,
+            });
+        }
+
+        const server = createApiServer({ backend, userBank, corsOrigin: values["cors-origin"] });
+        const port = Number(args.bigint(values, "port"));
+        await new Promise((resolve) => server.listen(port, values.host, resolve));
+        console.error(`Serving the ${backend.source} on http://${values.host}:${server.address().port}`);
+
+        await new Promise((resolve) => process.once("SIGINT", resolve));
+        await new Promise((resolve) => server.close(resolve));
+        store?.close();
+        return { stopped: true };
+    },
+};
@@ -0,0 +1,42 @@
+const args = require("../args");
+const { getDeployedContract, importProxyIfMissing, saveUpgrade } = require("../../scripts/utils/deployments");
+const { SdkError } = require("../../sdk");
+
+// Upgradeable contracts: CLI name -> contract name, the contract a proxy missing from the local
+// manifest currently runs, and the call to run with the upgrade (if any)
+const UPGRADEABLE = {
+    userbank: {
+        contractName: "UserBank",
+        // Proxies that still have an owner predate roles: they run UserBankV1 and hand the owner's powers over to roles
+        async deployedContractName(proxy, hre) {
+            return (await proxy.owner()) === hre.ethers.ZeroAddress ? "UserBank" : "UserBankV1";
+        },
+        async call(proxy, hre) {
+            return (await proxy.owner()) === hre.ethers.ZeroAddress ? undefined : { fn: "initializeV2" };
+        },
+    },
+};
+
+module.exports = {
+    usage: `upgrade <${Object.keys(UPGRADEABLE).join("|")}> [--contract <address>]`,
+    description: "Upgrade a UUPS proxy to the compiled implementation after validating its storage layout",
+
+    async run(hre, argv) {
+        const { values, positionals } = args.parse(argv, { contract: { type: "string" } });
+        if (!Object.hasOwn(UPGRADEABLE, positionals[0] ?? "")) {
+            throw new SdkError(`upgrade expects one of ${Object.keys(UPGRADEABLE).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        const target = UPGRADEABLE[positionals[0]];
+        const { contractName } = target;
+
+        const proxy = await getDeployedContract(contractName, { address: args.optionalAddress(values, "contract") });
+        await importProxyIfMissing(proxy, await target.deployedContractName(proxy, hre));
+        const factory = await hre.ethers.getContractFactory(contractName);
+        const call = await target.call(proxy, hre);
+        const upgraded = await hre.upgrades.upgradeProxy(proxy, factory, { kind: "uups", call });
+        await upgraded.waitForDeployment();
+        const { record, file } = await saveUpgrade(contractName, upgraded);
+
+        return { contract: contractName, ...record, registry: file };
+    },
+};
@@ -0,0 +1,178 @@
+const args = require("../args");
+const { getSender } = require("../../scripts/utils/sender");
+const { summarizeReceipt } = require("../output");
+const { readRecords } = require("../../sdk/files");
+const { UserBankClient, SdkError, loadMappingFile, importProjectGuids, migrateLegacyProjectGuids } = require("../../sdk");
+
+const SUBCOMMANDS = {
+    async set(userBank, argv) {
+        const { values } = args.parse(argv, {
+            guid: { type: "string" },
+            address: { type: "string" },
+            contract: { type: "string" },
+        });
+        const guid = args.required(values, "guid");
+        const address = args.address(values, "address");
+        const receipt = await userBank.setProjectGuidToAddress(guid, address);
+        return { address, guid, ...summarizeReceipt(receipt) };
+    },
+
+    async import(userBank, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            "chunk-size": { type: "string", default: "100" },
+            contract: { type: "string" },
+        });
+        const chunkSize = args.positiveInteger(values, "chunk-size");
+        const mappings = loadMappingFile(args.required(values, "file"));
+        const result = await importProjectGuids(userBank, mappings, { chunkSize });
+        if (result.mismatches.length > 0) {
+            throw new SdkError(`${result.mismatches.length} of ${result.total} mappings did not verify`, "VERIFICATION_FAILED", { details: result });
+        }
+        return result;
+    },
+
+    async remove(userBank, argv) {
+        const { values } = args.parse(argv, {
+            address: { type: "string" },
+            contract: { type: "string" },
+        });
+        const address = args.address(values, "address");
+        const receipt = await userBank.removeProjectGuid(address);
+        return { address, ...summarizeReceipt(receipt) };
+    },
+
+    async migrate(userBank, argv) {
+        const { values } = args.parse(argv, {
+            file: { type: "string" },
+            "chunk-size": { type: "string", default: "100" },
+            contract: { type: "string" },
+        });
+        const chunkSize = args.positiveInteger(values, "chunk-size");
+        // Keys are read verbatim: UserBankV1 stored whatever string the writer passed
+        const keys = readRecords(args.required(values, "file")).map(({ address }) => String(address ?? "").trim());
+        const result = await migrateLegacyProjectGuids(userBank, keys, { chunkSize });
+        return { ...result, count: await userBank.getMappingCount() };
+    },
+
+    async addresses(userBank, argv) {
+        const { values } = args.parse(argv, {
+            guid: { type: "string" },
+            contract: { type: "string" },
+        });
+        const guid = args.required(values, "guid");
+        return { guid, addresses: await userBank.getAddressesForGuid(guid) };
+    },
+
+    async list(userBank, argv) {
+        const { values } = args.parse(argv, {
+            offset: { type: "string", default: "0" },
+            limit: { type: "string", default: "100" },
+            contract: { type: "string" },
+        });
+        const offset = Number(args.bigint(values, "offset"));
+        const limit = Number(args.bigint(values, "limit"));
+        return { count: await userBank.getMappingCount(), offset, mappings: await userBank.getMappings({ offset, limit }) };
+    },
+
+    async history(userBank, argv) {
+        const { values } = args.parse(argv, {
+            address: { type: "string" },
+            guid: { type: "string" },
+            "from-block": { type: "string", default: "0" },
+            "to-block": { type: "string" },
+            contract: { type: "string" },
+        });
+        const address = args.optionalAddress(values, "address");
+        const guid = values.guid;
+        if (address === undefined && guid === undefined) {
+            throw new SdkError("history expects --address or --guid", "INVALID_ARGUMENT");
+        }
+        const toBlock = values["to-block"] === undefined ? undefined : Number(args.bigint(values, "to-block"));
+        const history = await userBank.getHistory({ address, guid, fromBlock: Number(args.bigint(values, "from-block")), toBlock });
+        return { address, guid, changes: history.length, history };
+    },
+
+    async "grant-role"(userBank, argv) {
+        const { role, account } = parseRoleArgs(argv);
+        const receipt = await userBank.grantRole(role, account);
+        return { role, account, ...summarizeReceipt(receipt) };
+    },
+
+    async "revoke-role"(userBank, argv) {
+        const { role, account } = parseRoleArgs(argv);
+        const receipt = await userBank.revokeRole(role, account);
+        return { role, account, ...summarizeReceipt(receipt) };
+    },
+
+    async roles(userBank, argv) {
+        const { values } = args.parse(argv, {
+            account: { type: "string" },
+            contract: { type: "string" },
+        });
+        const account = args.address(values, "account");
+        return { account, roles: await userBank.getRoles(account) };
+    },
+
+    async pause(userBank, argv) {
+        args.parse(argv, { contract: { type: "string" } });
+        return { paused: true, ...summarizeReceipt(await userBank.pause()) };
+    },
+
+    async unpause(userBank, argv) {
+        args.parse(argv, { contract: { type: "string" } });
+        return { paused: false, ...summarizeReceipt(await userBank.unpause()) };
+    },
+
+    async get(userBank, argv) {
+        const { values } = args.parse(argv, {
+            address: { type: "string" },
+            contract: { type: "string" },
+        });
+        const address = args.address(values, "address");
+        return { address, guid: await userBank.getProjectGuid(address) };
+    },
+};
+
+function parseRoleArgs(argv) {
+    const { values } = args.parse(argv, {
+        role: { type: "string" },
+        account: { type: "string" },
+        contract: { type: "string" },
+    });
+    return { role: args.required(values, "role"), account: args.address(values, "account") };
+}
+
+module.exports = {
+    usage: [
+        "userbank set --guid <guid> --address <address>",
+        "userbank import --file <csv|json> [--chunk-size 100]",
+        "userbank get --address <address>",
+        "userbank remove --address <address>",
+        "userbank addresses --guid <guid>",
+        "userbank list [--offset 0] [--limit 100]",
+        `userbank grant-role --role <${Object.keys(UserBankClient.ROLES).join("|")}> --account <address>`,
+        `userbank revoke-role --role <${Object.keys(UserBankClient.ROLES).join("|")}> --account <address>`,
+        "userbank roles --account <address>",
+        "userbank pause | unpause",
+        "userbank history --address <address> | --guid <guid> [--from-block 0] [--to-block <n>]",
+        "userbank migrate --file <csv|json> [--chunk-size 100]   (move UserBankV1 string-keyed mappings to address keys)",
+    ].join("\n"),
+    description: "Write and read UserBank project GUID mappings (all accept --contract <address>)",
+
+    async run(hre, argv) {
+        const [name, ...rest] = argv;
+        if (!Object.hasOwn(SUBCOMMANDS, name ?? "")) {
+            throw new SdkError(`userbank expects one of ${Object.keys(SUBCOMMANDS).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        const subcommand = SUBCOMMANDS[name];
+        const { values } = args.parse(rest, { contract: { type: "string" } }, { strict: false });
+        const [signer] = await hre.ethers.getSigners();
+        const userBank = await UserBankClient.connect(signer ?? hre.ethers.provider, {
+            address: args.optionalAddress(values, "contract"),
+            // Read-only commands still work on networks without a configured account
+            sender: signer ? getSender(signer) : undefined,
+        });
+        return subcommand(userBank, rest);
+    },
+};
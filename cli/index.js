@@ -0,0 +1,91 @@
+const { toJson } = require("./output");
+const { SdkError } = require("../sdk");
+
+// Commands are required lazily: some of them load hardhat, which must happen after HARDHAT_NETWORK is set
+const COMMANDS = {
+    deploy: "./commands/deploy",
+    upgrade: "./commands/upgrade",
+    "mint-erc20": "./commands/mintErc20",
+    "mint-erc1155": "./commands/mintErc1155",
+    "airdrop-erc1155": "./commands/airdropErc1155",
+    "mint-nft": "./commands/mintNft",
+    membership: "./commands/membership",
+    userbank: "./commands/userbank",
+    index: "./commands/indexer",
+    serve: "./commands/serve",
+};
+
+function usage() {
+    const lines = ["Usage: userbank [--network <name>] <command> [options]", "", "Commands:"];
+    for (const command of Object.values(COMMANDS).map(require)) {
+        lines.push(`  ${command.description}`);
+        lines.push(...command.usage.split("\n").map((line) => `    ${line}`));
+    }
+    lines.push("", "--network selects a network from hardhat.config.js (default: hardhat). Results are printed as JSON.");
+    return lines.join("\n");
+}
+
+/**
+ * Splits the global --network option from the command line.
+ * @param {string[]} argv
+ * @returns {{ network?: string, rest: string[] }}
+ */
+function extractNetwork(argv) {
+    const rest = [];
+    let network;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === "--network") {
+            network = argv[++i];
+        } else if (argv[i].startsWith("--network=")) {
+            network = argv[i].slice("--network=".length);
+        } else {
+            rest.push(argv[i]);
+        }
+    }
+    return { network, rest };
+}
+
+/**
+ * Runs one CLI command against an already-loaded Hardhat runtime environment.
+ * @param {string[]} argv The command and its options, without the global --network option
+ * @param {{ hre: import("hardhat/types").HardhatRuntimeEnvironment }} context
+ * @returns {Promise<*>} The command result
+ */
+async function run(argv, { hre }) {
+    const [name, ...rest] = argv;
+    if (!Object.hasOwn(COMMANDS, name ?? "")) {
+        throw new SdkError(name ? `Unknown command ${name}` : "No command given", "INVALID_ARGUMENT");
+    }
+    return require(COMMANDS[name]).run(hre, rest);
+}
+
+/**
+ * Entry point of bin/userbank.js.
+ * @param {string[]} argv process.argv without the node and script paths
+ */
+async function main(argv) {
+    const { network, rest } = extractNetwork(argv);
+    if (network) {
+        process.env.HARDHAT_NETWORK = network;
+    }
+    if (rest.length === 0 || rest[0] === "--help" || rest[0] === "help") {
+        console.log(usage());
+        return;
+    }
+    // Loaded after HARDHAT_NETWORK is set so the runtime environment connects to the selected network
+    const hre = require("hardhat");
+
+    try {
+        console.log(toJson(await run(rest, { hre })));
+    } catch (error) {
+        console.error(toJson({ error: { code: error.code ?? "UNKNOWN_ERROR", message: error.message, details: error.details } }));
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    run,
+    main,
+    usage,
+    extractNetwork,
+};
@@ -0,0 +1,21 @@
+/**
+ * Serialises a command result. bigints become decimal strings and Dates ISO-8601 strings.
+ * @param {*} value
+ * @returns {string}
+ */
+function toJson(value) {
+    return JSON.stringify(value, (key, val) => (typeof val === "bigint" ? val.toString() : val), 2);
+}
+
+/**
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @returns {{ transactionHash: string, blockNumber: number }}
+ */
+function summarizeReceipt(receipt) {
+    return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+module.exports = {
+    toJson,
+    summarizeReceipt,
+};
@@ -3,14 +3,36 @@ pragma solidity ^0.8.22;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./MintVouchers.sol";
+
+contract SimpleERC20 is ERC20, Ownable, MintVouchers {
+    /// @notice A signed permission from the owner to mint `amount` tokens to `to`, redeemable by anyone
+    struct MintVoucher {
+        address to;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant MINT_VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(address to,uint256 amount,uint256 nonce,uint256 deadline)");
 
-contract SimpleERC20 is ERC20, Ownable {
     constructor(string memory name, string memory symbol)
     ERC20(name, symbol)
     Ownable(msg.sender)
+    MintVouchers(name, "1")
     {}
 
     function mint(address to, uint256 amount) public onlyOwner {
         _mint(to, amount);
     }
+
+    /// @notice Mints the tokens described by a voucher signed by the owner; the caller pays the gas
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature) external {
+        bytes32 structHash = keccak256(abi.encode(
+            MINT_VOUCHER_TYPEHASH, voucher.to, voucher.amount, voucher.nonce, voucher.deadline
+        ));
+        require(_useVoucher(structHash, voucher.nonce, voucher.deadline, signature) == owner(), "Voucher signer is not the owner");
+        _mint(voucher.to, voucher.amount);
+    }
 }
\ No newline at end of file
@@ -3,22 +3,48 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./MintVouchers.sol";
 
-contract BasicNFT is ERC721, Ownable {
+contract BasicNFT is ERC721, Ownable, MintVouchers {
     uint256 private _nextTokenId;
     string private _baseTokenURI;
     mapping(uint256 => uint256) private _expirations;
     event NftMinted(uint256 indexed tokenId, address indexed to, uint256 expiration);
 
+    /// @notice A signed permission from the owner to mint one token to `to`, redeemable by anyone
+    struct MintVoucher {
+        address to;
+        uint256 expiration;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant MINT_VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(address to,uint256 expiration,uint256 nonce,uint256 deadline)");
+
 
     constructor(string memory name_, string memory symbol_, string memory baseTokenURI_)
     ERC721(name_, symbol_)
     Ownable(msg.sender)
+    MintVouchers(name_, "1")
     {
         _baseTokenURI = baseTokenURI_;
     }
 
     function mint(address to, uint256 expiration) external onlyOwner returns (uint256) {
+        return _mintToken(to, expiration);
+    }
+
+    /// @notice Mints the token described by a voucher signed by the owner; the caller pays the gas
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature) external returns (uint256) {
+        bytes32 structHash = keccak256(abi.encode(
+            MINT_VOUCHER_TYPEHASH, voucher.to, voucher.expiration, voucher.nonce, voucher.deadline
+        ));
+        require(_useVoucher(structHash, voucher.nonce, voucher.deadline, signature) == owner(), "Voucher signer is not the owner");
+        return _mintToken(voucher.to, voucher.expiration);
+    }
+
+    function _mintToken(address to, uint256 expiration) internal returns (uint256) {
         uint256 tokenId = _nextTokenId++;
         _safeMint(to, tokenId);
         _expirations[tokenId] = expiration;
@@ -2,8 +2,12 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Burnable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "./MintVouchers.sol";
 /**
  * @title SimpleERC1155
  * @dev A simple implementation of ERC1155 with optional expiration and transfer restrictions.
@@ -11,10 +15,21 @@ import "@openzeppelin/contracts/utils/Strings.sol";
 /** * @dev This contract extends the OpenZeppelin ERC1155 implementation to include metadata management
  * and transfer restrictions. It allows the owner to mint tokens with specific metadata, including expiration and transferability
  * settings. The contract also overrides the `_update` function to handle transfer restrictions based on the `transferable` flag in the metadata.
+ * Holders can burn their own tokens, and the owner can revoke tokens from any holder.
  */
-contract SimpleERC1155 is ERC1155, Ownable {
+contract SimpleERC1155 is ERC1155Supply, ERC1155Burnable, Ownable, MintVouchers {
 
     mapping(uint256 => Metadata) private _tokenMetadata;
+    mapping(uint256 => string) private _tokenURIs;
+    bool private _onChainMetadata;
+    /// @dev Largest total supply of each token ID; 0 means unlimited
+    mapping(uint256 => uint256) private _maxSupply;
+    /// @dev Largest balance a single holder may have of each token ID; 0 means unlimited
+    mapping(uint256 => uint256) private _maxPerWallet;
+
+    error MaxSupplyExceeded(uint256 id, uint256 maxSupply, uint256 totalSupply);
+    error MaxPerWalletExceeded(uint256 id, address wallet, uint256 maxPerWallet, uint256 balance);
+    error MaxSupplyBelowTotalSupply(uint256 id, uint256 maxSupply, uint256 totalSupply);
 
     struct Metadata {
         bool exists;
@@ -22,9 +37,35 @@ contract SimpleERC1155 is ERC1155, Ownable {
         bool transferable; 
     }
 
+    /**
+     * @dev A signed permission from the owner to mint `amount` of token `id` to `to`, redeemable by anyone.
+     * `expiration` and `transferable` only apply when the voucher creates the token, as in `mint`.
+     */
+    struct MintVoucher {
+        address to;
+        uint256 id;
+        uint256 amount;
+        uint256 expiration;
+        bool transferable;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant MINT_VOUCHER_TYPEHASH = keccak256(
+        "MintVoucher(address to,uint256 id,uint256 amount,uint256 expiration,bool transferable,uint256 nonce,uint256 deadline)"
+    );
+
     event ERC1155Minted(address indexed to, uint256 indexed id, uint256 amount, uint256 expiration, bool transferable, string uri, bytes data);
+    event ExpiredBalanceBurned(address indexed holder, uint256 indexed id, uint256 amount);
+    event TokenMetadataUpdated(uint256 indexed id, uint256 expiration, bool transferable);
+    event BalanceRevoked(address indexed holder, uint256 indexed id, uint256 amount);
+    /// @dev ERC-4906 events, so marketplaces refresh the metadata of one id or of every id.
+    event MetadataUpdate(uint256 _tokenId);
+    event BatchMetadataUpdate(uint256 _fromTokenId, uint256 _toTokenId);
+    event MaxSupplySet(uint256 indexed id, uint256 maxSupply);
+    event MaxPerWalletSet(uint256 indexed id, uint256 maxPerWallet);
 
-    constructor(string memory uri) ERC1155(uri) Ownable(msg.sender) {
+    constructor(string memory uri) ERC1155(uri) Ownable(msg.sender) MintVouchers("SimpleERC1155", "1") {
         _setURI(uri);
     }
 
@@ -43,6 +84,51 @@ contract SimpleERC1155 is ERC1155, Ownable {
      */
 
     function mint(address to, uint256 id, uint256 amount, uint256 expiration, bool transferable, bytes memory data) public onlyOwner {
+        _mintToken(to, id, amount, expiration, transferable, data);
+    }
+
+    /**
+     * @dev Mints the tokens described by a voucher signed by the owner. Anyone can submit it and pays the gas.
+     * @param voucher The voucher, signed over the EIP-712 domain of this contract (see eip712Domain).
+     * @param signature The owner's EIP-712 signature.
+     * @notice Reverts if the voucher expired, was already redeemed or cancelled, or was not signed by the owner.
+     * @notice Emits `VoucherRedeemed` and `ERC1155Minted` events.
+     */
+
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature) external {
+        bytes32 structHash = keccak256(abi.encode(
+            MINT_VOUCHER_TYPEHASH,
+            voucher.to,
+            voucher.id,
+            voucher.amount,
+            voucher.expiration,
+            voucher.transferable,
+            voucher.nonce,
+            voucher.deadline
+        ));
+        require(_useVoucher(structHash, voucher.nonce, voucher.deadline, signature) == owner(), "Voucher signer is not the owner");
+        _mintToken(voucher.to, voucher.id, voucher.amount, voucher.expiration, voucher.transferable, "");
+    }
+
+    /**
+     * @dev Mints tokens once the caller has checked the minter, see `mint`.
+     */
+
+    function _mintToken(address to, uint256 id, uint256 amount, uint256 expiration, bool transferable, bytes memory data) internal {
+        _prepareMint(to, id, amount, expiration, transferable);
+        _mint(to, id, amount, data);
+        _emitMinted(to, id, amount, expiration, transferable, data);
+    }
+
+    function _emitMinted(address to, uint256 id, uint256 amount, uint256 expiration, bool transferable, bytes memory data) private {
+        emit ERC1155Minted(to, id, amount, expiration, transferable, uri(id), data);
+    }
+
+    /**
+     * @dev Checks the arguments of a mint and creates the token's metadata on its first mint.
+     */
+
+    function _prepareMint(address to, uint256 id, uint256 amount, uint256 expiration, bool transferable) internal {
         require(id > 0, "Token ID must be greater than zero");
         require(amount > 0, "Amount must be greater than zero");
         require(to != address(0), "Cannot mint to the zero address");
@@ -51,8 +137,68 @@ contract SimpleERC1155 is ERC1155, Ownable {
             require(expiration == 0 || expiration > block.timestamp, "Expiration must be in the future or 0 if no expiration");
         _setTokenMetadata(id, expiration, transferable);
         } 
-        _mint(to, id, amount, data);
-        emit ERC1155Minted(to, id, amount, expiration, transferable, uri(id), data);
+    }
+
+    /**
+     * @dev Mints several token IDs to one holder in a single `TransferBatch`.
+     * @param to The address to mint the tokens to.
+     * @param ids The IDs of the tokens to mint.
+     * @param amounts The amount to mint of each ID.
+     * @param expirations The expiration of each ID (0 if no expiration); only used for IDs minted for the first time.
+     * @param transferables Whether each ID is transferable; only used for IDs minted for the first time.
+     * @param data Additional data to pass with the minting operation.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Each ID follows the same rules as `mint`.
+     * @notice Emits an `ERC1155Minted` event per ID.
+     */
+
+    function mintBatch(
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        uint256[] calldata expirations,
+        bool[] calldata transferables,
+        bytes memory data
+    ) public onlyOwner {
+        require(ids.length > 0, "ERC1155: ids is empty");
+        require(
+            ids.length == amounts.length && ids.length == expirations.length && ids.length == transferables.length,
+            "ERC1155: ids, amounts, expirations and transferables length mismatch"
+        );
+        for (uint256 i = 0; i < ids.length; ++i) {
+            _prepareMint(to, ids[i], amounts[i], expirations[i], transferables[i]);
+        }
+        _mintBatch(to, ids, amounts, data);
+        for (uint256 i = 0; i < ids.length; ++i) {
+            _emitMinted(to, ids[i], amounts[i], expirations[i], transferables[i], data);
+        }
+    }
+
+    /**
+     * @dev Mints one token ID to many holders.
+     * @param id The ID of the token to mint.
+     * @param recipients The addresses to mint the token to.
+     * @param amounts The amount to mint to each recipient.
+     * @param expiration The expiration timestamp of the token (0 if no expiration); only used if the ID is new.
+     * @param transferable Whether the token is transferable or not; only used if the ID is new.
+     * @param data Additional data to pass with each mint.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Emits a `TransferSingle` and an `ERC1155Minted` event per recipient.
+     */
+
+    function airdrop(
+        uint256 id,
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        uint256 expiration,
+        bool transferable,
+        bytes memory data
+    ) public onlyOwner {
+        require(recipients.length > 0, "ERC1155: recipients is empty");
+        require(recipients.length == amounts.length, "ERC1155: recipients and amounts length mismatch");
+        for (uint256 i = 0; i < recipients.length; ++i) {
+            _mintToken(recipients[i], id, amounts[i], expiration, transferable, data);
+        }
     }
 
 
@@ -62,12 +208,145 @@ contract SimpleERC1155 is ERC1155, Ownable {
      * @param expiration The expiration timestamp of the token (0 if no expiration).
      * @param transferable Whether the token is transferable or not.
      * @notice This function can only be called by the owner of the contract.
+     * @notice Emits a `TokenMetadataUpdated` event with the new values, for indexers, and an ERC-4906 `MetadataUpdate` event.
      */
 
     function updateMetadata(uint256 id, uint256 expiration, bool transferable) public onlyOwner {
         require(_tokenMetadata[id].exists, "Token ID does not exist");
         require(expiration == 0 || expiration > block.timestamp, "Expiration must be in the future or 0 if no expiration");
         _setTokenMetadata(id, expiration, transferable);
+        emit TokenMetadataUpdated(id, expiration, transferable);
+        emit MetadataUpdate(id);
+    }
+
+    /**
+     * @dev Returns the URI of a token ID: its own URI if one was set with `setTokenURI`, otherwise a base64 JSON
+     * document built on-chain if `setOnChainMetadata` is enabled, otherwise the base URI with its `{id}` placeholder.
+     * @param id The ID of the token.
+     * @return The URI of the token's metadata.
+     */
+
+    function uri(uint256 id) public view override returns (string memory) {
+        if (bytes(_tokenURIs[id]).length > 0) {
+            return _tokenURIs[id];
+        }
+        if (_onChainMetadata) {
+            return string.concat("data:application/json;base64,", Base64.encode(bytes(_metadataJson(id))));
+        }
+        return super.uri(id);
+    }
+
+    /**
+     * @dev Replaces the base URI used by token IDs without their own URI.
+     * @param newuri The new base URI, usually containing the `{id}` placeholder.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Emits a `BatchMetadataUpdate` event covering every token ID.
+     */
+
+    function setBaseURI(string memory newuri) public onlyOwner {
+        _setURI(newuri);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Gives a token ID its own URI, which takes precedence over the base URI and on-chain metadata.
+     * @param id The ID of the token.
+     * @param tokenURI The URI of the token's metadata; an empty string removes it.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Emits the ERC-1155 `URI` event and a `MetadataUpdate` event.
+     */
+
+    function setTokenURI(uint256 id, string memory tokenURI) public onlyOwner {
+        require(_tokenMetadata[id].exists, "Token ID does not exist");
+        _tokenURIs[id] = tokenURI;
+        emit URI(uri(id), id);
+        emit MetadataUpdate(id);
+    }
+
+    /**
+     * @dev Switches token IDs without their own URI between the base URI and metadata JSON built on-chain,
+     * which embeds each token's expiration and transferability so wallets can show them.
+     * @param enabled Whether to serve on-chain metadata.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Emits a `BatchMetadataUpdate` event covering every token ID.
+     */
+
+    function setOnChainMetadata(bool enabled) public onlyOwner {
+        _onChainMetadata = enabled;
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Returns whether token IDs without their own URI are served metadata JSON built on-chain.
+     */
+
+    function onChainMetadata() public view returns (bool) {
+        return _onChainMetadata;
+    }
+
+    /**
+     * @dev Builds the metadata JSON of a token ID from its stored metadata.
+     */
+
+    function _metadataJson(uint256 id) internal view returns (string memory) {
+        Metadata memory metadata = _tokenMetadata[id];
+        string memory expirationAttribute = metadata.expiration == 0
+            ? '{"trait_type":"Expiration","value":"Never"}'
+            : string.concat('{"trait_type":"Expiration","display_type":"date","value":', Strings.toString(metadata.expiration), "}");
+        return string.concat(
+            '{"name":"Pass #', Strings.toString(id),
+            '","expiration":', Strings.toString(metadata.expiration),
+            ',"transferable":', metadata.transferable ? "true" : "false",
+            ',"attributes":[', expirationAttribute,
+            ',{"trait_type":"Transferable","value":"', metadata.transferable ? "Yes" : "No", '"}]}'
+        );
+    }
+
+    /**
+     * @dev Caps the total supply of a token ID. Can be set before the ID is first minted.
+     * @param id The ID of the token.
+     * @param supplyCap The largest total supply, or 0 for no cap.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Reverts with `MaxSupplyBelowTotalSupply` if more than `supplyCap` tokens are already in circulation.
+     * @notice Emits a `MaxSupplySet` event.
+     */
+
+    function setMaxSupply(uint256 id, uint256 supplyCap) public onlyOwner {
+        if (supplyCap != 0 && supplyCap < totalSupply(id)) {
+            revert MaxSupplyBelowTotalSupply(id, supplyCap, totalSupply(id));
+        }
+        _maxSupply[id] = supplyCap;
+        emit MaxSupplySet(id, supplyCap);
+    }
+
+    /**
+     * @dev Caps how many tokens of an ID a single holder may own, through mints and transfers alike.
+     * Holders already above a new cap keep their tokens but cannot receive more.
+     * @param id The ID of the token.
+     * @param walletCap The largest balance per holder, or 0 for no cap.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Emits a `MaxPerWalletSet` event.
+     */
+
+    function setMaxPerWallet(uint256 id, uint256 walletCap) public onlyOwner {
+        _maxPerWallet[id] = walletCap;
+        emit MaxPerWalletSet(id, walletCap);
+    }
+
+    /**
+     * @dev Returns the supply cap of a token ID, 0 meaning unlimited.
+     */
+
+    function maxSupply(uint256 id) public view returns (uint256) {
+        return _maxSupply[id];
+    }
+
+    /**
+     * @dev Returns the per-holder cap of a token ID, 0 meaning unlimited.
+     */
+
+    function maxPerWallet(uint256 id) public view returns (uint256) {
+        return _maxPerWallet[id];
     }
 
     /**
@@ -80,6 +359,65 @@ contract SimpleERC1155 is ERC1155, Ownable {
         return _tokenMetadata[id];
     }
 
+    /**
+     * @dev Returns whether a token ID has an expiration that has passed.
+     * @param id The ID of the token to check.
+     * @return True once `block.timestamp` reaches the token's expiration; false for tokens without one.
+     */
+
+    function isExpired(uint256 id) public view returns (bool) {
+        uint256 expiration = _tokenMetadata[id].expiration;
+        return expiration != 0 && expiration <= block.timestamp;
+    }
+
+    /**
+     * @dev Returns the balance of `account` for token `id` that is still usable.
+     * @param account The address to query.
+     * @param id The ID of the token to query.
+     * @return The same as `balanceOf`, or zero once the token has expired.
+     * @notice `balanceOf` keeps reporting expired tokens until they are burned with `burnExpired`.
+     */
+
+    function activeBalanceOf(address account, uint256 id) public view returns (uint256) {
+        return isExpired(id) ? 0 : balanceOf(account, id);
+    }
+
+    /**
+     * @dev Burns the whole balance of an expired token held by each of `holders`.
+     * @param id The ID of the expired token.
+     * @param holders The addresses to sweep; the contract cannot enumerate holders, so they come from events or an index.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Holders without a balance are skipped, so a sweep can safely be repeated.
+     * @notice Emits an `ExpiredBalanceBurned` event per holder with a balance.
+     */
+
+    function burnExpired(uint256 id, address[] calldata holders) public onlyOwner {
+        require(isExpired(id), string.concat("token id ", Strings.toString(id), " has not expired"));
+        for (uint256 i = 0; i < holders.length; ++i) {
+            uint256 amount = balanceOf(holders[i], id);
+            if (amount > 0) {
+                _burn(holders[i], id, amount);
+                emit ExpiredBalanceBurned(holders[i], id, amount);
+            }
+        }
+    }
+
+    /**
+     * @dev Burns tokens of a holder whether or not they are transferable or have expired.
+     * @param holder The address whose tokens are burned.
+     * @param id The ID of the token.
+     * @param amount The amount of tokens to burn.
+     * @notice This function can only be called by the owner of the contract.
+     * @notice Holders burn their own tokens with `burn` and `burnBatch`.
+     * @notice Emits a `TransferSingle` and a `BalanceRevoked` event.
+     */
+
+    function revoke(address holder, uint256 id, uint256 amount) public onlyOwner {
+        require(amount > 0, "Amount must be greater than zero");
+        _burn(holder, id, amount);
+        emit BalanceRevoked(holder, id, amount);
+    }
+
     /**
      * @dev Sets the metadata for a given token ID.
      * @param id The ID of the token to set metadata for.
@@ -104,23 +442,46 @@ contract SimpleERC1155 is ERC1155, Ownable {
      * @param ids An array of token IDs being transferred.
      * @param values An array of amounts corresponding to each token ID being transferred.
      * @notice This function checks if the token is transferable before allowing the transfer.
+     * Burns are not transfers, so holders can burn non-transferable tokens.
+     * @notice Expired tokens can no longer be minted or transferred, only burned.
      */
 
-    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override(ERC1155) {
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override(ERC1155, ERC1155Supply) {
         require(ids.length > 0, "ERC1155: ids is empty");
         require(values.length > 0, "ERC1155: amount is empty");
         require(ids.length == values.length, "ERC1155: ids and values length mismatch");
-        if (msg.sender == owner() &&  (from == address(0) || to == address(0))) {
-            super._update(from, to, ids, values);
-        } else {
+        if (to != address(0)) {
+            for (uint256 i = 0; i < ids.length; ++i) {
+                require(!isExpired(ids[i]), string.concat("token id ", Strings.toString(ids[i]), " has expired"));
+            }
+        }
+        // Mints only happen through the mint functions and redeemVoucher(), which have already checked the owner's consent
+        if (from != address(0) && to != address(0)) {
             for (uint256 i = 0; i < ids.length; ++i) {
                 require(ids[i] > 0, "ERC1155: token id must be greater than zero");
                 require(_tokenMetadata[ids[i]].exists, string.concat("token id ", Strings.toString(ids[i]), " does not exist"));
                 require(_tokenMetadata[ids[i]].transferable, string.concat("token id ", Strings.toString(ids[i]), " is non-transferable"));
-                super._update(from, to, ids, values);
             }
-
         }
+        super._update(from, to, ids, values);
+        _checkCaps(from, to, ids);
+    }
+
+    /**
+     * @dev Reverts if an update left a token ID above its supply cap or the receiver above its per-wallet cap.
+     * Checked after the update so that ids repeated in a batch are counted once.
+     */
 
+    function _checkCaps(address from, address to, uint256[] memory ids) internal view {
+        for (uint256 i = 0; i < ids.length; ++i) {
+            uint256 id = ids[i];
+            if (from == address(0) && _maxSupply[id] != 0 && totalSupply(id) > _maxSupply[id]) {
+                revert MaxSupplyExceeded(id, _maxSupply[id], totalSupply(id));
+            }
+            // A self-transfer does not change the balance, so it is allowed even above the cap
+            if (to != address(0) && to != from && _maxPerWallet[id] != 0 && balanceOf(to, id) > _maxPerWallet[id]) {
+                revert MaxPerWalletExceeded(id, to, _maxPerWallet[id], balanceOf(to, id));
+            }
+        }
     }
 }
\ No newline at end of file
@@ -6,6 +6,7 @@ import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Burnable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./MintVouchers.sol";
 
 
 /**
@@ -15,18 +16,33 @@ import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
  * @dev Extends ERC721Enumerable, ERC721Burnable, and Ownable to provide a comprehensive membership system
  */
 
-contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
+contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable, MintVouchers {
     /// @dev Counter for generating unique token IDs
     uint256 private _nextTokenId;
 
     /// @dev Maps token ID to membership struct
     mapping(uint256 => Membership) private _membership;
 
-    /// @dev Maps user address to their membership struct based on the projectId
+    /// @dev Maps projectId, user address and membership type to the user's latest membership of that type
     /// @dev for Admins, projectId is always 0
     mapping(uint256 projectId => mapping(address user => mapping(string membership => Membership)))
         private _projectToMembership;
 
+    /// @dev Maps projectId and account to a bitmask of PERMISSION_* flags granted in that project
+    mapping(uint256 projectId => mapping(address account => uint256 permissions)) private _projectPermissions;
+
+    /// @notice Allows minting non-admin memberships in a project, and renewing or extending them
+    uint256 public constant PERMISSION_MINT = 1 << 0;
+    /// @notice Allows revoking and reinstating memberships of a project
+    uint256 public constant PERMISSION_REVOKE = 1 << 1;
+    /// @notice Marks an account as allowed to read a project's memberships. Membership data is public on-chain,
+    /// so this flag is only enforced by off-chain services
+    uint256 public constant PERMISSION_VIEW = 1 << 2;
+    /// @notice Allows setting the permissions of other accounts in a project
+    uint256 public constant PERMISSION_MANAGE_PROJECT = 1 << 3;
+    uint256 private constant ALL_PERMISSIONS =
+        PERMISSION_MINT | PERMISSION_REVOKE | PERMISSION_VIEW | PERMISSION_MANAGE_PROJECT;
+
     /**
      * @notice Represents a membership with various access levels and properties
      * @param projectId The ID of the project to which the membership belongs. 0 if the user is an admin
@@ -49,16 +65,79 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         bool transferable;
     }
 
+    /// @notice Status filter for queryMemberships. Expired memberships are not revoked; revoked ones match Revoked whatever their expiration
+    enum MembershipStatus { Any, Active, Expired, Revoked }
+
+    /**
+     * @notice Selects memberships in queryMemberships
+     * @param filterByProject Whether to only match memberships of `projectId` (needed since 0 is the admin project)
+     * @param projectId The project to match when `filterByProject` is set
+     * @param membershipType The type to match; empty matches every type
+     * @param holder The holder to match; the zero address matches every holder
+     * @param status The status to match
+     */
+    struct MembershipFilter {
+        bool filterByProject;
+        uint256 projectId;
+        string membershipType;
+        address holder;
+        MembershipStatus status;
+    }
+
+    /**
+     * @notice A signed permission to mint one membership, redeemable by anyone through redeemVoucher
+     * @param projectId The ID of the project to which the membership belongs (ignored for "write:admin")
+     * @param to The address of the membership holder
+     * @param membershipType The type/category of membership
+     * @param expiration Expiration timestamp in seconds (0 means no expiration)
+     * @param transferable If true, the membership can be transferred
+     * @param nonce Chosen by the signer; each nonce can be used once per signer
+     * @param deadline Timestamp after which the voucher can no longer be redeemed
+     */
+    struct MembershipVoucher {
+        uint256 projectId;
+        address to;
+        string membershipType;
+        uint256 expiration;
+        bool transferable;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant MEMBERSHIP_VOUCHER_TYPEHASH = keccak256(
+        "MembershipVoucher(uint256 projectId,address to,string membershipType,uint256 expiration,bool transferable,uint256 nonce,uint256 deadline)"
+    );
+
     event MembershipMinted(uint256 projectId, uint256 indexed tokenId, address indexed to, string membershipType, uint256 expiration, bool transferable);
     event MembershipRevoked(uint256 indexed tokenId);
+    event MembershipRenewed(uint256 indexed tokenId, uint256 previousExpiration, uint256 newExpiration);
+    event MembershipReinstated(uint256 indexed tokenId, bool isAdmin);
+    event ProjectPermissionsSet(uint256 indexed projectId, address indexed account, uint256 previousPermissions, uint256 permissions, address indexed operator);
 
     /**
      * @notice Ensures only admins with write access or the owner can call the function
      * @dev Checks if caller is owner or has valid admin membership with write access
      */
     modifier onlyAdmin() {
-        if (owner() != msg.sender) {
-                Membership memory membership = _projectToMembership[0][msg.sender][
+        _checkAdmin(msg.sender);
+        _;
+    }
+
+    /**
+     * @notice Ensures the caller holds `permission` in `projectId`
+     * @dev The owner and "write:admin" admins hold every permission in every project
+     */
+    modifier onlyProjectPermission(uint256 projectId, uint256 permission) {
+        _checkProjectPermission(projectId, msg.sender, permission);
+        _;
+    }
+
+    /**
+     * @dev Reverts unless `account` is the owner or holds a valid "write:admin" membership
+     */
+    function _checkAdmin(address account) internal view {
+        if (owner() != account) {
+                Membership memory membership = _projectToMembership[0][account][
                     "write:admin"
                 ];
             require(membership.isAdmin, "Caller is not an admin");
@@ -73,7 +152,26 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
             );
 
         }
-        _;
+    }
+
+    /**
+     * @dev Reverts unless `account` was granted `permission` in `projectId` or is the owner or a "write:admin" admin
+     */
+    function _checkProjectPermission(uint256 projectId, address account, uint256 permission) internal view {
+        if ((_projectPermissions[projectId][account] & permission) != permission) {
+            _checkAdmin(account);
+        }
+    }
+
+    /**
+     * @dev Reverts unless `minter` may mint a `membershipType` membership in `projectId`
+     */
+    function _checkMinter(address minter, uint256 projectId, string memory membershipType) internal view {
+        if (Strings.equal(membershipType, 'write:admin')) {
+            _checkAdmin(minter);
+        } else {
+            _checkProjectPermission(projectId, minter, PERMISSION_MINT);
+        }
     }
 
     /**
@@ -89,11 +187,13 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         ERC721Enumerable()
         ERC721Burnable()
         Ownable(msg.sender)
+        MintVouchers(name_, "1")
     {}
 
     /**
      * @notice Mints a new membership NFT
-     * @dev Only callable by the contract owner or an admin with write access
+     * @dev "write:admin" memberships can only be minted by the contract owner or an admin with write access; other
+     * types also by accounts holding PERMISSION_MINT in `projectId`
      * @param projectId The ID of the project to which the membership belongs (0 for admin)
      * @param to The address of the membership holder
      * @param membershipType The type/category of membership (e.g., "write:admin", "vip", "premium', "silver" etc.)
@@ -102,7 +202,48 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
      * @return The newly minted token ID
      */
   
-    function mint(uint projectId, address to, string memory membershipType, uint256 expiration, bool transferable) external onlyAdmin() returns (uint256) {
+    function mint(uint projectId, address to, string memory membershipType, uint256 expiration, bool transferable) external returns (uint256) {
+        _checkMinter(msg.sender, projectId, membershipType);
+        return _mintMembership(msg.sender, projectId, to, membershipType, expiration, transferable);
+    }
+
+    /**
+     * @notice Mints the membership described by a voucher; anyone can submit it and pays the gas
+     * @dev The signer must be allowed to mint the membership themselves, as in `mint`, when the voucher is redeemed.
+     * The signer, not the caller, becomes the holder's operator when they are the owner or an admin
+     * @param voucher The voucher, signed over the EIP-712 domain of this contract (see eip712Domain)
+     * @param signature The signer's EIP-712 signature
+     * @return The newly minted token ID
+     * @dev Reverts with "Voucher expired" after the deadline and "Voucher nonce already used" on replays or cancelled vouchers
+     * @dev Emits VoucherRedeemed and MembershipMinted events
+     */
+    function redeemVoucher(MembershipVoucher calldata voucher, bytes calldata signature) external returns (uint256) {
+        bytes32 structHash = keccak256(abi.encode(
+            MEMBERSHIP_VOUCHER_TYPEHASH,
+            voucher.projectId,
+            voucher.to,
+            keccak256(bytes(voucher.membershipType)),
+            voucher.expiration,
+            voucher.transferable,
+            voucher.nonce,
+            voucher.deadline
+        ));
+        address signer = _useVoucher(structHash, voucher.nonce, voucher.deadline, signature);
+        _checkMinter(signer, voucher.projectId, voucher.membershipType);
+        return _mintMembership(signer, voucher.projectId, voucher.to, voucher.membershipType, voucher.expiration, voucher.transferable);
+    }
+
+    /**
+     * @dev Mints a membership once `minter` has been checked by the caller
+     */
+    function _mintMembership(
+        address minter,
+        uint256 projectId,
+        address to,
+        string memory membershipType,
+        uint256 expiration,
+        bool transferable
+    ) internal returns (uint256) {
         require(expiration == 0 || expiration > block.timestamp, "Expiration must be in the future or 0 if no expiration");
         _nextTokenId++; 
 
@@ -117,10 +258,13 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
             transferable: transferable // if true, the membership cannot be transferred
         });
         _membership[_nextTokenId] = membership;
-        _projectToMembership[0][to][membershipType] = membership;
+        _projectToMembership[membership.projectId][to][membershipType] = membership;
 
         _safeMint(to, _nextTokenId);
-        _setApprovalForAll(to, msg.sender, true);
+        // Project-scoped minters are not made operators: approval covers every token of the holder, in every project
+        if (owner() == minter || _isAdmin(minter)) {
+            _setApprovalForAll(to, minter, true);
+        }
         emit MembershipMinted(membership.projectId, _nextTokenId, to, membershipType, membership.expiration, membership.transferable);
         return _nextTokenId;
     }
@@ -129,7 +273,7 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
 
     /**
      * @notice Revokes a membership either by burning the token or marking it inactive. The revoked Id gets nullified, but nextTokenId is unaffected.
-     * @dev Only callable by the contract owner
+     * @dev Only callable by the contract owner, an admin with write access or an account holding PERMISSION_REVOKE in the membership's project
      * @param tokenId The ID of the membership token to revoke
      * @param hardDelete If true, burns the token; if false, marks as inactive
      * @dev If hardDelete is true, the token is burned and removed from the contract. If false, the membership is marked as revoked but the token remains.
@@ -139,7 +283,7 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
      * @dev both mappings are updated to reflect the revocation
      * @dev Emits a MembershipRevoked event
      */
-    function revoke(uint256 tokenId, bool hardDelete) external onlyAdmin() {
+    function revoke(uint256 tokenId, bool hardDelete) external onlyProjectPermission(_membership[tokenId].projectId, PERMISSION_REVOKE) {
         Membership storage membership= _membership[tokenId];
         require(
             _membership[tokenId].user != address(0),
@@ -148,16 +292,17 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         require(!membership.revoked, "Membership already revoked");
 
         if (hardDelete) {
-
+            _clearProjectMembership(membership);
             _burn(tokenId);
             delete _membership[tokenId];
-            delete _projectToMembership[membership.projectId][membership.user][membership.membershipType];
         } else if(!hardDelete) {
             membership.revoked = true; // Mark membership as revoked and do not burn the token
-            _projectToMembership[membership.projectId][membership.user][membership.membershipType].revoked = true;
+            // Revoking any token of a type revokes the holder's membership of that type in the project
+            Membership storage entry = _projectToMembership[membership.projectId][membership.user][membership.membershipType];
+            entry.revoked = true;
             if (membership.isAdmin) {
                 membership.isAdmin = false; 
-                _projectToMembership[0][membership.user][membership.membershipType].isAdmin = false; // Set admin membership to not admin
+                entry.isAdmin = false; // Set admin membership to not admin
             }
         }
             emit MembershipRevoked(tokenId);
@@ -165,6 +310,110 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
     
 
 
+    /**
+     * @notice Reinstates a soft-revoked membership
+     * @dev Only callable by the contract owner, an admin with write access or an account holding PERMISSION_REVOKE in
+     * the membership's project. "write:admin" memberships get their admin
+     * flag back. The expiration is left unchanged, so an expired membership stays expired until it is renewed
+     * @param tokenId The ID of the membership token to reinstate
+     * @dev Emits a MembershipReinstated event
+     */
+    function reinstate(uint256 tokenId) external onlyProjectPermission(_membership[tokenId].projectId, PERMISSION_REVOKE) {
+        Membership storage membership = _membership[tokenId];
+        require(membership.user != address(0), "Invalid tokenId: Membership does not exist");
+        require(membership.revoked, "Membership is not revoked");
+
+        membership.revoked = false;
+        membership.isAdmin = Strings.equal(membership.membershipType, 'write:admin');
+
+        // Revoking may have flagged the holder's per-project entry through another token, so restore it from the token it points to
+        Membership storage entry = _projectToMembership[membership.projectId][membership.user][membership.membershipType];
+        if (entry.user != address(0)) {
+            Membership storage current = _membership[entry.tokenId];
+            entry.revoked = current.revoked;
+            entry.isAdmin = current.isAdmin;
+        }
+        emit MembershipReinstated(tokenId, membership.isAdmin);
+    }
+
+    /**
+     * @notice Sets a new expiration for a membership, keeping its tokenId
+     * @dev Only callable by the contract owner, an admin with write access or an account holding PERMISSION_MINT in the
+     * membership's project. Expired memberships can be renewed; revoked ones cannot
+     * @param tokenId The ID of the membership token to renew
+     * @param newExpiration Expiration timestamp in seconds (0 means no expiration)
+     * @dev Emits a MembershipRenewed event
+     */
+    function renew(uint256 tokenId, uint256 newExpiration) external onlyProjectPermission(_membership[tokenId].projectId, PERMISSION_MINT) {
+        require(newExpiration == 0 || newExpiration > block.timestamp, "Expiration must be in the future or 0 if no expiration");
+        _renew(tokenId, newExpiration);
+    }
+
+    /**
+     * @notice Extends a membership's expiration by a duration
+     * @dev Only callable by the contract owner, an admin with write access or an account holding PERMISSION_MINT in the
+     * membership's project. An expired membership is extended from now
+     * rather than from its old expiration, so it is always valid for at least `duration` afterwards
+     * @param tokenId The ID of the membership token to extend
+     * @param duration The number of seconds to add
+     * @dev Emits a MembershipRenewed event
+     */
+    function extend(uint256 tokenId, uint256 duration) external onlyProjectPermission(_membership[tokenId].projectId, PERMISSION_MINT) {
+        Membership storage membership = _membership[tokenId];
+        require(membership.user != address(0), "Invalid tokenId: Membership does not exist");
+        require(membership.expiration != 0, "Membership does not expire");
+        require(duration > 0, "Duration must be greater than 0");
+        uint256 from = membership.expiration > block.timestamp ? membership.expiration : block.timestamp;
+        _renew(tokenId, from + duration);
+    }
+
+    /**
+     * @notice Replaces the permissions an account holds in a project
+     * @dev Only callable by the contract owner, an admin with write access or an account holding PERMISSION_MANAGE_PROJECT
+     * in the project. Project 0 holds the "write:admin" memberships and cannot be delegated
+     * @param projectId The ID of the project
+     * @param account The account whose permissions are set
+     * @param permissions A bitmask of PERMISSION_* flags; 0 removes every permission
+     * @dev Emits a ProjectPermissionsSet event
+     */
+    function setProjectPermissions(
+        uint256 projectId,
+        address account,
+        uint256 permissions
+    ) external onlyProjectPermission(projectId, PERMISSION_MANAGE_PROJECT) {
+        require(projectId != 0, "Project 0 is reserved for admins");
+        require(account != address(0), "Account must not be zero");
+        require(permissions & ~ALL_PERMISSIONS == 0, "Unknown permission");
+
+        uint256 previousPermissions = _projectPermissions[projectId][account];
+        _projectPermissions[projectId][account] = permissions;
+        emit ProjectPermissionsSet(projectId, account, previousPermissions, permissions, msg.sender);
+    }
+
+    /**
+     * @notice Retrieves the permissions explicitly granted to an account in a project
+     * @dev Does not include the implicit permissions of the owner and "write:admin" admins; see hasProjectPermission
+     * @param projectId The ID of the project
+     * @param account The account to look up
+     * @return A bitmask of PERMISSION_* flags
+     */
+    function projectPermissions(uint256 projectId, address account) external view returns (uint256) {
+        return _projectPermissions[projectId][account];
+    }
+
+    /**
+     * @notice Checks whether an account may act with `permission` in a project
+     * @param projectId The ID of the project
+     * @param account The account to check
+     * @param permission One or more PERMISSION_* flags, all of which must be held
+     * @return True if the account is the owner, a valid "write:admin" admin, or was granted every flag in `permission`
+     */
+    function hasProjectPermission(uint256 projectId, address account, uint256 permission) external view returns (bool) {
+        return account == owner() ||
+            _isAdmin(account) ||
+            (_projectPermissions[projectId][account] & permission) == permission;
+    }
+
     /**
      * @notice Retrieves membership information for a specific token ID
      * @dev Only callable by view admins or owner
@@ -177,9 +426,145 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         return _membership[tokenId];
     }
 
+    /**
+     * @notice Retrieves a user's membership of a given type in a project
+     * @dev Admin memberships ("write:admin") are always stored under projectId 0. When a user holds several tokens
+     * of the same type in a project, the most recently minted or received one is returned
+     * @param projectId The ID of the project
+     * @param user The address of the membership holder
+     * @param membershipType The type/category of membership
+     * @return The membership struct, with a zero user if the user has no such membership
+     */
+    function viewProjectMembership(
+        uint256 projectId,
+        address user,
+        string calldata membershipType
+    ) public view returns (Membership memory) {
+        return _projectToMembership[projectId][user][membershipType];
+    }
+
+    /**
+     * @notice Checks whether a user currently holds a non-revoked, non-expired membership of a given type in a project
+     * @dev Admin memberships ("write:admin") are checked under projectId 0
+     * @param user The address to check
+     * @param projectId The ID of the project
+     * @param membershipType The type/category of membership
+     * @return True if the membership exists, is held by `user`, is not revoked and has not expired
+     */
+    function hasValidMembership(
+        address user,
+        uint256 projectId,
+        string calldata membershipType
+    ) public view returns (bool) {
+        Membership storage membership = _projectToMembership[projectId][user][membershipType];
+        return membership.user == user &&
+            user != address(0) &&
+            !membership.revoked &&
+            (membership.expiration == 0 || membership.expiration > block.timestamp);
+    }
+
+    /**
+     * @notice Batch variant of hasValidMembership for many addresses
+     * @param users The addresses to check
+     * @param projectId The ID of the project
+     * @param membershipType The type/category of membership
+     * @return valid Whether each address holds a valid membership, in the order of `users`
+     */
+    function hasValidMemberships(
+        address[] calldata users,
+        uint256 projectId,
+        string calldata membershipType
+    ) external view returns (bool[] memory valid) {
+        valid = new bool[](users.length);
+        for (uint256 i = 0; i < users.length; i++) {
+            valid[i] = hasValidMembership(users[i], projectId, membershipType);
+        }
+    }
+
+    /**
+     * @notice Retrieves every membership a user currently holds in a project, including revoked ones
+     * @param user The address of the membership holder
+     * @param projectId The ID of the project (0 for admin memberships)
+     * @return memberships Array of the user's membership structs in that project
+     */
+    function viewUserProjectMemberships(
+        address user,
+        uint256 projectId
+    ) public view returns (Membership[] memory memberships) {
+        uint256 balance = balanceOf(user);
+        Membership[] memory matches = new Membership[](balance);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < balance; i++) {
+            Membership storage membership = _membership[tokenOfOwnerByIndex(user, i)];
+            if (membership.projectId == projectId) {
+                matches[count++] = membership;
+            }
+        }
+
+        memberships = new Membership[](count);
+        for (uint256 i = 0; i < count; i++) {
+            memberships[i] = matches[i];
+        }
+    }
+
+    /**
+     * @notice Lists memberships page by page, in token index order
+     * @dev Burning a token moves the last token into its index, so pages can shift between calls
+     * @param offset The index of the first membership to return
+     * @param limit The maximum number of memberships to return
+     * @return memberships The membership structs of the page
+     */
+    function viewMemberships(uint256 offset, uint256 limit) external view returns (Membership[] memory memberships) {
+        uint256 total = totalSupply();
+        uint256 end = offset >= total ? offset : (limit > total - offset ? total : offset + limit);
+        memberships = new Membership[](end - offset);
+        for (uint256 i = offset; i < end; ++i) {
+            memberships[i - offset] = _membership[tokenByIndex(i)];
+        }
+    }
+
+    /**
+     * @notice Scans up to `limit` memberships starting at `offset` and returns those matching `filter`
+     * @dev `limit` bounds the tokens scanned rather than the matches returned, so every call costs the same whatever
+     * the filter and a page may come back empty before the end is reached. With a holder set, only that holder's
+     * tokens are scanned and offsets index into them
+     * @param filter The criteria to match
+     * @param offset The index of the first token to scan
+     * @param limit The maximum number of tokens to scan
+     * @return memberships The matching membership structs
+     * @return nextOffset The offset to continue from, or 0 once there is nothing left to scan
+     */
+    function queryMemberships(
+        MembershipFilter calldata filter,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (Membership[] memory memberships, uint256 nextOffset) {
+        require(limit > 0, "Limit must be greater than 0");
+        uint256 total = filter.holder == address(0) ? totalSupply() : balanceOf(filter.holder);
+        uint256 end = offset >= total ? offset : (limit > total - offset ? total : offset + limit);
+        Membership[] memory matches = new Membership[](end - offset);
+        uint256 count = 0;
+
+        for (uint256 i = offset; i < end; ++i) {
+            uint256 tokenId = filter.holder == address(0) ? tokenByIndex(i) : tokenOfOwnerByIndex(filter.holder, i);
+            Membership storage membership = _membership[tokenId];
+            if (_matchesFilter(membership, filter)) {
+                matches[count++] = membership;
+            }
+        }
+
+        memberships = new Membership[](count);
+        for (uint256 i = 0; i < count; ++i) {
+            memberships[i] = matches[i];
+        }
+        nextOffset = end < total ? end : 0;
+    }
+
     /**
      * @notice Retrieves all existing memberships
-     * @dev Only callable by view admins or owner. Returns array of all membership structs
+     * @dev Only callable by view admins or owner. Returns array of all membership structs. Reads every token in one
+     * call, which fails once the collection outgrows the RPC gas cap; use viewMemberships or queryMemberships instead
      * @return Array of all membership structs
      */
     function viewAllMemberships()
@@ -200,7 +585,7 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
 
     /**
      * @notice Retrieves all memberships along with their corresponding token IDs
-     * @dev Only callable by view admins or owner
+     * @dev Only callable by view admins or owner. Unbounded like viewAllMemberships
      * @return tokenIds Array of token IDs
      * @return memberships Array of corresponding membership structs
      */
@@ -254,13 +639,14 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         * Transfer should take place if it is a mint or burn, and the caller should be the owner or admin.
         * If the caller is not an owner or admin, check if the membership is transferable
         * If the membership is non-transferable, revert the transaction.
-        * Both mappings are updated to reflect the transfer.
+        * Both mappings are updated to reflect the transfer: the per-project entry moves to the new holder.
     */
 
     function _update(address to, uint256 tokenId, address auth) internal override(ERC721, ERC721Enumerable) returns (address) {
         Membership storage membership = _membership[tokenId];
 
-        if (msg.sender == owner()) {
+        // A zero auth means a mint or burn made by mint() or revoke(), which have already checked the caller's permissions
+        if (msg.sender == owner() || auth == address(0)) {
             _updateMembership(tokenId, to);
             return super._update(to, tokenId, auth);
         }
@@ -268,6 +654,7 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
         if (adminMembership.isAdmin && (to == address(0) || auth == address(0))) {
             require(adminMembership.expiration == 0 || adminMembership.expiration > block.timestamp, "Admin membership expired");
             require(!adminMembership.revoked, "Admin membership is revoked");
+            _updateMembership(tokenId, to);
             return super._update(to, tokenId, auth);
         } else {
             require(membership.transferable, "Membership is non-transferable");
@@ -277,14 +664,74 @@ contract RevokableMembershipNFT is ERC721Enumerable, ERC721Burnable, Ownable {
 
     }
     
+    /**
+     * @dev Whether `account` holds a non-revoked, non-expired "write:admin" membership
+     */
+    function _isAdmin(address account) internal view returns (bool) {
+        Membership storage membership = _projectToMembership[0][account]["write:admin"];
+        return membership.isAdmin &&
+            !membership.revoked &&
+            (membership.expiration == 0 || membership.expiration > block.timestamp);
+    }
+
+    /**
+     * @dev Whether a membership matches every criterion of a queryMemberships filter
+     */
+    function _matchesFilter(Membership storage membership, MembershipFilter calldata filter) internal view returns (bool) {
+        if (filter.filterByProject && membership.projectId != filter.projectId) {
+            return false;
+        }
+        if (bytes(filter.membershipType).length > 0 && !Strings.equal(membership.membershipType, filter.membershipType)) {
+            return false;
+        }
+        if (filter.status == MembershipStatus.Any) {
+            return true;
+        }
+        if (membership.revoked) {
+            return filter.status == MembershipStatus.Revoked;
+        }
+        bool expired = membership.expiration != 0 && membership.expiration <= block.timestamp;
+        return filter.status == (expired ? MembershipStatus.Expired : MembershipStatus.Active);
+    }
+
+    function _renew(uint256 tokenId, uint256 newExpiration) internal {
+        Membership storage membership = _membership[tokenId];
+        require(membership.user != address(0), "Invalid tokenId: Membership does not exist");
+        require(!membership.revoked, "Membership is revoked");
+
+        uint256 previousExpiration = membership.expiration;
+        membership.expiration = newExpiration;
+        Membership storage entry = _projectToMembership[membership.projectId][membership.user][membership.membershipType];
+        if (entry.tokenId == tokenId) {
+            entry.expiration = newExpiration;
+        }
+        emit MembershipRenewed(tokenId, previousExpiration, newExpiration);
+    }
+
+    /**
+     * @dev Moves the per-project entry of a membership from its current holder to `to`
+     */
     function _updateMembership(
         uint256 tokenId,
         address to
     ) internal {
         Membership storage membership = _membership[tokenId];
 
-        _membership[tokenId].user = to;
-        _projectToMembership[membership.projectId][to][membership.membershipType].user = to;
+        _clearProjectMembership(membership);
+        membership.user = to;
+        if (to != address(0)) {
+            _projectToMembership[membership.projectId][to][membership.membershipType] = membership;
+        }
+    }
+
+    /**
+     * @dev Deletes the per-project entry of a membership, unless that entry now belongs to another token
+     */
+    function _clearProjectMembership(Membership storage membership) internal {
+        Membership storage entry = _projectToMembership[membership.projectId][membership.user][membership.membershipType];
+        if (entry.tokenId == membership.tokenId) {
+            delete _projectToMembership[membership.projectId][membership.user][membership.membershipType];
+        }
     }
 
     /**
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MintVouchers
+ * @author FREEQ
+ * @notice Lazy-mint support: a minter signs an EIP-712 voucher off-chain and anyone can redeem it on-chain, paying the gas
+ * @dev Each contract defines its own voucher struct and typehash, and checks that the recovered signer may mint what
+ * the voucher describes. Nonces are chosen by the signer and tracked per signer, so vouchers can be redeemed in any order
+ */
+abstract contract MintVouchers is EIP712 {
+    /// @dev Maps signer and nonce to whether a voucher with that nonce was redeemed or cancelled
+    mapping(address signer => mapping(uint256 nonce => bool used)) private _usedVoucherNonces;
+
+    event VoucherRedeemed(address indexed signer, uint256 indexed nonce, address indexed redeemer);
+    event VoucherCancelled(address indexed signer, uint256 indexed nonce);
+
+    /**
+     * @param name The EIP-712 domain name, which signers must use
+     * @param version The EIP-712 domain version, which signers must use
+     */
+    constructor(string memory name, string memory version) EIP712(name, version) {}
+
+    /**
+     * @notice Whether `signer`'s voucher with `nonce` was redeemed or cancelled
+     * @param signer The address that signed the voucher
+     * @param nonce The voucher nonce
+     * @return True if the nonce can no longer be used
+     */
+    function isVoucherNonceUsed(address signer, uint256 nonce) external view returns (bool) {
+        return _usedVoucherNonces[signer][nonce];
+    }
+
+    /**
+     * @notice Cancels an unredeemed voucher signed by the caller
+     * @param nonce The nonce of the voucher to cancel
+     * @dev Emits a VoucherCancelled event
+     */
+    function cancelVoucher(uint256 nonce) external {
+        require(!_usedVoucherNonces[msg.sender][nonce], "Voucher nonce already used");
+        _usedVoucherNonces[msg.sender][nonce] = true;
+        emit VoucherCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @dev Checks the deadline and signature of a voucher and marks its nonce as used
+     * @param structHash The EIP-712 struct hash of the voucher
+     * @param nonce The voucher nonce
+     * @param deadline Timestamp after which the voucher can no longer be redeemed
+     * @param signature The signer's EIP-712 signature over the voucher
+     * @return signer The address that signed the voucher; callers must check it may mint
+     */
+    function _useVoucher(
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal returns (address signer) {
+        require(deadline >= block.timestamp, "Voucher expired");
+        signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(!_usedVoucherNonces[signer][nonce], "Voucher nonce already used");
+        _usedVoucherNonces[signer][nonce] = true;
+        emit VoucherRedeemed(signer, nonce, msg.sender);
+    }
+}
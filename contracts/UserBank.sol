@@ -3,13 +3,57 @@ pragma solidity ^0.8.22;
 
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 
 /// @title UserBank - Upgradeable contract for mapping project addresses to GUIDs
-/// @notice Only the contract owner can set mappings; anyone can read them
-contract UserBank is Initializable, UUPSUpgradeable, OwnableUpgradeable {
-    // Mapping from project address (as string) to project GUID (as string)
-    mapping(string => string) private projectGuidToAddress;
+/// @notice Registrars set mappings, upgraders upgrade the contract and pausers can freeze writes; anyone can read mappings
+/// @dev Storage must stay compatible with contracts/legacy/UserBankV1.sol; new state variables are appended.
+/// OwnableUpgradeable is only kept so initializeV2 can hand the V1 owner's powers over to roles
+contract UserBank is Initializable, UUPSUpgradeable, OwnableUpgradeable, AccessControlUpgradeable, PausableUpgradeable {
+    /// @notice Role allowed to upgrade the implementation
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /// @notice Role allowed to set, remove and migrate mappings
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+
+    /// @notice Role allowed to pause and unpause writes
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // Mappings written by UserBankV1, keyed by the address string exactly as it was passed in.
+    // Drained into projectGuidByAddress by migrateLegacyMappings
+    /// @custom:oz-renamed-from projectGuidToAddress
+    mapping(string => string) private legacyGuidByAddress;
+
+    // Mapping from project address to project GUID
+    mapping(address => string) private projectGuidByAddress;
+
+    // Every address that currently has a GUID, for enumeration
+    address[] private mappedAddresses;
+
+    // Position + 1 of an address in mappedAddresses (0 when the address is not mapped)
+    mapping(address => uint256) private mappedAddressPosition;
+
+    // Addresses mapped to each GUID, for reverse lookups
+    mapping(string => address[]) private addressesByGuid;
+
+    // Position + 1 of an address in addressesByGuid[its GUID] (0 when the address is not mapped)
+    mapping(address => uint256) private guidAddressPosition;
+
+    /// @notice Emitted whenever a project address is mapped, including remaps to the same GUID
+    /// @param addr The project address
+    /// @param guid The new GUID
+    /// @param previousGuid The GUID the address had before, or an empty string
+    /// @param operator The account that made the change
+    event ProjectGuidSet(address indexed addr, string guid, string previousGuid, address indexed operator);
+
+    /// @notice Emitted when the mapping of a project address is removed
+    /// @param addr The project address
+    /// @param previousGuid The GUID the address had before
+    /// @param operator The account that made the change
+    event ProjectGuidCleared(address indexed addr, string previousGuid, address indexed operator);
 
     /// @notice Disables initializers on the logic contract to prevent misuse
     /// @custom:oz-upgrades-unsafe-allow constructor
@@ -17,29 +61,201 @@ contract UserBank is Initializable, UUPSUpgradeable, OwnableUpgradeable {
         _disableInitializers(); // Prevents logic contract from being initialized
     }
 
-    /// @notice Initializes the contract, setting the owner and enabling upgrades
+    /// @notice Initializes the contract, granting every role to the deployer
+    /// @dev Ownership is deliberately left unset: new deployments are governed by roles only
+    /// @custom:oz-upgrades-unsafe-allow missing-initializer-call
     function initialize() public initializer {
-        __Ownable_init(msg.sender);
+        __AccessControl_init();
+        __Pausable_init();
         __UUPSUpgradeable_init();
+        _grantAllRoles(msg.sender);
     }
 
-    /// @notice Authorizes contract upgrades; only callable by the owner
+    /// @notice Moves a proxy initialized before roles existed from its owner to roles
+    /// @dev Meant to be called through upgradeToAndCall by the owner. Grants every role to the owner and
+    /// renounces ownership, so owner() is the zero address afterwards
+    function initializeV2() public reinitializer(2) onlyOwner {
+        __AccessControl_init();
+        __Pausable_init();
+        _grantAllRoles(owner());
+        _transferOwnership(address(0));
+    }
+
+    /// @notice Authorizes contract upgrades; only callable by an upgrader
     /// @param newImplementation The address of the new contract implementation
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /// @notice Stops every write until unpaused; reads keep working
+    /// @dev Only callable by a pauser
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /// @notice Resumes writes
+    /// @dev Only callable by a pauser
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
 
     /// @notice Sets the mapping from a project address to a GUID
-    /// @dev Only callable by the contract owner
-    /// @param guid The project GUID to associate
-    /// @param addr The project address to map
-    function setProjectGuidToAddress(string calldata guid, string calldata addr) external onlyOwner {
-        projectGuidToAddress[addr] = guid;
+    /// @dev Only callable by a registrar. Replaces a not yet migrated UserBankV1 mapping of the address
+    /// @param guid The project GUID to associate; must not be empty
+    /// @param addr The project address to map; must not be the zero address
+    function setProjectGuidToAddress(string calldata guid, address addr) external onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        _setProjectGuid(addr, guid, _clearLegacyGuid(addr));
+    }
+
+    /// @notice Sets several project address to GUID mappings in one transaction
+    /// @dev Only callable by a registrar; `guids[i]` is mapped to `addrs[i]`
+    /// @param guids The project GUIDs to associate
+    /// @param addrs The project addresses to map
+    function setProjectGuidsToAddresses(string[] calldata guids, address[] calldata addrs) external onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        require(guids.length == addrs.length, "guids and addrs length mismatch");
+        for (uint256 i = 0; i < guids.length; ++i) {
+            _setProjectGuid(addrs[i], guids[i], _clearLegacyGuid(addrs[i]));
+        }
+    }
+
+    /// @notice Removes the mapping of a project address
+    /// @dev Only callable by a registrar. Also removes a not yet migrated UserBankV1 mapping of the
+    /// address, so that getProjectGuid does not fall back to it
+    /// @param addr The project address to unmap
+    function removeProjectGuid(address addr) external onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        string memory previous = _clearLegacyGuid(addr);
+        require(mappedAddressPosition[addr] != 0 || bytes(previous).length > 0, "Address is not mapped");
+        if (mappedAddressPosition[addr] != 0) {
+            previous = projectGuidByAddress[addr];
+            _unindex(addr, previous);
+            delete projectGuidByAddress[addr];
+        }
+        emit ProjectGuidCleared(addr, previous, msg.sender);
+    }
+
+    /// @notice Moves mappings written by UserBankV1 from their string keys to address keys
+    /// @dev Only callable by a registrar. Keys without a legacy GUID are skipped, and so are keys
+    /// whose address already has a GUID; those stay readable through getLegacyProjectGuid
+    /// @param legacyAddrs The address strings exactly as they were passed to UserBankV1
+    function migrateLegacyMappings(string[] calldata legacyAddrs) external onlyRole(REGISTRAR_ROLE) whenNotPaused {
+        for (uint256 i = 0; i < legacyAddrs.length; ++i) {
+            (bool valid, address addr) = Strings.tryParseAddress(legacyAddrs[i]);
+            require(valid, "Invalid legacy address");
+            string memory guid = legacyGuidByAddress[legacyAddrs[i]];
+            if (bytes(guid).length == 0 || mappedAddressPosition[addr] != 0) {
+                continue;
+            }
+            delete legacyGuidByAddress[legacyAddrs[i]];
+            _setProjectGuid(addr, guid, "");
+        }
     }
 
     /// @notice Retrieves the GUID associated with a given project address
+    /// @dev Falls back to not yet migrated UserBankV1 mappings stored under the lowercase or checksummed address
     /// @param addr The project address to look up
-    /// @return The associated project GUID
-    function getProjectGuid(string calldata addr) external view returns (string memory) {
-        return projectGuidToAddress[addr];
+    /// @return The associated project GUID, or an empty string
+    function getProjectGuid(address addr) external view returns (string memory) {
+        string memory guid = projectGuidByAddress[addr];
+        if (bytes(guid).length == 0) {
+            guid = legacyGuidByAddress[Strings.toHexString(addr)];
+        }
+        if (bytes(guid).length == 0) {
+            guid = legacyGuidByAddress[Strings.toChecksumHexString(addr)];
+        }
+        return guid;
+    }
+
+    /// @notice Retrieves a mapping written by UserBankV1 that has not been migrated
+    /// @param legacyAddr The address string exactly as it was passed to UserBankV1
+    /// @return The GUID stored under that string, or an empty string
+    function getLegacyProjectGuid(string calldata legacyAddr) external view returns (string memory) {
+        return legacyGuidByAddress[legacyAddr];
+    }
+
+    /// @notice Retrieves every project address mapped to a GUID
+    /// @param guid The project GUID to look up
+    /// @return The project addresses, in no particular order
+    function getAddressesForGuid(string calldata guid) external view returns (address[] memory) {
+        return addressesByGuid[guid];
+    }
+
+    /// @notice Returns the number of mappings
+    /// @return The number of project addresses that have a GUID
+    function getMappingCount() external view returns (uint256) {
+        return mappedAddresses.length;
+    }
+
+    /// @notice Lists mappings page by page
+    /// @dev Removing a mapping moves the last entry into its slot, so pages can shift between calls
+    /// @param offset The index of the first mapping to return
+    /// @param limit The maximum number of mappings to return
+    /// @return addrs The project addresses
+    /// @return guids The GUID of each address
+    function getMappings(uint256 offset, uint256 limit) external view returns (address[] memory addrs, string[] memory guids) {
+        uint256 total = mappedAddresses.length;
+        uint256 end = offset >= total ? offset : (limit > total - offset ? total : offset + limit);
+        addrs = new address[](end - offset);
+        guids = new string[](end - offset);
+        for (uint256 i = offset; i < end; ++i) {
+            addrs[i - offset] = mappedAddresses[i];
+            guids[i - offset] = projectGuidByAddress[mappedAddresses[i]];
+        }
+    }
+
+    /// @dev Writes a mapping, keeps both indexes in sync and emits ProjectGuidSet. `legacyGuid` is
+    /// reported as the previous GUID when the address had no mapping of its own
+    function _setProjectGuid(address addr, string memory guid, string memory legacyGuid) internal {
+        require(addr != address(0), "Address must not be zero");
+        require(bytes(guid).length > 0, "GUID must not be empty");
+        string memory previous = legacyGuid;
+        if (mappedAddressPosition[addr] != 0) {
+            previous = projectGuidByAddress[addr];
+            _unindex(addr, previous);
+        }
+        projectGuidByAddress[addr] = guid;
+        _index(addr, guid);
+        emit ProjectGuidSet(addr, guid, previous, msg.sender);
+    }
+
+    /// @dev Deletes the UserBankV1 mappings that getProjectGuid falls back to and returns the one it would have read
+    function _clearLegacyGuid(address addr) internal returns (string memory guid) {
+        string memory lowercase = Strings.toHexString(addr);
+        string memory checksummed = Strings.toChecksumHexString(addr);
+        guid = legacyGuidByAddress[lowercase];
+        if (bytes(guid).length == 0) {
+            guid = legacyGuidByAddress[checksummed];
+        }
+        delete legacyGuidByAddress[lowercase];
+        delete legacyGuidByAddress[checksummed];
+    }
+
+    function _grantAllRoles(address account) private {
+        _grantRole(DEFAULT_ADMIN_ROLE, account);
+        _grantRole(UPGRADER_ROLE, account);
+        _grantRole(REGISTRAR_ROLE, account);
+        _grantRole(PAUSER_ROLE, account);
     }
 
-}
\ No newline at end of file
+    function _index(address addr, string memory guid) internal {
+        mappedAddresses.push(addr);
+        mappedAddressPosition[addr] = mappedAddresses.length;
+        addressesByGuid[guid].push(addr);
+        guidAddressPosition[addr] = addressesByGuid[guid].length;
+    }
+
+    function _unindex(address addr, string memory guid) internal {
+        _removeFromList(mappedAddresses, mappedAddressPosition, addr);
+        _removeFromList(addressesByGuid[guid], guidAddressPosition, addr);
+    }
+
+    /// @dev Swap-and-pop removal of `addr` from `list`, keeping `positions` up to date
+    function _removeFromList(address[] storage list, mapping(address => uint256) storage positions, address addr) private {
+        uint256 index = positions[addr] - 1;
+        uint256 last = list.length - 1;
+        if (index != last) {
+            address moved = list[last];
+            list[index] = moved;
+            positions[moved] = index + 1;
+        }
+        list.pop();
+        delete positions[addr];
+    }
+}
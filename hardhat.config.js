@@ -24,11 +24,13 @@ module.exports = {
     bepolia: {
       url: "https://bepolia.rpc.berachain.com",
       chainId: 80069,
+      confirmations: 2, // blocks to wait for before scripts and the CLI report a transaction as done
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     },
     gelato: {
         url: "https://rpc.testnet.superfreeq.com",
         chainId: 80087,
+        confirmations: 2,
         accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     }
   },
@@ -1,4 +1,5 @@
 const { ethers, upgrades } = require("hardhat");
+const { saveDeployment } = require("./utils/deployments");
 
 async function main() {
     const UserBank = await ethers.getContractFactory("UserBank");
@@ -10,6 +11,10 @@ async function main() {
     await userBank.waitForDeployment();
 
     console.log("UserBank Proxy deployed to:", await userBank.getAddress());
+    const { file } = await saveDeployment("UserBank", userBank, { proxy: true });
+    if (file) {
+        console.log("Deployment recorded in:", file);
+    }
 }
 
 main().catch((error) => {
@@ -1,5 +1,6 @@
 // scripts/deployBasicNFT.js
 const { ethers } = require("hardhat");
+const { saveDeployment } = require("./utils/deployments");
 
 async function main() {
     const name = "BasicNFT";
@@ -11,6 +12,10 @@ async function main() {
     await contract.waitForDeployment();
 
     console.log("BasicNFT deployed to:", await contract.getAddress());
+    const { file } = await saveDeployment("BasicNFT", contract);
+    if (file) {
+        console.log("Deployment recorded in:", file);
+    }
 }
 
 main().catch((error) => {
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { saveDeployment } = require("./utils/deployments");
 
 async function main() {
     const SimpleERC1155 = await ethers.getContractFactory("SimpleERC1155");
@@ -6,6 +7,10 @@ async function main() {
     const contract = await SimpleERC1155.deploy(uri);
     await contract.waitForDeployment();
     console.log("SimpleERC1155 deployed to:", await contract.getAddress());
+    const { file } = await saveDeployment("SimpleERC1155", contract);
+    if (file) {
+        console.log("Deployment recorded in:", file);
+    }
 }
 
 main().catch((error) => {
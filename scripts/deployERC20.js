@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { saveDeployment } = require("./utils/deployments");
 
 async function main() {
     const name = "FreeqERC20";
@@ -9,6 +10,10 @@ async function main() {
     await contract.waitForDeployment();
 
     console.log("SimpleERC20 deployed to:", await contract.getAddress());
+    const { file } = await saveDeployment("SimpleERC20", contract);
+    if (file) {
+        console.log("Deployment recorded in:", file);
+    }
 }
 
 main().catch((error) => {
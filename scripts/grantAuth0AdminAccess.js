@@ -1,45 +1,26 @@
-// scripts/mintBasicNFT.js
+// scripts/grantAuth0AdminAccess.js
 const { ethers } = require("hardhat");
+const { MembershipClient } = require("../sdk");
+const { getSender } = require("./utils/sender");
 
 async function main() {
-    const contractAddress = "0x9d7784a4221410d67564bE7118d00961B33DE581";
-    const RevocableNFT = await ethers.getContractAt("RevokableMembershipNFT", contractAddress);
-
     const [owner] = await ethers.getSigners();
+    const memberships = await MembershipClient.connect(owner, { sender: getSender(owner) });
 
-    const projectId = 0;
-    const to = "0x61b33e2b591202d68A3ac4950F1687A0f67E2d80"; // auth0 wallet address
-    const membershipType = "write:admin" // grant minting and revoking rights
-    const expiration = 0;
-    const transferable = true; 
-
-    const tx = await RevocableNFT.connect(owner).mint(projectId, to, membershipType, expiration, transferable);
-    const receipt = await tx.wait(1);
-
-    console.log(`Minting transaction successful: ${receipt.status === 1}`);
-
-        const transferEvent = receipt.logs
-        .map(log => {
-            try {
-            return RevocableNFT.interface.parseLog(log);
-            } catch {
-            return null;
-            }
-        })
-        .filter(Boolean)
-        .find(e => e.name === "Transfer");
-
-        const tokenId = transferEvent?.args.tokenId;
-        console.log("Minted token ID:", tokenId.toString());
-
-
-        const membership = await RevocableNFT.viewMembership(tokenId);
-        console.log(`Membership minted: membership ${membership.membershipType} to ${membership.user} with token ID ${membership.tokenId}`);
-        console.log(`is transferable: ${membership.transferable}, expiration: ${membership.expiration}`);
-    }
+    const membership = await memberships.mint({
+        projectId: 0,
+        to: "0x61b33e2b591202d68A3ac4950F1687A0f67E2d80", // auth0 wallet address
+        membershipType: "write:admin", // grant minting and revoking rights
+        expiration: null,
+        transferable: true,
+    });
 
+    console.log(`Minting transaction successful: ${membership.hash}`);
+    console.log(`Membership minted: membership ${membership.membershipType} to ${membership.user} with token ID ${membership.tokenId}`);
+    console.log(`is transferable: ${membership.transferable}, expiration: ${membership.expiration ?? "never"}`);
+}
 
 main().catch((error) => {
     console.error(error);
     process.exitCode = 1;
-});
\ No newline at end of file
+});
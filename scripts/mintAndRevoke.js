@@ -1,59 +1,43 @@
+// Usage: [MEMBERSHIP_ADDRESS=0x...] npx hardhat run scripts/mintAndRevoke.js --network bepolia
 const hre = require("hardhat");
+const { MembershipClient } = require("../sdk");
+const { getDeployedContract } = require("./utils/deployments");
+const { getSender } = require("./utils/sender");
 
 async function main() {
-    // Replace this with your deployed contract address
-    const contractAddress = "0xEa651e5cc57036D92FB1a00d6533975d44183AE5";
-
-    // Get contract factory and attach to deployed address
-    const MembershipNFT = await hre.ethers.getContractFactory("MembershipNFT");
-    const contract = await MembershipNFT.attach(contractAddress);
+    const [owner] = await hre.ethers.getSigners();
+    // The demo mints into its own RevokableMembershipNFT, recorded as MembershipDemo, rather than the production one
+    const contract = await getDeployedContract("MembershipDemo", { address: process.env.MEMBERSHIP_ADDRESS, contractName: "RevokableMembershipNFT" });
+    const memberships = new MembershipClient(contract, { sender: getSender(owner) });
 
     // Create a random wallet (this address won't have a private key locally!)
-    const randomWallet = hre.ethers.Wallet.createRandom();
-    const randomAddress = randomWallet.address;
-
-    console.log("📦 Minting NFT to:", randomAddress);
-
-    for (let i = 0; i < 5; i++) {
-        // Mint NFT to the random address
-        const mintTx = await contract.mint("0xF5abbD37397E8dB85A25E5De472a932807Cb4220", "golden-ticket", 80600);
-        const receipt = await mintTx.wait();
-
-        console.log("Transaction receipt:", receipt);
-        console.log("Transaction status:", receipt.status);
-    }
-    // console.log("Logs:", receipt.logs);
-
-    // Parse and print all contract events from the receipt
-    // for (const log of receipt.logs) {
-    //     try {
-    //         const parsed = contract.interface.parseLog(log);
-    //         console.log("Event:", parsed);
-    //     } catch (e) {
-    //         // Not a log from this contract, skip
-    //     }
-    // }
-
-    // console.log(mintTx)
-
-    // const nextTokenIdBN = await contract.nextTokenId();
-    //
-    // console.log(nextTokenIdBN)
-    //
-    // const tokenId = BigInt(nextTokenIdBN.toString()) - 1n;
-    //
-    // console.log(`✅ Minted token ID ${tokenId} to ${randomAddress}`);
-    //
-    // // Revoke the NFT
-    // console.log("❌ Revoking token...");
-    // const revokeTx = await contract.revoke(tokenId);
-    // await revokeTx.wait();
-    //
-    // console.log(`✅ Token ID ${tokenId} revoked`);
+    const randomAddress = hre.ethers.Wallet.createRandom().address;
+    const expiration = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
+
+    console.log("📦 Minting membership to:", randomAddress);
+    const membership = await memberships.mint({
+        projectId: 1,
+        to: randomAddress,
+        membershipType: "golden-ticket",
+        expiration,
+        transferable: false,
+    });
+    console.log(`✅ Minted token ID ${membership.tokenId} to ${membership.user} (tx ${membership.hash})`);
+
+    console.log("❌ Revoking token...");
+    await memberships.revoke(membership.tokenId, { hard: false });
+
+    const revoked = await memberships.viewMembership(membership.tokenId);
+    console.log(`✅ Token ID ${revoked.tokenId} revoked: ${revoked.revoked}`);
+
+    console.log("♻️ Reinstating token...");
+    await memberships.reinstate(membership.tokenId);
+
+    const reinstated = await memberships.viewMembership(membership.tokenId);
+    console.log(`✅ Token ID ${reinstated.tokenId} revoked: ${reinstated.revoked}`);
 }
 
 main().catch((error) => {
     console.error(error);
     process.exitCode = 1;
 });
-
@@ -1,20 +1,17 @@
 // scripts/mintBasicNFT.js
 const { ethers } = require("hardhat");
+const { getDeployedContract } = require("./utils/deployments");
+const { getSender } = require("./utils/sender");
 
 async function main() {
-    const contractAddress = "0x94eC85B4b5163002D3E1c144D94BDc5A097C818f";
-    const BasicNFT = await ethers.getContractAt("BasicNFT", contractAddress);
+    const BasicNFT = await getDeployedContract("BasicNFT");
 
     const [owner] = await ethers.getSigners();
     const to = owner.address;
     const duration = 60 * 60 * 24 * 30; // 30 days in seconds
 
-    const tx = await BasicNFT.mint(to, duration);
-    const receipt = await tx.wait();
-    if (!receipt.status) {
-        throw new Error("Transaction failed");
-    }
-    console.log(`Minting transaction successful: ${receipt}`);
+    const receipt = await getSender(owner).send(BasicNFT, "mint", [to, duration]);
+    console.log(`Minting transaction successful: ${receipt.hash}`);
 }
 
 main().catch((error) => {
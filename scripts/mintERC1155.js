@@ -1,20 +1,22 @@
 // scripts/mintERC1155.js
 const { ethers } = require("hardhat");
+const { getDeployedContract } = require("./utils/deployments");
+const { getSender } = require("./utils/sender");
 
 async function main() {
     const [owner] = await ethers.getSigners();
-    const contractAddress = "0x5C964B962bBB2A95254E973F8ED45B89Ad212d92";
-    const SimpleERC1155 = await ethers.getContractAt("SimpleERC1155", contractAddress);
+    const SimpleERC1155 = await getDeployedContract("SimpleERC1155");
 
     const to = "0xF5abbD37397E8dB85A25E5De472a932807Cb4220";
     const id = 1; // token id
     const amount = 1; // number of tokens to mint
+    const expiration = 0; // unix seconds, 0 for no expiration; only used on the first mint of an id
+    const transferable = true; // only used on the first mint of an id
     const data = "0x"; // usually empty
 
-    const tx = await SimpleERC1155.mint(to, id, amount, data);
-    await tx.wait();
+    const receipt = await getSender(owner).send(SimpleERC1155, "mint", [to, id, amount, expiration, transferable, data]);
 
-    console.log(`Transaction successful: ${tx.hash}`);
+    console.log(`Transaction successful: ${receipt.hash}`);
 
     console.log(`Minted ${amount} of token id ${id} to ${to}`);
 }
@@ -0,0 +1,24 @@
+// Usage: TOKEN_ID=12 npx hardhat run scripts/reinstateMembership.js --network bepolia
+const { ethers } = require("hardhat");
+const { MembershipClient } = require("../sdk");
+const { getSender } = require("./utils/sender");
+
+async function main() {
+    const tokenId = process.env.TOKEN_ID;
+    if (!tokenId) {
+        throw new Error("Set TOKEN_ID to the soft-revoked membership to reinstate");
+    }
+
+    const [owner] = await ethers.getSigners();
+    const memberships = await MembershipClient.connect(owner, { sender: getSender(owner) });
+
+    const receipt = await memberships.reinstate(BigInt(tokenId));
+    const membership = await memberships.viewMembership(BigInt(tokenId));
+    console.log(`Reinstated token ID ${membership.tokenId} (${membership.membershipType}) for ${membership.user} in transaction ${receipt.hash}`);
+    console.log(`is admin: ${membership.isAdmin}, expiration: ${membership.expiration ?? "never"}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,24 @@
+// Usage: ROLE=registrar ACCOUNT=0x... npx hardhat run scripts/revokeUserBankRole.js --network bepolia
+// ROLE is one of admin, upgrader, registrar, pauser
+const { ethers } = require("hardhat");
+const { UserBankClient } = require("../sdk");
+const { getSender } = require("./utils/sender");
+
+async function main() {
+    const { ROLE: role, ACCOUNT: account } = process.env;
+    if (!role || !account) {
+        throw new Error("Set ROLE and ACCOUNT");
+    }
+
+    const [admin] = await ethers.getSigners();
+    const userBank = await UserBankClient.connect(admin, { sender: getSender(admin) });
+
+    const receipt = await userBank.revokeRole(role, account);
+    console.log(`Revoked ${role} from ${account} in transaction ${receipt.hash}`);
+    console.log(`Roles of ${account}: ${(await userBank.getRoles(account)).join(", ") || "none"}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,32 @@
+const { ethers, upgrades } = require("hardhat");
+const { getDeployedContract, importProxyIfMissing, saveUpgrade } = require("./utils/deployments");
+
+async function main() {
+    const proxy = await getDeployedContract("UserBank");
+    const UserBank = await ethers.getContractFactory("UserBank");
+
+    // Proxies that still have an owner predate roles: they run UserBankV1, and initializeV2 grants the owner every role and renounces ownership
+    const legacy = (await proxy.owner()) !== ethers.ZeroAddress;
+    const call = legacy ? { fn: "initializeV2" } : undefined;
+
+    // On a fresh checkout the proxy is missing from .openzeppelin/, which upgradeProxy needs to validate the layout
+    if (await importProxyIfMissing(proxy, legacy ? "UserBankV1" : "UserBank")) {
+        console.log("Imported the proxy into the upgrades manifest");
+    }
+
+    // Validates the new storage layout against the current implementation before deploying it
+    const userBank = await upgrades.upgradeProxy(proxy, UserBank, { kind: "uups", call });
+    await userBank.waitForDeployment();
+
+    const { record, file } = await saveUpgrade("UserBank", userBank);
+    console.log("UserBank Proxy upgraded:", record.address);
+    console.log("New implementation:", record.implementation);
+    if (file) {
+        console.log("Deployment recorded in:", file);
+    }
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
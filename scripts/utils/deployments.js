@@ -0,0 +1,102 @@
+const hre = require("hardhat");
+const { DeploymentNotFound, Manifest } = require("@openzeppelin/upgrades-core");
+const { recordDeployment, getDeployment } = require("../../sdk");
+
+/**
+ * Writes a freshly deployed contract to deployments/<chainId>.json.
+ * Deployments to the in-process hardhat network are not recorded since they do not outlive the script.
+ * @param {string} name The name to record the deployment under (usually the contract name)
+ * @param {import("ethers").BaseContract} contract The deployed contract, after waitForDeployment()
+ * @param {{ proxy?: boolean }} [options] Set `proxy` for UUPS proxies to also record the implementation address
+ * @returns {Promise<{ record: Object, file: string|null }>} The record and the registry file it was written to
+ */
+async function saveDeployment(name, contract, { proxy = false } = {}) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const address = await contract.getAddress();
+    const tx = contract.deploymentTransaction();
+    const receipt = tx ? await tx.wait() : null;
+
+    const record = {
+        address,
+        transactionHash: receipt?.hash ?? null,
+        blockNumber: receipt?.blockNumber ?? null,
+    };
+    if (proxy) {
+        record.implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+    }
+
+    if (hre.network.name === "hardhat") {
+        return { record, file: null };
+    }
+    const file = recordDeployment(chainId, name, record, { network: hre.network.name });
+    return { record, file };
+}
+
+/**
+ * Updates the implementation address recorded for a UUPS proxy after an upgrade.
+ * @param {string} name The name the proxy was recorded under
+ * @param {import("ethers").BaseContract} proxy The upgraded proxy
+ * @returns {Promise<{ record: Object, file: string|null }>} The record and the registry file it was written to
+ */
+async function saveUpgrade(name, proxy) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const address = await proxy.getAddress();
+    const record = {
+        ...(getDeployment(chainId, name) ?? { address, transactionHash: null, blockNumber: null }),
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+    };
+
+    if (hre.network.name === "hardhat") {
+        return { record, file: null };
+    }
+    const file = recordDeployment(chainId, name, record, { network: hre.network.name });
+    return { record, file };
+}
+
+/**
+ * Returns a contract instance attached to the address recorded for the current network.
+ * @param {string} name The name the deployment was recorded under
+ * @param {{ address?: string, contractName?: string }} [options] `address` skips the registry lookup;
+ * `contractName` selects the ABI when it differs from `name`
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function getDeployedContract(name, { address, contractName = name } = {}) {
+    if (address) {
+        return hre.ethers.getContractAt(contractName, address);
+    }
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const deployment = getDeployment(chainId, name);
+    if (!deployment) {
+        throw new Error(`No ${name} deployment recorded for network ${hre.network.name} (chainId ${chainId}); run its deploy script first`);
+    }
+    return hre.ethers.getContractAt(contractName, deployment.address);
+}
+
+/**
+ * Registers a proxy in the local `.openzeppelin` manifest when its implementation is missing from it, as on
+ * a fresh checkout. upgradeProxy needs the entry to check the new storage layout against the current one.
+ * @param {import("ethers").BaseContract} proxy
+ * @param {string} contractName The contract the proxy currently runs
+ * @returns {Promise<boolean>} Whether the proxy had to be imported
+ */
+async function importProxyIfMissing(proxy, contractName) {
+    const manifest = await Manifest.forNetwork(hre.network.provider);
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(await proxy.getAddress());
+    try {
+        await manifest.getDeploymentFromAddress(implementation);
+        return false;
+    } catch (error) {
+        if (!(error instanceof DeploymentNotFound)) {
+            throw error;
+        }
+    }
+    await hre.upgrades.forceImport(proxy, await hre.ethers.getContractFactory(contractName), { kind: "uups" });
+    return true;
+}
+
+module.exports = {
+    saveDeployment,
+    saveUpgrade,
+    importProxyIfMissing,
+    getDeployedContract,
+};
@@ -0,0 +1,16 @@
+const hre = require("hardhat");
+const { TransactionSender } = require("../../sdk");
+
+/**
+ * Returns the shared TransactionSender of a signer, configured with the `confirmations` of the
+ * selected network in hardhat.config.js.
+ * @param {import("ethers").Signer} signer
+ * @returns {TransactionSender}
+ */
+function getSender(signer) {
+    return TransactionSender.for(signer, { confirmations: hre.network.config.confirmations ?? 1 });
+}
+
+module.exports = {
+    getSender,
+};
@@ -0,0 +1,436 @@
+const { ZeroAddress } = require("ethers");
+const { connectContract, parseExpiration, requireString, toChecksumAddress } = require("./utils");
+const { SdkError, decodeRevert } = require("./errors");
+const TransactionSender = require("./TransactionSender");
+const { normalizeVoucher, signVoucher, verifyVoucher } = require("./vouchers");
+
+/**
+ * @typedef {Object} Membership
+ * @property {bigint} tokenId
+ * @property {bigint} projectId 0 for admin memberships
+ * @property {string} user The holder's address
+ * @property {string} membershipType e.g. "write:admin", "vip"
+ * @property {boolean} isAdmin
+ * @property {Date|null} expiration null when the membership never expires
+ * @property {boolean} revoked
+ * @property {boolean} transferable
+ */
+
+/** Project permission names, mapped to the contract's PERMISSION_* flags */
+const PERMISSIONS = {
+    mint: 1n,
+    revoke: 2n,
+    view: 4n,
+    "manage-project": 8n,
+};
+
+/** Status names accepted by queryMemberships, mapped to the contract's MembershipStatus values */
+const STATUSES = {
+    any: 0,
+    active: 1,
+    expired: 2,
+    revoked: 3,
+};
+
+/**
+ * @typedef {Object} MembershipFilter
+ * @property {bigint|number} [projectId] Only memberships of this project (0 for admin memberships)
+ * @property {string} [membershipType] Only memberships of this type
+ * @property {string} [holder] Only memberships held by this address
+ * @property {"any"|"active"|"expired"|"revoked"} [status] Defaults to "any"
+ */
+
+function toFilterStruct({ projectId, membershipType = "", holder, status = "any" }) {
+    if (!Object.hasOwn(STATUSES, status)) {
+        throw new SdkError(`Unknown status: ${status}; expected one of ${Object.keys(STATUSES).join(", ")}`, "INVALID_ARGUMENT");
+    }
+    return {
+        filterByProject: projectId !== undefined && projectId !== null,
+        projectId: projectId ?? 0,
+        membershipType,
+        holder: holder ? toChecksumAddress(holder, "holder") : ZeroAddress,
+        status: STATUSES[status],
+    };
+}
+
+function permissionMask(permissions) {
+    let mask = 0n;
+    for (const permission of permissions) {
+        if (!Object.hasOwn(PERMISSIONS, permission)) {
+            throw new SdkError(`Unknown permission: ${permission}; expected one of ${Object.keys(PERMISSIONS).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        mask |= PERMISSIONS[permission];
+    }
+    return mask;
+}
+
+/**
+ * Converts a Membership struct returned by the contract into a plain object.
+ * @param {import("ethers").Result} struct
+ * @returns {Membership}
+ */
+function toMembership(struct) {
+    return {
+        tokenId: struct.tokenId,
+        projectId: struct.projectId,
+        user: struct.user,
+        membershipType: struct.membershipType,
+        isAdmin: struct.isAdmin,
+        expiration: struct.expiration === 0n ? null : new Date(Number(struct.expiration) * 1000),
+        revoked: struct.revoked,
+        transferable: struct.transferable,
+    };
+}
+
+/**
+ * Client for RevokableMembershipNFT. Returns memberships as plain objects and digs token IDs
+ * out of the MembershipMinted event so callers never have to parse receipt logs.
+ */
+class MembershipClient {
+    /**
+     * @param {import("ethers").Contract} contract A RevokableMembershipNFT contract bound to a signer or provider
+     * @param {{ sender?: TransactionSender }} [options] Sender for writes; defaults to the shared sender of the contract's signer
+     */
+    constructor(contract, { sender } = {}) {
+        this.contract = contract;
+        this._sender = sender ?? null;
+    }
+
+    /**
+     * Creates a client for the RevokableMembershipNFT deployment on the runner's network.
+     * @param {import("ethers").ContractRunner} runner A signer (for writes) or provider (read-only)
+     * @param {{ address?: string, sender?: TransactionSender }} [options] `address` overrides the address resolved from the network
+     * @returns {Promise<MembershipClient>}
+     */
+    static async connect(runner, options = {}) {
+        return new MembershipClient(await connectContract("RevokableMembershipNFT", runner, options), options);
+    }
+
+    /** @returns {TransactionSender} The sender used for writes */
+    get sender() {
+        this._sender ??= TransactionSender.for(this.contract.runner);
+        return this._sender;
+    }
+
+    /** @returns {Promise<string>} The address of the membership contract */
+    async getAddress() {
+        return this.contract.getAddress();
+    }
+
+    /**
+     * Mints a membership. Needs the "mint" permission in the project, or for "write:admin" memberships
+     * the owner or a write admin.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId Ignored by the contract for "write:admin" memberships
+     * @param {string} params.to The holder's address
+     * @param {string} params.membershipType
+     * @param {Date|number|bigint|null} [params.expiration] Date or unix seconds; null for no expiration
+     * @param {boolean} [params.transferable]
+     * @returns {Promise<Membership & { hash: string }>} The minted membership and the transaction hash
+     */
+    async mint({ projectId, to, membershipType, expiration = null, transferable = false }) {
+        const holder = toChecksumAddress(to, "recipient");
+        requireString(membershipType, "membershipType");
+        const receipt = await this.sender.send(this.contract, "mint", [projectId, holder, membershipType, parseExpiration(expiration), transferable]);
+        return this._viewMinted(receipt);
+    }
+
+    /**
+     * Signs a voucher for one membership with the contract's signer, without sending a transaction. Anyone can
+     * then redeem it with redeemVoucher and pay the gas. The signer needs the same rights as for `mint`.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId Ignored by the contract for "write:admin" memberships
+     * @param {string} params.to The holder's address
+     * @param {string} params.membershipType
+     * @param {Date|number|bigint|null} [params.expiration] Date or unix seconds; null for no expiration
+     * @param {boolean} [params.transferable]
+     * @param {bigint|number} [params.nonce] Defaults to a random nonce
+     * @param {Date|number|bigint} [params.deadline] Last moment the voucher can be redeemed; defaults to a week after the latest block
+     * @returns {Promise<{ contractName: string, voucher: Object, signature: string }>} Serialisable with the CLI's toJson
+     */
+    async signVoucher({ projectId, to, membershipType, expiration = null, transferable = false, nonce, deadline }) {
+        return signVoucher(this.contract.runner, this.contract, "RevokableMembershipNFT", {
+            projectId, to, membershipType, expiration, transferable, nonce, deadline,
+        });
+    }
+
+    /**
+     * Checks a signed voucher: who signed it, whether it expired or was already used, and whether the signer may mint it.
+     * @param {{ contractName: string, voucher: Object, signature: string }} signed
+     * @returns {Promise<{ signer: string, valid: boolean, expired: boolean, used: boolean, authorized: boolean }>}
+     */
+    async verifyVoucher(signed) {
+        return verifyVoucher(this.contract, { ...signed, contractName: "RevokableMembershipNFT" });
+    }
+
+    /**
+     * Mints the membership described by a signed voucher, paying the gas from this client's signer.
+     * @param {{ voucher: Object, signature: string }} signed As returned by signVoucher, or parsed from its JSON
+     * @returns {Promise<Membership & { hash: string }>} The minted membership and the transaction hash
+     */
+    async redeemVoucher({ voucher, signature }) {
+        const receipt = await this.sender.send(this.contract, "redeemVoucher", [normalizeVoucher("RevokableMembershipNFT", voucher), signature]);
+        return this._viewMinted(receipt);
+    }
+
+    async _viewMinted(receipt) {
+        const minted = this.parseMintedTokenIds(receipt);
+        if (minted.length !== 1) {
+            throw new SdkError(`Expected one MembershipMinted event in ${receipt.hash}, found ${minted.length}`, "MISSING_EVENT");
+        }
+        return { ...(await this.viewMembership(minted[0])), hash: receipt.hash };
+    }
+
+    /**
+     * Revokes a membership. Needs the "revoke" permission in the membership's project.
+     * @param {bigint|number} tokenId
+     * @param {{ hard?: boolean }} [options] `hard` burns the token instead of marking it revoked
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async revoke(tokenId, { hard = false } = {}) {
+        return this.sender.send(this.contract, "revoke", [tokenId, hard]);
+    }
+
+    /**
+     * Reinstates a soft-revoked membership, restoring the admin flag of "write:admin" memberships.
+     * Needs the "revoke" permission in the membership's project.
+     * @param {bigint|number} tokenId
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async reinstate(tokenId) {
+        return this.sender.send(this.contract, "reinstate", [tokenId]);
+    }
+
+    /**
+     * Sets a new expiration on a membership, keeping its token ID. Needs the "mint" permission in the
+     * membership's project.
+     * @param {bigint|number} tokenId
+     * @param {Date|number|bigint|null} expiration Date or unix seconds; null for no expiration
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async renew(tokenId, expiration) {
+        return this.sender.send(this.contract, "renew", [tokenId, parseExpiration(expiration)]);
+    }
+
+    /**
+     * Pushes a membership's expiration back by `seconds`, counting from now if it already expired.
+     * Needs the "mint" permission in the membership's project.
+     * @param {bigint|number} tokenId
+     * @param {bigint|number} seconds
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async extend(tokenId, seconds) {
+        return this.sender.send(this.contract, "extend", [tokenId, seconds]);
+    }
+
+    /**
+     * Replaces the permissions an account holds in a project. Only the owner, a write admin or an account with
+     * the "manage-project" permission in that project may call this.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId Must not be 0, which is reserved for admin memberships
+     * @param {string} params.account
+     * @param {string[]} params.permissions Names from MembershipClient.PERMISSIONS; empty removes every permission
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async setProjectPermissions({ projectId, account, permissions }) {
+        const mask = permissionMask(permissions);
+        return this.sender.send(this.contract, "setProjectPermissions", [projectId, toChecksumAddress(account, "account"), mask]);
+    }
+
+    /**
+     * Lists the permissions explicitly granted to an account in a project. The owner and write admins hold
+     * every permission without being listed here.
+     * @param {bigint|number} projectId
+     * @param {string} account
+     * @returns {Promise<string[]>} Names from MembershipClient.PERMISSIONS
+     */
+    async getProjectPermissions(projectId, account) {
+        const holder = toChecksumAddress(account, "account");
+        try {
+            const mask = await this.contract.projectPermissions(projectId, holder);
+            return Object.keys(PERMISSIONS).filter((permission) => (mask & PERMISSIONS[permission]) !== 0n);
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Checks whether an account may act with a permission in a project, counting the owner and write admins.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId
+     * @param {string} params.account
+     * @param {string} params.permission A name from MembershipClient.PERMISSIONS
+     * @returns {Promise<boolean>}
+     */
+    async hasProjectPermission({ projectId, account, permission }) {
+        const holder = toChecksumAddress(account, "account");
+        const mask = permissionMask([permission]);
+        try {
+            return await this.contract.hasProjectPermission(projectId, holder, mask);
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * @param {bigint|number} tokenId
+     * @returns {Promise<Membership|null>} null when the token does not exist or was burned
+     */
+    async viewMembership(tokenId) {
+        try {
+            const membership = toMembership(await this.contract.viewMembership(tokenId));
+            return membership.user === ZeroAddress ? null : membership;
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Looks up a user's membership of one type in a project. Admin ("write:admin") memberships live in project 0.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId
+     * @param {string} params.user The holder's address
+     * @param {string} params.membershipType
+     * @returns {Promise<Membership|null>} The holder's most recent membership of that type, or null when there is none
+     */
+    async getProjectMembership({ projectId, user, membershipType }) {
+        const holder = toChecksumAddress(user, "user");
+        requireString(membershipType, "membershipType");
+        try {
+            const membership = toMembership(await this.contract.viewProjectMembership(projectId, holder, membershipType));
+            return membership.user === ZeroAddress ? null : membership;
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Lists every membership a user holds in a project, revoked ones included.
+     * @param {string} user The holder's address
+     * @param {bigint|number} projectId
+     * @returns {Promise<Membership[]>}
+     */
+    async getUserProjectMemberships(user, projectId) {
+        const holder = toChecksumAddress(user, "user");
+        try {
+            return (await this.contract.viewUserProjectMemberships(holder, projectId)).map(toMembership);
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Checks whether a user currently holds a non-revoked, non-expired membership of a type in a project.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId 0 for admin memberships
+     * @param {string} params.user
+     * @param {string} params.membershipType
+     * @returns {Promise<boolean>}
+     */
+    async hasValidMembership({ projectId, user, membershipType }) {
+        const holder = toChecksumAddress(user, "user");
+        requireString(membershipType, "membershipType");
+        try {
+            return await this.contract.hasValidMembership(holder, projectId, membershipType);
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Batch variant of hasValidMembership, answered by a single call.
+     * @param {Object} params
+     * @param {bigint|number} params.projectId
+     * @param {string[]} params.users
+     * @param {string} params.membershipType
+     * @returns {Promise<Map<string, boolean>>} Validity keyed by checksummed address
+     */
+    async hasValidMemberships({ projectId, users, membershipType }) {
+        const holders = users.map((user) => toChecksumAddress(user, "user"));
+        requireString(membershipType, "membershipType");
+        try {
+            const valid = await this.contract.hasValidMemberships(holders, projectId, membershipType);
+            return new Map(holders.map((holder, i) => [holder, valid[i]]));
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Fetches every membership that has not been burned, a page at a time so large collections stay
+     * under the RPC gas cap.
+     * @param {{ pageSize?: number }} [options]
+     * @returns {Promise<Membership[]>}
+     */
+    async viewAllMemberships({ pageSize = 100 } = {}) {
+        const memberships = [];
+        for await (const membership of this.iterateMemberships({}, { pageSize })) {
+            memberships.push(membership);
+        }
+        return memberships;
+    }
+
+    /**
+     * Lists memberships page by page, in token index order.
+     * @param {{ offset?: number, limit?: number }} [options]
+     * @returns {Promise<Membership[]>}
+     */
+    async getMemberships({ offset = 0, limit = 100 } = {}) {
+        try {
+            return (await this.contract.viewMemberships(offset, limit)).map(toMembership);
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Scans `limit` tokens from `offset` and returns the memberships among them that match `filter`.
+     * A page can be empty even when more matches follow; keep going until `nextOffset` is null.
+     * @param {MembershipFilter} [filter]
+     * @param {{ offset?: number, limit?: number }} [options]
+     * @returns {Promise<{ memberships: Membership[], nextOffset: number|null }>}
+     */
+    async queryMemberships(filter = {}, { offset = 0, limit = 100 } = {}) {
+        const struct = toFilterStruct(filter);
+        try {
+            const [memberships, nextOffset] = await this.contract.queryMemberships(struct, offset, limit);
+            return { memberships: memberships.map(toMembership), nextOffset: nextOffset === 0n ? null : Number(nextOffset) };
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Walks every membership matching `filter`, scanning `pageSize` tokens per call.
+     * @param {MembershipFilter} [filter]
+     * @param {{ pageSize?: number }} [options]
+     * @returns {AsyncGenerator<Membership>}
+     */
+    async *iterateMemberships(filter = {}, { pageSize = 100 } = {}) {
+        for (let offset = 0; offset !== null;) {
+            const page = await this.queryMemberships(filter, { offset, limit: pageSize });
+            yield* page.memberships;
+            offset = page.nextOffset;
+        }
+    }
+
+    /**
+     * Extracts the token IDs of every MembershipMinted event emitted by this contract in a receipt.
+     * @param {import("ethers").TransactionReceipt} receipt
+     * @returns {bigint[]}
+     */
+    parseMintedTokenIds(receipt) {
+        const address = this.contract.target.toLowerCase();
+        return receipt.logs
+            .filter((log) => log.address.toLowerCase() === address)
+            .map((log) => this.contract.interface.parseLog(log))
+            .filter((event) => event?.name === "MembershipMinted")
+            .map((event) => event.args.tokenId);
+    }
+}
+
+MembershipClient.PERMISSIONS = PERMISSIONS;
+MembershipClient.STATUSES = STATUSES;
+
+module.exports = MembershipClient;
+module.exports.toMembership = toMembership;
@@ -0,0 +1,271 @@
+const { SdkError, decodeRevert } = require("./errors");
+
+const TRANSIENT_CODES = new Set(["NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR"]);
+const TRANSIENT_MESSAGES = /rate limit|too many requests|429|timeout|timed out|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up|header not found/i;
+const NONCE_TOO_LOW = /nonce too low|nonce has already been used|NONCE_EXPIRED|already known/i;
+const UNDERPRICED = /underpriced|fee too low|REPLACEMENT_UNDERPRICED/i;
+
+const DEFAULTS = {
+    confirmations: 1,
+    maxRetries: 3,
+    retryDelayMs: 1000,
+    pollIntervalMs: 1000,
+    stuckTimeoutMs: 60000,
+    feeBumpPercent: 15,
+    maxReplacements: 3,
+    timeoutMs: 10 * 60 * 1000,
+};
+
+const senders = new WeakMap();
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function errorText(error) {
+    return [error?.code, error?.shortMessage, error?.message, error?.info?.error?.message, error?.error?.message].filter(Boolean).join(" ");
+}
+
+function isTransient(error) {
+    return TRANSIENT_CODES.has(error?.code) || TRANSIENT_MESSAGES.test(errorText(error));
+}
+
+function bump(value, percent) {
+    return value === null || value === undefined ? value : (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+/**
+ * Sends transactions for one signer. Nonces are assigned locally so that several transactions can
+ * be in flight without waiting for the RPC node to catch up, transient RPC errors are retried,
+ * transactions that are not mined within `stuckTimeoutMs` are replaced with bumped fees, and
+ * success is only reported after `confirmations` blocks.
+ */
+class TransactionSender {
+    /**
+     * @param {import("ethers").Signer} signer
+     * @param {Partial<typeof DEFAULTS>} [options]
+     */
+    constructor(signer, options = {}) {
+        if (!signer?.provider || typeof signer.sendTransaction !== "function") {
+            throw new SdkError("TransactionSender needs a signer connected to a provider", "MISSING_SIGNER");
+        }
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.options = { ...DEFAULTS, ...options };
+        this._nonce = null;
+        this._nonceLock = Promise.resolve();
+    }
+
+    /**
+     * Returns the sender shared by every client of a signer, creating it on first use.
+     * Options only apply when the sender is created.
+     * @param {import("ethers").Signer} signer
+     * @param {Partial<typeof DEFAULTS>} [options]
+     * @returns {TransactionSender}
+     */
+    static for(signer, options = {}) {
+        if (!senders.has(signer)) {
+            senders.set(signer, new TransactionSender(signer, options));
+        }
+        return senders.get(signer);
+    }
+
+    /**
+     * Calls a contract method and waits for the configured number of confirmations.
+     * @param {import("ethers").BaseContract} contract
+     * @param {string} method
+     * @param {Array} [args]
+     * @param {Object} [overrides] Transaction overrides such as `value` or `gasLimit`
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async send(contract, method, args = [], overrides = {}) {
+        return (await this.submit(contract, method, args, overrides)).wait();
+    }
+
+    /**
+     * Broadcasts a contract call without waiting for it to be mined.
+     * Reverts detected while estimating gas are thrown as ContractRevertError and do not consume a nonce.
+     * @returns {Promise<{ nonce: number, hash: string, hashes: string[], wait: function(): Promise<import("ethers").TransactionReceipt> }>}
+     */
+    async submit(contract, method, args = [], overrides = {}) {
+        let request;
+        try {
+            request = await contract.getFunction(method).populateTransaction(...args, overrides);
+        } catch (error) {
+            throw decodeRevert(error, contract.interface);
+        }
+        return this.submitTransaction(request, { iface: contract.interface });
+    }
+
+    /**
+     * Broadcasts a transaction request without waiting for it to be mined.
+     * @param {import("ethers").TransactionRequest} request
+     * @param {{ iface?: import("ethers").Interface }} [options] Used to decode reverts
+     */
+    async submitTransaction(request, { iface } = {}) {
+        let gasLimit = request.gasLimit;
+        if (gasLimit === undefined || gasLimit === null) {
+            gasLimit = await this._withRetries(() => this.signer.estimateGas(request)).catch((error) => {
+                throw decodeRevert(error, iface);
+            });
+        }
+
+        // Fees are looked up first: a nonce reserved for a transaction that is never broadcast would block every later one
+        const fees = await this._withRetries(() => this._fees());
+        const nonce = await this._nextNonce();
+        const pending = { nonce, hashes: [], request: { ...request, gasLimit, nonce, ...fees }, iface };
+
+        try {
+            await this._broadcast(pending);
+        } catch (error) {
+            // The nonce was never used; make the next transaction read it from the node again
+            this._nonce = null;
+            throw decodeRevert(error, iface);
+        }
+
+        return {
+            nonce,
+            get hash() {
+                return pending.hashes[pending.hashes.length - 1];
+            },
+            hashes: pending.hashes,
+            wait: () => this._wait(pending),
+        };
+    }
+
+    /** Forgets the locally tracked nonce so the next transaction reads it from the node. */
+    resetNonce() {
+        this._nonce = null;
+    }
+
+    async _nextNonce() {
+        const previous = this._nonceLock;
+        let release;
+        this._nonceLock = new Promise((resolve) => (release = resolve));
+        await previous;
+        try {
+            if (this._nonce === null) {
+                this._nonce = await this._withRetries(async () => this.provider.getTransactionCount(await this.signer.getAddress(), "pending"));
+            }
+            return this._nonce++;
+        } finally {
+            release();
+        }
+    }
+
+    async _fees() {
+        const feeData = await this.provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    async _withRetries(fn) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await fn();
+            } catch (error) {
+                if (attempt >= this.options.maxRetries || !isTransient(error)) {
+                    throw error;
+                }
+                await sleep(this.options.retryDelayMs * 2 ** attempt);
+            }
+        }
+    }
+
+    async _broadcast(pending) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const tx = await this.signer.sendTransaction(pending.request);
+                pending.hashes.push(tx.hash);
+                return;
+            } catch (error) {
+                const text = errorText(error);
+                if (NONCE_TOO_LOW.test(text) && pending.hashes.length === 0 && attempt === 0) {
+                    // Another process used the nonce: resynchronise and take the next free one
+                    this._nonce = null;
+                    pending.request.nonce = pending.nonce = await this._nextNonce();
+                    continue;
+                }
+                if (NONCE_TOO_LOW.test(text) && attempt > 0) {
+                    throw new SdkError(`Transaction with nonce ${pending.nonce} may have been accepted by a previous attempt; check the account before resending`, "TRANSACTION_UNKNOWN", { cause: error });
+                }
+                if (attempt >= this.options.maxRetries || !isTransient(error)) {
+                    throw error;
+                }
+                await sleep(this.options.retryDelayMs * 2 ** attempt);
+            }
+        }
+    }
+
+    async _replace(pending) {
+        const { feeBumpPercent } = this.options;
+        const fees = await this._fees();
+        const request = pending.request;
+        // Replacements must outbid the previous attempt and keep up with the current market
+        const next = (current, market) => {
+            const bumped = bump(current, feeBumpPercent);
+            return market !== null && market !== undefined && market > bumped ? market : bumped;
+        };
+        if (request.gasPrice !== undefined && request.gasPrice !== null) {
+            request.gasPrice = next(request.gasPrice, fees.gasPrice);
+        } else {
+            request.maxFeePerGas = next(request.maxFeePerGas, fees.maxFeePerGas);
+            request.maxPriorityFeePerGas = next(request.maxPriorityFeePerGas, fees.maxPriorityFeePerGas);
+        }
+        try {
+            const tx = await this.signer.sendTransaction(request);
+            pending.hashes.push(tx.hash);
+        } catch (error) {
+            // "nonce too low" means one of the earlier attempts was mined; the receipt poll picks it up.
+            // Underpriced and transient errors are retried on the next stuck timeout.
+            const text = errorText(error);
+            if (!NONCE_TOO_LOW.test(text) && !UNDERPRICED.test(text) && !isTransient(error)) {
+                throw decodeRevert(error, pending.iface);
+            }
+        }
+    }
+
+    async _wait(pending) {
+        const { confirmations, pollIntervalMs, stuckTimeoutMs, maxReplacements, timeoutMs } = this.options;
+        const started = Date.now();
+        let lastBroadcast = started;
+        let replacements = 0;
+
+        for (;;) {
+            let mined = false;
+            for (const hash of pending.hashes) {
+                const receipt = await this._withRetries(() => this.provider.getTransactionReceipt(hash));
+                if (!receipt) {
+                    continue;
+                }
+                if (receipt.status !== 1) {
+                    throw new SdkError(`Transaction ${hash} reverted`, "TRANSACTION_REVERTED");
+                }
+                // The receipt is fetched again on every poll, so a reorg that drops the block is noticed
+                const blockNumber = await this._withRetries(() => this.provider.getBlockNumber());
+                if (blockNumber - receipt.blockNumber + 1 >= confirmations) {
+                    return receipt;
+                }
+                mined = true;
+                break;
+            }
+
+            const now = Date.now();
+            if (now - started > timeoutMs) {
+                throw new SdkError(`Transaction with nonce ${pending.nonce} not mined after ${timeoutMs}ms (hashes ${pending.hashes.join(", ")})`, "TIMEOUT");
+            }
+            if (!mined && now - lastBroadcast > stuckTimeoutMs && replacements < maxReplacements) {
+                replacements++;
+                lastBroadcast = now;
+                await this._replace(pending);
+            }
+            await sleep(pollIntervalMs);
+        }
+    }
+}
+
+TransactionSender.DEFAULTS = DEFAULTS;
+
+module.exports = TransactionSender;
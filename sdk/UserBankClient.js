@@ -0,0 +1,320 @@
+const { ZeroHash, id, isHexString } = require("ethers");
+const { connectContract, requirePositiveInteger, requireString, toChecksumAddress } = require("./utils");
+const { SdkError, decodeRevert } = require("./errors");
+const TransactionSender = require("./TransactionSender");
+
+/** Role names accepted by the role methods, mapped to their on-chain identifiers */
+const ROLES = {
+    admin: ZeroHash,
+    upgrader: id("UPGRADER_ROLE"),
+    registrar: id("REGISTRAR_ROLE"),
+    pauser: id("PAUSER_ROLE"),
+};
+
+function roleId(role) {
+    if (Object.hasOwn(ROLES, role)) {
+        return ROLES[role];
+    }
+    if (isHexString(role, 32)) {
+        return role;
+    }
+    throw new SdkError(`Unknown role: ${role}; expected one of ${Object.keys(ROLES).join(", ")} or a bytes32 role id`, "INVALID_ARGUMENT");
+}
+
+/**
+ * Client for the UserBank proxy, which maps project wallet addresses to project GUIDs.
+ * Addresses are validated and checksummed before they reach the contract, so typos are
+ * rejected locally instead of reverting on-chain.
+ */
+class UserBankClient {
+    /**
+     * @param {import("ethers").Contract} contract A UserBank contract bound to a signer or provider
+     * @param {{ sender?: TransactionSender }} [options] Sender for writes; defaults to the shared sender of the contract's signer
+     */
+    constructor(contract, { sender } = {}) {
+        this.contract = contract;
+        this._sender = sender ?? null;
+    }
+
+    /**
+     * Creates a client for the UserBank deployment on the runner's network.
+     * @param {import("ethers").ContractRunner} runner A signer (for writes) or provider (read-only)
+     * @param {{ address?: string, sender?: TransactionSender }} [options] `address` overrides the address resolved from the network
+     * @returns {Promise<UserBankClient>}
+     */
+    static async connect(runner, options = {}) {
+        return new UserBankClient(await connectContract("UserBank", runner, options), options);
+    }
+
+    /** @returns {TransactionSender} The sender used for writes */
+    get sender() {
+        this._sender ??= TransactionSender.for(this.contract.runner);
+        return this._sender;
+    }
+
+    /** @returns {Promise<string>} The address of the UserBank proxy */
+    async getAddress() {
+        return this.contract.getAddress();
+    }
+
+    /**
+     * Maps a project wallet address to a project GUID. Only registrars may call this.
+     * @param {string} guid The project GUID
+     * @param {string} address The project wallet address
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async setProjectGuidToAddress(guid, address) {
+        requireString(guid, "guid");
+        const addr = toChecksumAddress(address);
+        return this.sender.send(this.contract, "setProjectGuidToAddress", [guid, addr]);
+    }
+
+    /**
+     * Sets several mappings in one transaction. Only registrars may call this.
+     * @param {{ guid: string, address: string }[]} mappings
+     * @param {Object} [overrides] Transaction overrides such as `gasLimit`
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async setProjectGuidsToAddresses(mappings, overrides = {}) {
+        const guids = mappings.map(({ guid }) => requireString(guid, "guid"));
+        const addrs = mappings.map(({ address }) => toChecksumAddress(address));
+        return this.sender.send(this.contract, "setProjectGuidsToAddresses", [guids, addrs], overrides);
+    }
+
+    /**
+     * Removes the mapping of a project wallet address. Only registrars may call this.
+     * @param {string} address The project wallet address
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async removeProjectGuid(address) {
+        return this.sender.send(this.contract, "removeProjectGuid", [toChecksumAddress(address)]);
+    }
+
+    /**
+     * Moves mappings written by UserBankV1, which keyed them by address string, to address keys.
+     * Only registrars may call this.
+     * @param {string[]} legacyKeys Address strings exactly as they were stored
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async migrateLegacyMappings(legacyKeys) {
+        return this.sender.send(this.contract, "migrateLegacyMappings", [legacyKeys]);
+    }
+
+    /**
+     * Looks up a mapping written by UserBankV1 that has not been migrated yet.
+     * @param {string} legacyKey The address string exactly as it was stored
+     * @returns {Promise<string|null>} The GUID, or null when none is stored under that string
+     */
+    async getLegacyProjectGuid(legacyKey) {
+        try {
+            const guid = await this.contract.getLegacyProjectGuid(legacyKey);
+            return guid === "" ? null : guid;
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Looks up the project GUID of a project wallet address.
+     * @param {string} address The project wallet address
+     * @returns {Promise<string|null>} The GUID, or null when none is stored
+     */
+    async getProjectGuid(address) {
+        const addr = toChecksumAddress(address);
+        try {
+            const guid = await this.contract.getProjectGuid(addr);
+            return guid === "" ? null : guid;
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Reverse lookup of the project wallet addresses mapped to a GUID.
+     * @param {string} guid
+     * @returns {Promise<string[]>}
+     */
+    async getAddressesForGuid(guid) {
+        requireString(guid, "guid");
+        try {
+            return [...(await this.contract.getAddressesForGuid(guid))];
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /** @returns {Promise<number>} The number of mappings */
+    async getMappingCount() {
+        try {
+            return Number(await this.contract.getMappingCount());
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Returns one page of mappings.
+     * @param {{ offset?: number, limit?: number }} [options]
+     * @returns {Promise<{ address: string, guid: string }[]>}
+     */
+    async getMappings({ offset = 0, limit = 100 } = {}) {
+        try {
+            const [addrs, guids] = await this.contract.getMappings(offset, limit);
+            return addrs.map((address, i) => ({ address, guid: guids[i] }));
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Walks every mapping, fetching `pageSize` at a time.
+     * @param {{ pageSize?: number }} [options]
+     * @returns {AsyncGenerator<{ address: string, guid: string }>}
+     */
+    async *iterateMappings({ pageSize = 100 } = {}) {
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.getMappings({ offset, limit: pageSize });
+            yield* page;
+            if (page.length < pageSize) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Grants a role. Only accounts with the admin role may call this.
+     * @param {string} role A name from UserBankClient.ROLES or a bytes32 role id
+     * @param {string} account
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async grantRole(role, account) {
+        return this.sender.send(this.contract, "grantRole", [roleId(role), toChecksumAddress(account, "account")]);
+    }
+
+    /**
+     * Revokes a role. Only accounts with the admin role may call this.
+     * @param {string} role A name from UserBankClient.ROLES or a bytes32 role id
+     * @param {string} account
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async revokeRole(role, account) {
+        return this.sender.send(this.contract, "revokeRole", [roleId(role), toChecksumAddress(account, "account")]);
+    }
+
+    /**
+     * @param {string} role A name from UserBankClient.ROLES or a bytes32 role id
+     * @param {string} account
+     * @returns {Promise<boolean>}
+     */
+    async hasRole(role, account) {
+        try {
+            return await this.contract.hasRole(roleId(role), toChecksumAddress(account, "account"));
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Lists the roles an account holds.
+     * @param {string} account
+     * @returns {Promise<string[]>} Role names from UserBankClient.ROLES
+     */
+    async getRoles(account) {
+        const roles = [];
+        for (const role of Object.keys(ROLES)) {
+            if (await this.hasRole(role, account)) {
+                roles.push(role);
+            }
+        }
+        return roles;
+    }
+
+    /**
+     * Stops every write until unpause is called. Only pausers may call this.
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async pause() {
+        return this.sender.send(this.contract, "pause", []);
+    }
+
+    /**
+     * Resumes writes. Only pausers may call this.
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async unpause() {
+        return this.sender.send(this.contract, "unpause", []);
+    }
+
+    /** @returns {Promise<boolean>} Whether writes are paused */
+    async paused() {
+        try {
+            return await this.contract.paused();
+        } catch (error) {
+            throw decodeRevert(error, this.contract.interface);
+        }
+    }
+
+    /**
+     * Replays ProjectGuidSet and ProjectGuidCleared events to build the change history of an address,
+     * a GUID, or the whole bank. A GUID's history includes changes that moved an address away from it.
+     * Logs are fetched `blockRange` blocks at a time since RPC providers cap the range of a log query.
+     * @param {Object} [options]
+     * @param {string} [options.address] Only changes to this project wallet address
+     * @param {string} [options.guid] Only changes that set or replaced this GUID
+     * @param {number} [options.fromBlock] First block to scan, such as the block the proxy was upgraded in
+     * @param {number} [options.toBlock] Last block to scan; defaults to the latest block
+     * @param {number} [options.blockRange] Largest number of blocks per log query
+     * @returns {Promise<{ type: "set"|"cleared", address: string, guid: string|null, previousGuid: string|null, operator: string, blockNumber: number, timestamp: Date, transactionHash: string, logIndex: number }[]>}
+     *   Changes in chain order
+     */
+    async getHistory({ address, guid, fromBlock = 0, toBlock, blockRange = 10000 } = {}) {
+        const addr = address === undefined ? null : toChecksumAddress(address);
+        if (guid !== undefined) {
+            requireString(guid, "guid");
+        }
+        requirePositiveInteger(blockRange, "blockRange");
+        const provider = this.contract.runner.provider ?? this.contract.runner;
+        const lastBlock = toBlock ?? await provider.getBlockNumber();
+        const filters = [this.contract.filters.ProjectGuidSet(addr), this.contract.filters.ProjectGuidCleared(addr)];
+
+        const logs = [];
+        for (let from = fromBlock; from <= lastBlock; from += blockRange) {
+            const to = Math.min(from + blockRange - 1, lastBlock);
+            for (const filter of filters) {
+                logs.push(...await this.contract.queryFilter(filter, from, to));
+            }
+        }
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const timestamps = new Map();
+        const history = [];
+        for (const log of logs) {
+            const set = log.fragment.name === "ProjectGuidSet";
+            const entry = {
+                type: set ? "set" : "cleared",
+                address: log.args.addr,
+                guid: set ? log.args.guid : null,
+                previousGuid: log.args.previousGuid === "" ? null : log.args.previousGuid,
+                operator: log.args.operator,
+                blockNumber: log.blockNumber,
+                timestamp: null,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+            };
+            if (guid !== undefined && entry.guid !== guid && entry.previousGuid !== guid) {
+                continue;
+            }
+            if (!timestamps.has(log.blockNumber)) {
+                const block = await provider.getBlock(log.blockNumber);
+                timestamps.set(log.blockNumber, new Date(block.timestamp * 1000));
+            }
+            entry.timestamp = timestamps.get(log.blockNumber);
+            history.push(entry);
+        }
+        return history;
+    }
+}
+
+UserBankClient.ROLES = ROLES;
+
+module.exports = UserBankClient;
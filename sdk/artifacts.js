@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+const { SdkError } = require("./errors");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+// Contract name -> Solidity source file it is compiled from
+const SOURCES = {
+    UserBank: "UserBank.sol",
+    RevokableMembershipNFT: "MembershipNFT.sol",
+    SimpleERC1155: "ERC1155.sol",
+    SimpleERC20: "BasicERC20.sol",
+    BasicNFT: "BasicNFT.sol",
+};
+
+const cache = new Map();
+
+/**
+ * Loads the Hardhat artifact (abi, bytecode, ...) of one of this package's contracts.
+ * @param {string} contractName e.g. "UserBank"
+ * @returns {{ contractName: string, abi: object[], bytecode: string }}
+ */
+function loadArtifact(contractName) {
+    if (cache.has(contractName)) {
+        return cache.get(contractName);
+    }
+    if (!Object.hasOwn(SOURCES, contractName)) {
+        throw new SdkError(`Unknown contract ${contractName}`, "UNKNOWN_CONTRACT");
+    }
+    const file = path.join(ARTIFACTS_DIR, SOURCES[contractName], `${contractName}.json`);
+    if (!fs.existsSync(file)) {
+        throw new SdkError(`Artifact for ${contractName} not found at ${file}; run \`npx hardhat compile\` first`, "ARTIFACT_NOT_FOUND");
+    }
+    const artifact = JSON.parse(fs.readFileSync(file, "utf8"));
+    cache.set(contractName, artifact);
+    return artifact;
+}
+
+module.exports = {
+    loadArtifact,
+};
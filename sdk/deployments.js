@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+const { SdkError } = require("./errors");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * @typedef {Object} DeploymentRecord
+ * @property {string} address The address to interact with (the proxy for upgradeable contracts)
+ * @property {string|null} transactionHash The deployment transaction
+ * @property {number|null} blockNumber The block the deployment was mined in
+ * @property {string} [implementation] The implementation behind the proxy, for UUPS contracts
+ */
+
+function registryFile(chainId, dir = DEFAULT_DIR) {
+    return path.join(dir, `${Number(chainId)}.json`);
+}
+
+/**
+ * Reads the deployment registry of a chain.
+ * @param {bigint|number} chainId
+ * @param {{ dir?: string }} [options] Directory holding the `<chainId>.json` files
+ * @returns {{ chainId: number, network: string|null, contracts: Object<string, DeploymentRecord> }}
+ */
+function readDeployments(chainId, { dir = DEFAULT_DIR } = {}) {
+    const file = registryFile(chainId, dir);
+    if (!fs.existsSync(file)) {
+        return { chainId: Number(chainId), network: null, contracts: {} };
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Stores (or replaces) the deployment record of a contract in the registry of a chain.
+ * @param {bigint|number} chainId
+ * @param {string} contractName
+ * @param {DeploymentRecord} record
+ * @param {{ dir?: string, network?: string }} [options]
+ * @returns {string} The path of the registry file that was written
+ */
+function recordDeployment(chainId, contractName, record, { dir = DEFAULT_DIR, network } = {}) {
+    const registry = readDeployments(chainId, { dir });
+    registry.network = network ?? registry.network;
+    registry.contracts[contractName] = {
+        ...record,
+        address: getAddress(record.address),
+        ...(record.implementation ? { implementation: getAddress(record.implementation) } : {}),
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = registryFile(chainId, dir);
+    fs.writeFileSync(file, `${JSON.stringify(registry, null, 2)}\n`);
+    return file;
+}
+
+/**
+ * @param {bigint|number} chainId
+ * @param {string} contractName
+ * @param {{ dir?: string }} [options]
+ * @returns {DeploymentRecord|null}
+ */
+function getDeployment(chainId, contractName, options = {}) {
+    return readDeployments(chainId, options).contracts[contractName] ?? null;
+}
+
+/**
+ * Resolves the deployed address of a contract on a given chain from the registry.
+ * @param {string} contractName e.g. "UserBank"
+ * @param {bigint|number} chainId
+ * @param {{ dir?: string }} [options]
+ * @returns {string} The checksummed address
+ */
+function resolveAddress(contractName, chainId, options = {}) {
+    const deployment = getDeployment(chainId, contractName, options);
+    if (!deployment) {
+        throw new SdkError(`No ${contractName} deployment recorded for chainId ${chainId}; pass an address explicitly`, "ADDRESS_NOT_FOUND");
+    }
+    return getAddress(deployment.address);
+}
+
+module.exports = {
+    readDeployments,
+    recordDeployment,
+    getDeployment,
+    resolveAddress,
+};
@@ -0,0 +1,105 @@
+const { SdkError, decodeRevert } = require("./errors");
+const { readRecords } = require("./files");
+const { requirePositiveInteger, toChecksumAddress } = require("./utils");
+
+/**
+ * Reads a file of airdrop recipients: a CSV with `address` and `amount` columns, or a JSON array
+ * of `{ address, amount }` objects. When an address appears more than once its amounts are added up.
+ * @param {string} file
+ * @returns {{ address: string, amount: bigint }[]}
+ */
+function loadRecipientsFile(file) {
+    const recipients = new Map();
+    readRecords(file).forEach((record, index) => {
+        try {
+            const address = toChecksumAddress(record.address);
+            if (!/^\d+$/.test(String(record.amount ?? "")) || BigInt(record.amount) === 0n) {
+                throw new SdkError(`amount must be a positive integer, got ${record.amount}`, "INVALID_ARGUMENT");
+            }
+            recipients.set(address, (recipients.get(address) ?? 0n) + BigInt(record.amount));
+        } catch (error) {
+            throw new SdkError(`Invalid row ${index + 1}: ${error.message}`, "INVALID_ARGUMENT", { cause: error });
+        }
+    });
+    return [...recipients].map(([address, amount]) => ({ address, amount }));
+}
+
+/**
+ * Mints one SimpleERC1155 id to many recipients with `airdrop`, in chunks. A chunk whose estimated gas
+ * exceeds `maxGasFraction` of the block gas limit is halved until it fits. If a chunk fails after others
+ * were minted (including a single recipient that is over the gas cap), the error has code AIRDROP_INCOMPLETE and `details.resumeFrom` is the `startAt` to rerun with.
+ * @param {import("ethers").Contract} token A SimpleERC1155 contract bound to its owner
+ * @param {import("./TransactionSender")} sender
+ * @param {{ address: string, amount: bigint }[]} recipients
+ * @param {Object} options
+ * @param {bigint|number} options.id
+ * @param {bigint} [options.expiration] Unix seconds, 0 for no expiration; only used if the id is new
+ * @param {boolean} [options.transferable] Only used if the id is new
+ * @param {string} [options.data]
+ * @param {number} [options.chunkSize] Largest number of recipients per transaction
+ * @param {number} [options.startAt] Index of the first recipient to mint to, to resume an AIRDROP_INCOMPLETE error's `resumeFrom`
+ * @param {number} [options.maxGasFraction] Share of the block gas limit a chunk may use
+ * @param {function(Object): void} [options.onChunk] Called after each chunk is confirmed
+ * @returns {Promise<{ total: number, amount: bigint, chunks: Object[] }>}
+ */
+async function airdropErc1155(token, sender, recipients, {
+    id,
+    expiration = 0n,
+    transferable = false,
+    data = "0x",
+    chunkSize = 200,
+    startAt = 0,
+    maxGasFraction = 0.5,
+    onChunk = () => {},
+}) {
+    if (recipients.length === 0) {
+        throw new SdkError("No recipients to airdrop to", "INVALID_ARGUMENT");
+    }
+    requirePositiveInteger(chunkSize, "chunkSize");
+    const { gasLimit: blockGasLimit } = await token.runner.provider.getBlock("latest");
+    const gasCap = (blockGasLimit * BigInt(Math.round(maxGasFraction * 10000))) / 10000n;
+
+    const chunks = [];
+    // Once a chunk is minted the caller must resume rather than start over
+    const stopped = (error, from) => (chunks.length === 0 ? error : new SdkError(`Airdrop stopped at recipient ${from}: ${error.message}`, "AIRDROP_INCOMPLETE", {
+        cause: error,
+        details: { resumeFrom: from, chunks },
+    }));
+    let size = chunkSize;
+    for (let from = startAt; from < recipients.length;) {
+        const chunk = recipients.slice(from, from + size);
+        const args = [id, chunk.map(({ address }) => address), chunk.map(({ amount }) => amount), expiration, transferable, data];
+        let gas;
+        try {
+            gas = await token.airdrop.estimateGas(...args);
+        } catch (error) {
+            throw stopped(decodeRevert(error, token.interface), from);
+        }
+        if (gas > gasCap) {
+            if (chunk.length === 1) {
+                throw stopped(new SdkError(`Airdrop to ${chunk[0].address} needs ${gas} gas, above the ${gasCap} cap`, "GAS_LIMIT_EXCEEDED"), from);
+            }
+            size = Math.ceil(chunk.length / 2);
+            continue;
+        }
+
+        let receipt;
+        try {
+            receipt = await sender.send(token, "airdrop", args, { gasLimit: (gas * 12n) / 10n });
+        } catch (error) {
+            throw stopped(error, from);
+        }
+        const result = { from, to: from + chunk.length, transactionHash: receipt.hash, gasUsed: receipt.gasUsed };
+        chunks.push(result);
+        onChunk(result);
+        from += chunk.length;
+    }
+
+    const minted = recipients.slice(startAt);
+    return { total: minted.length, amount: minted.reduce((sum, { amount }) => sum + amount, 0n), chunks };
+}
+
+module.exports = {
+    loadRecipientsFile,
+    airdropErc1155,
+};
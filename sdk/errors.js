@@ -0,0 +1,97 @@
+const { AbiCoder, dataSlice } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * Base error for everything thrown by the SDK.
+ * `code` is a stable, machine-readable identifier (e.g. "INVALID_ADDRESS"); `details` optionally
+ * carries structured data about the failure.
+ */
+class SdkError extends Error {
+    constructor(message, code, options = {}) {
+        super(message, { cause: options.cause });
+        this.name = "SdkError";
+        this.code = code;
+        if (options.details !== undefined) {
+            this.details = options.details;
+        }
+    }
+}
+
+/**
+ * Thrown when a contract call reverts. `errorName` and `args` are populated when the
+ * revert data matches a custom error in the contract ABI; `reason` holds the
+ * require() message for plain `Error(string)` reverts.
+ */
+class ContractRevertError extends SdkError {
+    constructor(message, { reason = null, errorName = null, args = [], data = null, cause } = {}) {
+        super(message, "CALL_REVERTED", { cause });
+        this.name = "ContractRevertError";
+        this.reason = reason;
+        this.errorName = errorName;
+        this.args = args;
+        this.data = data;
+    }
+}
+
+function findRevertData(error) {
+    const candidates = [error?.data, error?.info?.error?.data, error?.error?.data, error?.info?.error?.data?.data];
+    return candidates.find((data) => typeof data === "string" && data.startsWith("0x") && data.length >= 10) ?? null;
+}
+
+/**
+ * Converts an ethers error into a ContractRevertError when it carries revert data.
+ * Errors that are not reverts (network failures, user rejections, ...) are returned unchanged.
+ * @param {Error} error The error thrown by ethers
+ * @param {import("ethers").Interface} iface The interface of the contract that was called
+ * @returns {Error}
+ */
+function decodeRevert(error, iface) {
+    if (error instanceof SdkError) {
+        return error;
+    }
+    const data = findRevertData(error);
+    if (!data && error?.code !== "CALL_EXCEPTION") {
+        return error;
+    }
+
+    if (data) {
+        const selector = dataSlice(data, 0, 4);
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+            return new ContractRevertError(`Execution reverted: ${reason}`, { reason, data, cause: error });
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [panicCode] = AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4));
+            return new ContractRevertError(`Execution panicked with code 0x${panicCode.toString(16)}`, {
+                errorName: "Panic",
+                args: [panicCode],
+                data,
+                cause: error,
+            });
+        }
+        const parsed = iface?.parseError(data);
+        if (parsed) {
+            return new ContractRevertError(`Execution reverted: ${parsed.signature}`, {
+                errorName: parsed.name,
+                args: [...parsed.args],
+                data,
+                cause: error,
+            });
+        }
+    }
+
+    const reason = error.reason ?? null;
+    return new ContractRevertError(reason ? `Execution reverted: ${reason}` : "Execution reverted", {
+        reason,
+        data,
+        cause: error,
+    });
+}
+
+module.exports = {
+    SdkError,
+    ContractRevertError,
+    decodeRevert,
+};
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const { SdkError } = require("./errors");
+
+function splitCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === "\"" && line[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parses CSV with a header row into objects keyed by column name.
+ * Blank lines and lines starting with `#` are skipped; fields may be double-quoted.
+ * @param {string} content
+ * @returns {Object<string, string>[]}
+ */
+function parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "" && !line.trimStart().startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = splitCsvLine(lines[0]);
+    return lines.slice(1).map((line) => {
+        const fields = splitCsvLine(line);
+        return Object.fromEntries(header.map((name, i) => [name, fields[i] ?? ""]));
+    });
+}
+
+/**
+ * Reads the records of a `.json` file (an array of objects) or of a CSV file.
+ * @param {string} file
+ * @returns {Object[]}
+ */
+function readRecords(file) {
+    const content = fs.readFileSync(file, "utf8");
+    const records = path.extname(file).toLowerCase() === ".json" ? JSON.parse(content) : parseCsv(content);
+    if (!Array.isArray(records)) {
+        throw new SdkError(`${file} must contain an array of records`, "INVALID_ARGUMENT");
+    }
+    return records;
+}
+
+module.exports = {
+    parseCsv,
+    readRecords,
+};
@@ -0,0 +1,42 @@
+const UserBankClient = require("./UserBankClient");
+const MembershipClient = require("./MembershipClient");
+const TransactionSender = require("./TransactionSender");
+const { SdkError, ContractRevertError, decodeRevert } = require("./errors");
+const { loadArtifact } = require("./artifacts");
+const { loadProvisioningFile, provisionMemberships } = require("./provisioning");
+const { createMembershipGuard } = require("./membershipGuard");
+const { extendMemberships } = require("./renewals");
+const { loadMappingFile, importProjectGuids, migrateLegacyProjectGuids } = require("./userBankImport");
+const { loadRecipientsFile, airdropErc1155 } = require("./erc1155Airdrop");
+const MembershipIndexer = require("./indexer");
+const { VOUCHER_TYPES, normalizeVoucher, getVoucherDomain, signVoucher, verifyVoucher } = require("./vouchers");
+const { readDeployments, recordDeployment, getDeployment, resolveAddress } = require("./deployments");
+
+module.exports = {
+    UserBankClient,
+    MembershipClient,
+    TransactionSender,
+    SdkError,
+    ContractRevertError,
+    decodeRevert,
+    loadArtifact,
+    readDeployments,
+    recordDeployment,
+    getDeployment,
+    resolveAddress,
+    loadProvisioningFile,
+    provisionMemberships,
+    createMembershipGuard,
+    extendMemberships,
+    loadMappingFile,
+    importProjectGuids,
+    migrateLegacyProjectGuids,
+    loadRecipientsFile,
+    airdropErc1155,
+    MembershipIndexer,
+    VOUCHER_TYPES,
+    normalizeVoucher,
+    getVoucherDomain,
+    signVoucher,
+    verifyVoucher,
+};
@@ -0,0 +1,396 @@
+const { SdkError } = require("./errors");
+
+// Largest value SQLite can hold in an INTEGER column
+const MAX_INTEGER = 2n ** 63n - 1n;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS contracts (
+        address TEXT PRIMARY KEY,
+        name TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS logs (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        address TEXT NOT NULL,
+        topics TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE TABLE IF NOT EXISTS memberships (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        project_id TEXT,
+        holder TEXT NOT NULL,
+        membership_type TEXT,
+        expiration INTEGER NOT NULL DEFAULT 0,
+        revoked INTEGER NOT NULL DEFAULT 0,
+        transferable INTEGER NOT NULL DEFAULT 0,
+        burned INTEGER NOT NULL DEFAULT 0,
+        updated_block INTEGER NOT NULL,
+        PRIMARY KEY (contract, token_id)
+    );
+    CREATE INDEX IF NOT EXISTS memberships_by_holder ON memberships (holder);
+    CREATE INDEX IF NOT EXISTS memberships_by_project ON memberships (project_id, membership_type);
+    CREATE TABLE IF NOT EXISTS erc1155_tokens (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        expiration INTEGER NOT NULL,
+        transferable INTEGER NOT NULL,
+        uri TEXT NOT NULL,
+        PRIMARY KEY (contract, token_id)
+    );
+    CREATE TABLE IF NOT EXISTS erc1155_balances (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        holder TEXT NOT NULL,
+        balance TEXT NOT NULL,
+        updated_block INTEGER NOT NULL,
+        PRIMARY KEY (contract, token_id, holder)
+    );
+    CREATE INDEX IF NOT EXISTS erc1155_balances_by_holder ON erc1155_balances (holder);
+    CREATE TABLE IF NOT EXISTS nfts (
+        contract TEXT NOT NULL,
+        token_id TEXT NOT NULL,
+        holder TEXT NOT NULL,
+        expiration INTEGER NOT NULL DEFAULT 0,
+        burned INTEGER NOT NULL DEFAULT 0,
+        updated_block INTEGER NOT NULL,
+        PRIMARY KEY (contract, token_id)
+    );
+    CREATE INDEX IF NOT EXISTS nfts_by_holder ON nfts (holder);
+`;
+
+// Tables holding state derived from the logs table, emptied and rebuilt after a reorg
+const STATE_TABLES = ["memberships", "erc1155_tokens", "erc1155_balances", "nfts"];
+
+function toInteger(value) {
+    const number = BigInt(value);
+    return number > MAX_INTEGER ? MAX_INTEGER : number;
+}
+
+function toExpiration(seconds) {
+    return seconds === 0 ? null : new Date(seconds * 1000);
+}
+
+function toMembershipRow(row) {
+    return {
+        contract: row.contract,
+        tokenId: BigInt(row.token_id),
+        projectId: row.project_id === null ? null : BigInt(row.project_id),
+        user: row.holder,
+        membershipType: row.membership_type,
+        isAdmin: row.membership_type === "write:admin" && !row.revoked,
+        expiration: toExpiration(row.expiration),
+        revoked: row.revoked === 1,
+        transferable: row.transferable === 1,
+        updatedBlock: row.updated_block,
+    };
+}
+
+/**
+ * SQLite storage behind MembershipIndexer. Every indexed log is kept in the `logs` table and the
+ * current state of each contract is derived from it, so a reorg is handled by deleting the orphaned
+ * logs and replaying the rest (see rollback). better-sqlite3 is loaded on first use, so the rest of
+ * the SDK works without the native module.
+ */
+class IndexStore {
+    /**
+     * @param {string} file Path of the database file, or ":memory:"
+     */
+    constructor(file) {
+        const Database = require("better-sqlite3");
+        this.db = new Database(file);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    /**
+     * Records which chain and contracts the database indexes, or checks them against what was recorded.
+     * An index built for other contracts would silently miss their earlier history, so it is rejected.
+     * @param {bigint|number} chainId
+     * @param {Object<string, string>} contracts Contract name -> checksummed address
+     */
+    bind(chainId, contracts) {
+        const storedChainId = this._getMeta("chainId");
+        const byAddress = (a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0);
+        const stored = this.db.prepare("SELECT address, name FROM contracts").all().sort(byAddress);
+        const wanted = Object.entries(contracts).map(([name, address]) => ({ address, name })).sort(byAddress);
+
+        if (storedChainId === null) {
+            this.db.transaction(() => {
+                this._setMeta("chainId", String(chainId));
+                const insert = this.db.prepare("INSERT INTO contracts (address, name) VALUES (?, ?)");
+                for (const { address, name } of wanted) {
+                    insert.run(address, name);
+                }
+            })();
+            return;
+        }
+        if (storedChainId !== String(chainId) || JSON.stringify(stored) !== JSON.stringify(wanted)) {
+            throw new SdkError(
+                `The index was built for chainId ${storedChainId} and ${stored.map(({ name, address }) => `${name} ${address}`).join(", ")}; use a new database file to index other contracts`,
+                "INDEX_MISMATCH",
+            );
+        }
+    }
+
+    /** @returns {Object<string, string>} Contract name -> address of every indexed contract */
+    getContracts() {
+        return Object.fromEntries(this.db.prepare("SELECT name, address FROM contracts ORDER BY name").all().map(({ name, address }) => [name, address]));
+    }
+
+    /** @returns {number|null} The last block whose logs have been applied */
+    getLastBlock() {
+        const value = this._getMeta("lastBlock");
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Stored block hashes from the most recent down, used to find where a reorg forked.
+     * @returns {{ number: number, hash: string }[]}
+     */
+    getBlocksDescending() {
+        return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    }
+
+    /**
+     * Stores a batch of logs, applies them to the state tables and moves the cursor, all in one transaction.
+     * @param {import("ethers").Log[]} logs Sorted by block and log index
+     * @param {{ number: number, hash: string }} tip The last block of the batch
+     * @param {function(Object): void} apply Applies one stored log to the state tables
+     */
+    append(logs, tip, apply) {
+        const insertLog = this.db.prepare(`
+            INSERT INTO logs (block_number, log_index, block_hash, transaction_hash, address, topics, data)
+            VALUES (@blockNumber, @index, @blockHash, @transactionHash, @address, @topics, @data)
+        `);
+        const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+
+        this.db.transaction(() => {
+            for (const log of logs) {
+                const row = { ...log, topics: JSON.stringify(log.topics) };
+                insertLog.run(row);
+                insertBlock.run(log.blockNumber, log.blockHash);
+                apply(this._toStoredLog(row));
+            }
+            insertBlock.run(tip.number, tip.hash);
+            this._setMeta("lastBlock", String(tip.number));
+        })();
+    }
+
+    /**
+     * Drops everything indexed after `blockNumber` and rebuilds the state tables from the logs that remain.
+     * @param {number} blockNumber The last block that is still on the canonical chain
+     * @param {function(Object): void} apply
+     * @returns {number} The number of logs dropped
+     */
+    rollback(blockNumber, apply) {
+        return this.db.transaction(() => {
+            const { changes } = this.db.prepare("DELETE FROM logs WHERE block_number > ?").run(blockNumber);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+            for (const table of STATE_TABLES) {
+                this.db.prepare(`DELETE FROM ${table}`).run();
+            }
+            for (const row of this.db.prepare("SELECT * FROM logs ORDER BY block_number, log_index").all()) {
+                apply(this._toStoredLog({
+                    blockNumber: row.block_number,
+                    index: row.log_index,
+                    blockHash: row.block_hash,
+                    transactionHash: row.transaction_hash,
+                    address: row.address,
+                    topics: row.topics,
+                    data: row.data,
+                }));
+            }
+            this._setMeta("lastBlock", String(blockNumber));
+            return changes;
+        })();
+    }
+
+    // ---- writes used while applying logs ----
+
+    upsertMembership(contract, tokenId, fields, blockNumber) {
+        this._upsert("memberships", contract, tokenId, fields, blockNumber);
+    }
+
+    insertErc1155Token(contract, tokenId, { expiration, transferable, uri }) {
+        // The contract only stores metadata on the first mint of an id, later mints just echo their arguments
+        this.db.prepare(`
+            INSERT OR IGNORE INTO erc1155_tokens (contract, token_id, expiration, transferable, uri) VALUES (?, ?, ?, ?, ?)
+        `).run(contract, String(tokenId), toInteger(expiration), transferable ? 1 : 0, uri);
+    }
+
+    updateErc1155Token(contract, tokenId, { expiration, transferable }) {
+        this.db.prepare("UPDATE erc1155_tokens SET expiration = ?, transferable = ? WHERE contract = ? AND token_id = ?")
+            .run(toInteger(expiration), transferable ? 1 : 0, contract, String(tokenId));
+    }
+
+    setErc1155TokenUri(contract, tokenId, uri) {
+        this.db.prepare("UPDATE erc1155_tokens SET uri = ? WHERE contract = ? AND token_id = ?").run(uri, contract, String(tokenId));
+    }
+
+    addErc1155Balance(contract, tokenId, holder, delta, blockNumber) {
+        const key = [contract, String(tokenId), holder];
+        const current = this.db.prepare("SELECT balance FROM erc1155_balances WHERE contract = ? AND token_id = ? AND holder = ?").get(...key);
+        const balance = BigInt(current?.balance ?? 0) + delta;
+        if (balance === 0n) {
+            this.db.prepare("DELETE FROM erc1155_balances WHERE contract = ? AND token_id = ? AND holder = ?").run(...key);
+        } else {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO erc1155_balances (contract, token_id, holder, balance, updated_block) VALUES (?, ?, ?, ?, ?)
+            `).run(...key, String(balance), blockNumber);
+        }
+    }
+
+    upsertNft(contract, tokenId, fields, blockNumber) {
+        this._upsert("nfts", contract, tokenId, fields, blockNumber);
+    }
+
+    // ---- queries ----
+
+    /**
+     * Lists indexed memberships that have not been burned.
+     * @param {Object} [filter]
+     * @param {string} [filter.contract]
+     * @param {bigint|number} [filter.projectId]
+     * @param {string} [filter.membershipType]
+     * @param {string} [filter.holder] A checksummed address
+     * @param {"any"|"active"|"expired"|"revoked"} [filter.status]
+     * @param {Date} [filter.now] Reference time for the status filter
+     * @param {number} [filter.offset]
+     * @param {number} [filter.limit] Defaults to every match
+     * @returns {(import("./MembershipClient").Membership & { contract: string, updatedBlock: number })[]}
+     */
+    getMemberships({ contract, projectId, membershipType, holder, status = "any", now = new Date(), offset = 0, limit = -1 } = {}) {
+        const conditions = ["burned = 0"];
+        const params = { now: Math.floor(now.getTime() / 1000), offset, limit };
+        for (const [column, value] of [["contract", contract], ["project_id", projectId], ["membership_type", membershipType], ["holder", holder]]) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`${column} = @${column}`);
+                params[column] = String(value);
+            }
+        }
+        const statuses = {
+            any: null,
+            active: "revoked = 0 AND (expiration = 0 OR expiration > @now)",
+            expired: "revoked = 0 AND expiration != 0 AND expiration <= @now",
+            revoked: "revoked = 1",
+        };
+        if (!Object.hasOwn(statuses, status)) {
+            throw new SdkError(`Unknown status: ${status}; expected one of ${Object.keys(statuses).join(", ")}`, "INVALID_ARGUMENT");
+        }
+        if (statuses[status]) {
+            conditions.push(statuses[status]);
+        }
+        return this.db.prepare(`
+            SELECT * FROM memberships WHERE ${conditions.join(" AND ")} ORDER BY contract, CAST(token_id AS INTEGER) LIMIT @limit OFFSET @offset
+        `).all(params).map(toMembershipRow);
+    }
+
+    /**
+     * @param {string} contract
+     * @param {bigint|number} tokenId
+     * @returns {(import("./MembershipClient").Membership & { contract: string, updatedBlock: number })|null} null when unknown or burned
+     */
+    getMembership(contract, tokenId) {
+        const row = this.db.prepare("SELECT * FROM memberships WHERE contract = ? AND token_id = ? AND burned = 0").get(contract, String(tokenId));
+        return row ? toMembershipRow(row) : null;
+    }
+
+    /**
+     * Lists non-zero SimpleERC1155 balances with the metadata of their token id.
+     * @param {{ contract?: string, holder?: string, tokenId?: bigint|number }} [filter]
+     * @returns {{ contract: string, tokenId: bigint, holder: string, balance: bigint, expiration: Date|null, transferable: boolean, uri: string|null }[]}
+     */
+    getErc1155Balances({ contract, holder, tokenId } = {}) {
+        const conditions = ["1 = 1"];
+        const params = {};
+        for (const [column, value] of [["contract", contract], ["holder", holder], ["token_id", tokenId]]) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`b.${column} = @${column}`);
+                params[column] = String(value);
+            }
+        }
+        return this.db.prepare(`
+            SELECT b.*, t.expiration, t.transferable, t.uri FROM erc1155_balances b
+            LEFT JOIN erc1155_tokens t ON t.contract = b.contract AND t.token_id = b.token_id
+            WHERE ${conditions.join(" AND ")} ORDER BY b.contract, CAST(b.token_id AS INTEGER), b.holder
+        `).all(params).map((row) => ({
+            contract: row.contract,
+            tokenId: BigInt(row.token_id),
+            holder: row.holder,
+            balance: BigInt(row.balance),
+            expiration: row.expiration === null ? null : toExpiration(row.expiration),
+            transferable: row.transferable === 1,
+            uri: row.uri,
+        }));
+    }
+
+    /**
+     * Lists BasicNFT tokens that have not been burned.
+     * @param {{ contract?: string, holder?: string }} [filter]
+     * @returns {{ contract: string, tokenId: bigint, holder: string, expiration: Date|null }[]}
+     */
+    getNfts({ contract, holder } = {}) {
+        const conditions = ["burned = 0"];
+        const params = {};
+        for (const [column, value] of [["contract", contract], ["holder", holder]]) {
+            if (value !== undefined && value !== null) {
+                conditions.push(`${column} = @${column}`);
+                params[column] = value;
+            }
+        }
+        return this.db.prepare(`
+            SELECT * FROM nfts WHERE ${conditions.join(" AND ")} ORDER BY contract, CAST(token_id AS INTEGER)
+        `).all(params).map((row) => ({
+            contract: row.contract,
+            tokenId: BigInt(row.token_id),
+            holder: row.holder,
+            expiration: toExpiration(row.expiration),
+        }));
+    }
+
+    /**
+     * Inserts a token row, or updates only `fields` when it exists. Logs of one transaction arrive in emission
+     * order, so e.g. the Transfer of a mint creates the row before MembershipMinted fills in its details.
+     */
+    _upsert(table, contract, tokenId, fields, blockNumber) {
+        const row = { holder: "", ...fields, contract, token_id: String(tokenId), updated_block: blockNumber };
+        const columns = Object.keys(row);
+        const updates = [...Object.keys(fields), "updated_block"].map((column) => `${column} = excluded.${column}`);
+        this.db.prepare(`
+            INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((column) => `@${column}`).join(", ")})
+            ON CONFLICT (contract, token_id) DO UPDATE SET ${updates.join(", ")}
+        `).run(row);
+    }
+
+    _toStoredLog(row) {
+        return { ...row, topics: JSON.parse(row.topics) };
+    }
+
+    _getMeta(key) {
+        return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+    }
+
+    _setMeta(key, value) {
+        this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, value);
+    }
+}
+
+IndexStore.toInteger = toInteger;
+
+module.exports = IndexStore;
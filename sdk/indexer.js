@@ -0,0 +1,220 @@
+const { Interface, ZeroAddress } = require("ethers");
+const { SdkError } = require("./errors");
+const { loadArtifact } = require("./artifacts");
+const { toChecksumAddress } = require("./utils");
+const IndexStore = require("./indexStore");
+
+// Contracts the indexer understands, and the events it follows on each of them
+const EVENTS = {
+    RevokableMembershipNFT: ["Transfer", "MembershipMinted", "MembershipRevoked", "MembershipRenewed", "MembershipReinstated"],
+    SimpleERC1155: ["TransferSingle", "TransferBatch", "ERC1155Minted", "TokenMetadataUpdated", "URI"],
+    BasicNFT: ["Transfer", "NftMinted"],
+};
+
+const APPLY = {
+    RevokableMembershipNFT(store, contract, event, blockNumber) {
+        const { args } = event;
+        switch (event.name) {
+        case "Transfer":
+            store.upsertMembership(contract, args.tokenId, { holder: args.to, burned: args.to === ZeroAddress ? 1 : 0 }, blockNumber);
+            break;
+        case "MembershipMinted":
+            store.upsertMembership(contract, args.tokenId, {
+                project_id: String(args.projectId),
+                membership_type: args.membershipType,
+                expiration: IndexStore.toInteger(args.expiration),
+                transferable: args.transferable ? 1 : 0,
+            }, blockNumber);
+            break;
+        case "MembershipRevoked":
+            store.upsertMembership(contract, args.tokenId, { revoked: 1 }, blockNumber);
+            break;
+        case "MembershipReinstated":
+            store.upsertMembership(contract, args.tokenId, { revoked: 0 }, blockNumber);
+            break;
+        case "MembershipRenewed":
+            store.upsertMembership(contract, args.tokenId, { expiration: IndexStore.toInteger(args.newExpiration) }, blockNumber);
+            break;
+        }
+    },
+
+    SimpleERC1155(store, contract, event, blockNumber) {
+        const { args } = event;
+        switch (event.name) {
+        case "TransferSingle":
+        case "TransferBatch": {
+            const ids = event.name === "TransferSingle" ? [args.id] : args.ids;
+            const values = event.name === "TransferSingle" ? [args.value] : args.values;
+            ids.forEach((id, i) => {
+                if (args.from !== ZeroAddress) {
+                    store.addErc1155Balance(contract, id, args.from, -values[i], blockNumber);
+                }
+                if (args.to !== ZeroAddress) {
+                    store.addErc1155Balance(contract, id, args.to, values[i], blockNumber);
+                }
+            });
+            break;
+        }
+        case "ERC1155Minted":
+            store.insertErc1155Token(contract, args.id, args);
+            break;
+        case "TokenMetadataUpdated":
+            store.updateErc1155Token(contract, args.id, args);
+            break;
+        case "URI":
+            store.setErc1155TokenUri(contract, args.id, args.value);
+            break;
+        }
+    },
+
+    BasicNFT(store, contract, event, blockNumber) {
+        const { args } = event;
+        switch (event.name) {
+        case "Transfer":
+            store.upsertNft(contract, args.tokenId, { holder: args.to, burned: args.to === ZeroAddress ? 1 : 0 }, blockNumber);
+            break;
+        case "NftMinted":
+            store.upsertNft(contract, args.tokenId, { expiration: IndexStore.toInteger(args.expiration) }, blockNumber);
+            break;
+        }
+    },
+};
+
+/**
+ * Follows the events of RevokableMembershipNFT, SimpleERC1155 and BasicNFT deployments and keeps
+ * their current state in a local SQLite file, so dashboards can query memberships, balances and
+ * holders without calling the contracts.
+ *
+ * Every indexed block hash is stored. Before each sync the newest stored hashes are compared with the
+ * chain; when they differ the index is rolled back to the last block both agree on and re-synced from
+ * there. Pass `confirmations` to stay behind the head and avoid most reorgs in the first place.
+ */
+class MembershipIndexer {
+    /**
+     * @param {import("ethers").Provider} provider
+     * @param {Object} options
+     * @param {string} options.database Path of the SQLite file, or ":memory:"
+     * @param {Object<string, string>} options.contracts Contract name (a key of MembershipIndexer.EVENTS) -> address
+     * @param {number} [options.fromBlock] First block to index, usually the deployment block
+     * @param {number} [options.confirmations] Blocks to stay behind the head
+     * @param {number} [options.blockRange] Blocks per eth_getLogs call, since RPC providers cap the range
+     */
+    constructor(provider, { database, contracts, fromBlock = 0, confirmations = 0, blockRange = 2000 }) {
+        if (!contracts || Object.keys(contracts).length === 0) {
+            throw new SdkError("Pass at least one contract to index", "INVALID_ARGUMENT");
+        }
+        this.provider = provider;
+        this.fromBlock = fromBlock;
+        this.confirmations = confirmations;
+        this.blockRange = blockRange;
+        this.contracts = {};
+        this._byAddress = new Map();
+        for (const [name, address] of Object.entries(contracts)) {
+            if (!Object.hasOwn(EVENTS, name)) {
+                throw new SdkError(`Cannot index ${name}; expected one of ${Object.keys(EVENTS).join(", ")}`, "INVALID_ARGUMENT");
+            }
+            const checksummed = toChecksumAddress(address, `${name} address`);
+            this.contracts[name] = checksummed;
+            this._byAddress.set(checksummed.toLowerCase(), { name, iface: new Interface(loadArtifact(name).abi) });
+        }
+        this.store = new IndexStore(database);
+        this._bound = false;
+    }
+
+    /** Closes the database. */
+    close() {
+        this.store.close();
+    }
+
+    /**
+     * Indexes every block up to the head (minus `confirmations`), first rolling back orphaned blocks.
+     * @returns {Promise<{ fromBlock: number, toBlock: number, logs: number, reorg: { fromBlock: number, droppedLogs: number }|null }>}
+     */
+    async sync() {
+        if (!this._bound) {
+            this.store.bind((await this.provider.getNetwork()).chainId, this.contracts);
+            this._bound = true;
+        }
+        const reorg = await this._handleReorg();
+        const head = await this.provider.getBlockNumber() - this.confirmations;
+        const lastBlock = this.store.getLastBlock();
+        const start = lastBlock === null ? this.fromBlock : lastBlock + 1;
+
+        let logs = 0;
+        for (let from = start; from <= head; from += this.blockRange) {
+            const to = Math.min(from + this.blockRange - 1, head);
+            const batch = (await this.provider.getLogs({ address: Object.values(this.contracts), fromBlock: from, toBlock: to }))
+                .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+                .map((log) => ({
+                    blockNumber: log.blockNumber,
+                    index: log.index,
+                    blockHash: log.blockHash,
+                    transactionHash: log.transactionHash,
+                    address: log.address,
+                    topics: [...log.topics],
+                    data: log.data,
+                }));
+            const tip = await this.provider.getBlock(to);
+            if (!tip) {
+                // Load-balanced RPC endpoints can answer from a node that has not seen the block yet
+                throw new SdkError(`Block ${to} is not available from the RPC node yet; sync again later`, "BLOCK_NOT_FOUND", { details: { blockNumber: to } });
+            }
+            this.store.append(batch, { number: to, hash: tip.hash }, (log) => this._apply(log));
+            logs += batch.length;
+        }
+        return { fromBlock: start, toBlock: Math.max(head, start - 1), logs, reorg };
+    }
+
+    /**
+     * Syncs every `intervalMs` until `signal` aborts.
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs]
+     * @param {AbortSignal} [options.signal]
+     * @param {function(Object): void} [options.onSync] Called with the result of every sync
+     * @returns {Promise<void>}
+     */
+    async follow({ intervalMs = 5000, signal, onSync = () => {} } = {}) {
+        while (!signal?.aborted) {
+            onSync(await this.sync());
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, intervalMs);
+                signal?.addEventListener("abort", () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+        }
+    }
+
+    async _handleReorg() {
+        const stored = this.store.getBlocksDescending();
+        for (let i = 0; i < stored.length; i++) {
+            const block = await this.provider.getBlock(stored[i].number);
+            if (block?.hash === stored[i].hash) {
+                if (i === 0) {
+                    return null;
+                }
+                const droppedLogs = this.store.rollback(stored[i].number, (log) => this._apply(log));
+                return { fromBlock: stored[i].number + 1, droppedLogs };
+            }
+        }
+        if (stored.length === 0) {
+            return null;
+        }
+        // Not even the oldest stored block survived: start over
+        const droppedLogs = this.store.rollback(this.fromBlock - 1, (log) => this._apply(log));
+        return { fromBlock: this.fromBlock, droppedLogs };
+    }
+
+    _apply(log) {
+        const contract = this._byAddress.get(log.address.toLowerCase());
+        const event = contract?.iface.parseLog(log);
+        if (event && EVENTS[contract.name].includes(event.name)) {
+            APPLY[contract.name](this.store, toChecksumAddress(log.address), event, log.blockNumber);
+        }
+    }
+}
+
+MembershipIndexer.EVENTS = EVENTS;
+
+module.exports = MembershipIndexer;
@@ -0,0 +1,52 @@
+const { SdkError } = require("./errors");
+const { requirePositiveInteger, requireString, toChecksumAddress } = require("./utils");
+
+/**
+ * Creates an authorization check for request handlers: the returned function resolves when an
+ * address holds a valid membership of `membershipType` in `projectId` and rejects with
+ * MEMBERSHIP_REQUIRED otherwise. Answers are cached for `cacheTtlMs` so a busy gateway does not
+ * make one RPC call per request; pass 0 to always ask the chain. At most `cacheSize` addresses are
+ * kept, evicting the least recently used, so callers cannot grow the cache by sending random addresses.
+ * @param {import("./MembershipClient")} client A MembershipClient, usually bound to a provider
+ * @param {Object} options
+ * @param {bigint|number} options.projectId 0 for admin memberships
+ * @param {string} options.membershipType
+ * @param {number} [options.cacheTtlMs]
+ * @param {number} [options.cacheSize]
+ * @returns {function(string): Promise<string>} Resolves with the checksummed address
+ */
+function createMembershipGuard(client, { projectId, membershipType, cacheTtlMs = 30000, cacheSize = 10000 }) {
+    requireString(membershipType, "membershipType");
+    requirePositiveInteger(cacheSize, "cacheSize");
+    // Maps iterate in insertion order, so re-inserting on every hit keeps the least recently used entry first
+    const cache = new Map();
+
+    return async function authorize(address) {
+        const user = toChecksumAddress(address, "user");
+        const cached = cache.get(user);
+        cache.delete(user);
+        let valid;
+        if (cached && cached.expiresAt > Date.now()) {
+            valid = cached.valid;
+            cache.set(user, cached);
+        } else {
+            valid = await client.hasValidMembership({ projectId, user, membershipType });
+            if (cacheTtlMs > 0) {
+                cache.set(user, { valid, expiresAt: Date.now() + cacheTtlMs });
+                if (cache.size > cacheSize) {
+                    cache.delete(cache.keys().next().value);
+                }
+            }
+        }
+        if (!valid) {
+            throw new SdkError(`${user} has no valid ${membershipType} membership for project ${projectId}`, "MEMBERSHIP_REQUIRED", {
+                details: { user, projectId: BigInt(projectId), membershipType },
+            });
+        }
+        return user;
+    };
+}
+
+module.exports = {
+    createMembershipGuard,
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const { id } = require("ethers");
+const { ContractRevertError, SdkError } = require("./errors");
+const { readRecords } = require("./files");
+const { parseBoolean, parseExpiration, requirePositiveInteger, requireString, toChecksumAddress } = require("./utils");
+
+/**
+ * @typedef {Object} ProvisioningRow
+ * @property {string} address The membership holder
+ * @property {bigint} projectId
+ * @property {string} membershipType
+ * @property {bigint} expiration Unix seconds, 0 for no expiration
+ * @property {boolean} transferable
+ */
+
+/**
+ * @typedef {Object} ProvisioningResult
+ * @property {number} index Position of the row in the input file
+ * @property {string} address
+ * @property {string} membershipType
+ * @property {"pending"|"sent"|"minted"|"failed"} status
+ * @property {string|null} tokenId
+ * @property {string|null} transactionHash
+ * @property {string|null} error
+ */
+
+/**
+ * Validates one input record and converts it into a ProvisioningRow.
+ * @param {Object} record
+ * @param {number} index
+ * @returns {ProvisioningRow}
+ */
+function toProvisioningRow(record, index) {
+    const label = `row ${index + 1}`;
+    try {
+        const projectId = String(record.projectId ?? "0");
+        if (!/^\d+$/.test(projectId)) {
+            throw new SdkError(`projectId must be a non-negative integer, got ${record.projectId}`, "INVALID_ARGUMENT");
+        }
+        return {
+            address: toChecksumAddress(record.address),
+            projectId: BigInt(projectId),
+            membershipType: requireString(record.membershipType, "membershipType"),
+            expiration: parseExpiration(record.expiration),
+            transferable: parseBoolean(record.transferable, "transferable"),
+        };
+    } catch (error) {
+        throw new SdkError(`Invalid ${label}: ${error.message}`, "INVALID_ARGUMENT", { cause: error });
+    }
+}
+
+/**
+ * Reads a provisioning file. CSV files need a header with the columns
+ * address, projectId, membershipType, expiration and transferable; JSON files hold an array of
+ * objects with the same keys. Extra columns are ignored.
+ * @param {string} file
+ * @returns {ProvisioningRow[]}
+ */
+function loadProvisioningFile(file) {
+    return readRecords(file).map(toProvisioningRow);
+}
+
+function fingerprint(rows) {
+    return id(JSON.stringify(rows, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+function writeState(statePath, state) {
+    const tmp = `${statePath}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(state, null, 2)}\n`);
+    fs.renameSync(tmp, statePath);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until every row marked as sent by a previous run is either mined or can no longer be: a
+ * transaction that is still in the mempool would otherwise be sent a second time. A row's transaction
+ * is gone once the account's mined nonce has moved past the row's nonce without a receipt, since
+ * another transaction (possibly a fee-bumped replacement, which reconcile matches by its event) used it.
+ */
+async function settleSent(client, state) {
+    const { pollIntervalMs, timeoutMs } = client.sender.options;
+    const provider = client.contract.runner.provider;
+    const account = await client.sender.signer.getAddress();
+    const started = Date.now();
+
+    for (const entry of state.rows) {
+        if (entry.status !== "sent" || entry.transactionHash === null || entry.nonce === null || entry.nonce === undefined) {
+            continue;
+        }
+        for (;;) {
+            if (await provider.getTransactionReceipt(entry.transactionHash)) {
+                break;
+            }
+            if ((await provider.getTransactionCount(account, "latest")) > entry.nonce) {
+                break;
+            }
+            if (Date.now() - started > timeoutMs) {
+                throw new SdkError(`Transaction ${entry.transactionHash} with nonce ${entry.nonce} is still pending; rerun once it is mined or dropped`, "TIMEOUT");
+            }
+            await sleep(pollIntervalMs);
+        }
+    }
+}
+
+/**
+ * Matches rows that are not marked as minted against MembershipMinted events emitted since the
+ * run started. This catches transactions that were broadcast right before a crash, before their
+ * hash reached the state file.
+ */
+async function reconcile(client, rows, state) {
+    await settleSent(client, state);
+
+    const claimed = new Set(state.rows.filter((entry) => entry.status === "minted").map((entry) => entry.tokenId));
+    const unresolved = state.rows.filter((entry) => entry.status !== "minted");
+    const holders = [...new Set(unresolved.map((entry) => rows[entry.index].address))];
+
+    for (const holder of holders) {
+        const events = await client.contract.queryFilter(client.contract.filters.MembershipMinted(null, null, holder), state.startBlock);
+        for (const event of events) {
+            const tokenId = event.args.tokenId.toString();
+            if (claimed.has(tokenId)) {
+                continue;
+            }
+            const entry = unresolved.find((candidate) => {
+                const row = rows[candidate.index];
+                // The contract mints write:admin memberships into project 0 whatever the row says
+                const projectId = row.membershipType === "write:admin" ? 0n : row.projectId;
+                return candidate.status !== "minted"
+                    && row.address === holder
+                    && projectId === event.args.projectId
+                    && row.membershipType === event.args.membershipType
+                    && row.expiration === event.args.expiration
+                    && row.transferable === event.args.transferable;
+            });
+            if (entry) {
+                Object.assign(entry, { status: "minted", tokenId, transactionHash: event.transactionHash, error: null });
+                claimed.add(tokenId);
+            }
+        }
+    }
+
+    // Every earlier transaction is now mined or gone, so whatever was never mined, or reverted, can safely be sent again
+    for (const entry of unresolved) {
+        if (entry.status !== "minted") {
+            Object.assign(entry, { status: "pending", transactionHash: null, nonce: null });
+        }
+    }
+}
+
+/**
+ * Mints a membership for every row, recording progress in a state file so that an interrupted run
+ * can be restarted with the same arguments without minting anything twice; rows that failed are
+ * retried on the next run, after waiting for transactions the interrupted run left in the mempool. Transactions go through the client's TransactionSender and up to
+ * `batchSize` of them are in flight at once.
+ * @param {import("./MembershipClient")} client A MembershipClient bound to a signer
+ * @param {ProvisioningRow[]} rows
+ * @param {Object} options
+ * @param {string} options.statePath Where progress is stored; reused on the next run
+ * @param {number} [options.batchSize] Maximum number of unconfirmed transactions
+ * @param {function(ProvisioningResult): void} [options.onProgress] Called whenever a row is minted or fails
+ * @returns {Promise<ProvisioningResult[]>}
+ */
+async function provisionMemberships(client, rows, { statePath, batchSize = 10, onProgress = () => {} }) {
+    requirePositiveInteger(batchSize, "batchSize");
+    const contract = client.contract;
+    const provider = contract.runner.provider;
+    const contractAddress = await contract.getAddress();
+
+    let state;
+    if (fs.existsSync(statePath)) {
+        state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+        if (state.fingerprint !== fingerprint(rows) || state.contract !== contractAddress) {
+            throw new SdkError(`${statePath} belongs to a different input file or contract; remove it to start over`, "STATE_MISMATCH");
+        }
+        await reconcile(client, rows, state);
+    } else {
+        state = {
+            contract: contractAddress,
+            fingerprint: fingerprint(rows),
+            startBlock: await provider.getBlockNumber(),
+            rows: rows.map((row, index) => ({ index, status: "pending", tokenId: null, transactionHash: null, nonce: null, error: null })),
+        };
+    }
+    writeState(statePath, state);
+
+    const pending = state.rows.filter((entry) => entry.status === "pending");
+
+    for (let start = 0; start < pending.length; start += batchSize) {
+        const inFlight = [];
+        for (const entry of pending.slice(start, start + batchSize)) {
+            const row = rows[entry.index];
+            try {
+                const tx = await client.sender.submit(contract, "mint", [row.projectId, row.address, row.membershipType, row.expiration, row.transferable]);
+                Object.assign(entry, { status: "sent", transactionHash: tx.hash, nonce: tx.nonce });
+                inFlight.push({ entry, tx });
+            } catch (error) {
+                if (!(error instanceof ContractRevertError)) {
+                    throw error;
+                }
+                // Rejected while estimating gas, so nothing was broadcast
+                Object.assign(entry, { status: "failed", error: error.message });
+                onProgress(toResult(rows, entry));
+            }
+            writeState(statePath, state);
+        }
+
+        for (const { entry, tx } of inFlight) {
+            try {
+                const receipt = await tx.wait();
+                const [tokenId] = client.parseMintedTokenIds(receipt);
+                Object.assign(entry, { status: "minted", tokenId: tokenId.toString(), transactionHash: receipt.hash });
+            } catch (error) {
+                if (error.code !== "TRANSACTION_REVERTED") {
+                    // The transaction may still be mined; leave it as "sent" for the next run to reconcile
+                    throw error;
+                }
+                Object.assign(entry, { status: "failed", error: error.message });
+            }
+            writeState(statePath, state);
+            onProgress(toResult(rows, entry));
+        }
+    }
+
+    return state.rows.map((entry) => toResult(rows, entry));
+}
+
+function toResult(rows, entry) {
+    const row = rows[entry.index];
+    return {
+        index: entry.index,
+        address: row.address,
+        projectId: row.projectId.toString(),
+        membershipType: row.membershipType,
+        status: entry.status,
+        tokenId: entry.tokenId,
+        transactionHash: entry.transactionHash,
+        error: entry.error,
+    };
+}
+
+module.exports = {
+    loadProvisioningFile,
+    provisionMemberships,
+};
@@ -0,0 +1,84 @@
+const { ContractRevertError, SdkError } = require("./errors");
+const { parseExpiration, requirePositiveInteger, requireString } = require("./utils");
+
+/**
+ * Extends every non-revoked membership of `membershipType` that expires before `expiringBefore`,
+ * either by `seconds` (see RevokableMembershipNFT.extend) or to a fixed `until` date. Memberships
+ * without an expiration are never selected. Running it twice is safe as long as the new
+ * expirations fall after `expiringBefore`, since extended memberships no longer match.
+ * @param {import("./MembershipClient")} client A MembershipClient bound to an account with the "mint" permission in the selected memberships' projects
+ * @param {Object} options
+ * @param {string} options.membershipType
+ * @param {Date|number|string} options.expiringBefore Date, unix seconds or ISO-8601 date
+ * @param {bigint|number} [options.seconds] Duration to add; exactly one of `seconds` and `until` is required
+ * @param {Date|number|string} [options.until] New expiration for every selected membership
+ * @param {bigint|number} [options.projectId] Only memberships of this project
+ * @param {boolean} [options.dryRun] Only report which memberships would be extended
+ * @param {number} [options.batchSize] Maximum number of unconfirmed transactions
+ * @param {function(Object): void} [options.onProgress] Called whenever a membership is extended or fails
+ * @returns {Promise<{ tokenId: bigint, user: string, projectId: bigint, previousExpiration: Date, status: string, transactionHash: string|null, error: string|null }[]>}
+ */
+async function extendMemberships(client, {
+    membershipType, expiringBefore, seconds, until, projectId, dryRun = false, batchSize = 10, onProgress = () => {},
+}) {
+    requireString(membershipType, "membershipType");
+    requirePositiveInteger(batchSize, "batchSize");
+    if ((seconds === undefined) === (until === undefined)) {
+        throw new SdkError("Pass exactly one of seconds and until", "INVALID_ARGUMENT");
+    }
+    const cutoff = parseExpiration(expiringBefore, "expiringBefore");
+    const newExpiration = until === undefined ? null : parseExpiration(until, "until");
+
+    const selected = [];
+    for await (const membership of client.iterateMemberships({ membershipType, projectId })) {
+        if (!membership.revoked && membership.expiration !== null && BigInt(membership.expiration.getTime() / 1000) < cutoff) {
+            selected.push(membership);
+        }
+    }
+
+    const results = selected.map((membership) => ({
+        tokenId: membership.tokenId,
+        user: membership.user,
+        projectId: membership.projectId,
+        previousExpiration: membership.expiration,
+        status: dryRun ? "selected" : "pending",
+        transactionHash: null,
+        error: null,
+    }));
+    if (dryRun) {
+        return results;
+    }
+
+    const [method, argument] = newExpiration === null ? ["extend", seconds] : ["renew", newExpiration];
+    for (let start = 0; start < results.length; start += batchSize) {
+        const inFlight = [];
+        for (const result of results.slice(start, start + batchSize)) {
+            try {
+                inFlight.push({ result, tx: await client.sender.submit(client.contract, method, [result.tokenId, argument]) });
+            } catch (error) {
+                if (!(error instanceof ContractRevertError)) {
+                    throw error;
+                }
+                Object.assign(result, { status: "failed", error: error.message });
+                onProgress(result);
+            }
+        }
+        for (const { result, tx } of inFlight) {
+            try {
+                const receipt = await tx.wait();
+                Object.assign(result, { status: "extended", transactionHash: receipt.hash });
+            } catch (error) {
+                if (error.code !== "TRANSACTION_REVERTED") {
+                    throw error;
+                }
+                Object.assign(result, { status: "failed", error: error.message });
+            }
+            onProgress(result);
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    extendMemberships,
+};
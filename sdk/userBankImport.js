@@ -0,0 +1,149 @@
+const { getAddress } = require("ethers");
+const { SdkError, decodeRevert } = require("./errors");
+const { readRecords } = require("./files");
+const { requirePositiveInteger, requireString, toChecksumAddress } = require("./utils");
+
+/**
+ * Reads a file of project GUID mappings: a CSV with `address` and `guid` columns, or a JSON array
+ * of `{ address, guid }` objects. When an address appears more than once the last GUID wins.
+ * @param {string} file
+ * @returns {{ address: string, guid: string }[]}
+ */
+function loadMappingFile(file) {
+    const mappings = new Map();
+    readRecords(file).forEach((record, index) => {
+        try {
+            const address = toChecksumAddress(record.address);
+            mappings.delete(address);
+            mappings.set(address, requireString(record.guid, "guid"));
+        } catch (error) {
+            throw new SdkError(`Invalid row ${index + 1}: ${error.message}`, "INVALID_ARGUMENT", { cause: error });
+        }
+    });
+    return [...mappings].map(([address, guid]) => ({ address, guid }));
+}
+
+/**
+ * Writes mappings with setProjectGuidsToAddresses in chunks, then reads every mapping back with
+ * getProjectGuid. A chunk whose estimated gas exceeds `maxGasFraction` of the block gas limit is
+ * halved until it fits.
+ * @param {import("./UserBankClient")} client A UserBankClient bound to a registrar
+ * @param {{ address: string, guid: string }[]} mappings
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] Largest number of mappings per transaction
+ * @param {number} [options.maxGasFraction] Share of the block gas limit a chunk may use
+ * @param {function(Object): void} [options.onChunk] Called after each chunk is confirmed
+ * @returns {Promise<{ total: number, chunks: Object[], mismatches: { address: string, expected: string, actual: string|null }[] }>}
+ */
+async function importProjectGuids(client, mappings, { chunkSize = 100, maxGasFraction = 0.5, onChunk = () => {} } = {}) {
+    requirePositiveInteger(chunkSize, "chunkSize");
+    const contract = client.contract;
+    const { gasLimit: blockGasLimit } = await contract.runner.provider.getBlock("latest");
+    const gasCap = (blockGasLimit * BigInt(Math.round(maxGasFraction * 10000))) / 10000n;
+
+    const chunks = [];
+    let size = chunkSize;
+    for (let from = 0; from < mappings.length;) {
+        const chunk = mappings.slice(from, from + size);
+        const args = [chunk.map(({ guid }) => guid), chunk.map(({ address }) => address)];
+        let gas;
+        try {
+            gas = await contract.setProjectGuidsToAddresses.estimateGas(...args);
+        } catch (error) {
+            throw decodeRevert(error, contract.interface);
+        }
+        if (gas > gasCap) {
+            if (chunk.length === 1) {
+                throw new SdkError(`Mapping for ${chunk[0].address} needs ${gas} gas, above the ${gasCap} cap`, "GAS_LIMIT_EXCEEDED");
+            }
+            size = Math.ceil(chunk.length / 2);
+            continue;
+        }
+
+        const receipt = await client.setProjectGuidsToAddresses(chunk, { gasLimit: (gas * 12n) / 10n });
+        const result = { from, to: from + chunk.length, transactionHash: receipt.hash, gasUsed: receipt.gasUsed };
+        chunks.push(result);
+        onChunk(result);
+        from += chunk.length;
+    }
+
+    const mismatches = [];
+    for (const { address, guid } of mappings) {
+        const actual = await client.getProjectGuid(address);
+        if (actual !== guid) {
+            mismatches.push({ address, expected: guid, actual });
+        }
+    }
+
+    return { total: mappings.length, chunks, mismatches };
+}
+
+/**
+ * Moves UserBankV1 mappings, which were keyed by whatever address string the writer passed, to
+ * address keys. Each key is tried as given, lowercased and checksummed, since the original casing
+ * is often unknown. Keys whose address already has a GUID are left in place and reported as
+ * conflicts for a registrar to resolve.
+ * @param {import("./UserBankClient")} client A UserBankClient bound to a registrar
+ * @param {string[]} legacyKeys Address strings that may have been written to UserBankV1
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] Largest number of keys per transaction
+ * @param {function(Object): void} [options.onChunk] Called after each chunk is confirmed
+ * @returns {Promise<{ migrated: Object[], conflicts: Object[], missing: string[], invalid: string[], chunks: Object[] }>}
+ */
+async function migrateLegacyProjectGuids(client, legacyKeys, { chunkSize = 100, onChunk = () => {} } = {}) {
+    requirePositiveInteger(chunkSize, "chunkSize");
+    const found = new Map();
+    const missing = [];
+    const invalid = [];
+    for (const key of legacyKeys) {
+        if (!/^(0x)?[0-9a-fA-F]{40}$/.test(key)) {
+            invalid.push(key);
+            continue;
+        }
+        const address = getAddress(`0x${key.slice(-40).toLowerCase()}`);
+        const variants = [...new Set([key, address.toLowerCase(), address])];
+        let hit = false;
+        for (const variant of variants) {
+            if (found.has(variant)) {
+                hit = true;
+                continue;
+            }
+            const guid = await client.getLegacyProjectGuid(variant);
+            if (guid !== null) {
+                found.set(variant, { key: variant, address, guid });
+                hit = true;
+            }
+        }
+        if (!hit) {
+            missing.push(key);
+        }
+    }
+
+    const entries = [...found.values()];
+    const chunks = [];
+    for (let from = 0; from < entries.length; from += chunkSize) {
+        const chunk = entries.slice(from, from + chunkSize);
+        const receipt = await client.migrateLegacyMappings(chunk.map(({ key }) => key));
+        const result = { from, to: from + chunk.length, transactionHash: receipt.hash, gasUsed: receipt.gasUsed };
+        chunks.push(result);
+        onChunk(result);
+    }
+
+    const migrated = [];
+    const conflicts = [];
+    for (const entry of entries) {
+        if ((await client.getLegacyProjectGuid(entry.key)) === null) {
+            migrated.push(entry);
+        } else {
+            conflicts.push({ key: entry.key, address: entry.address, legacyGuid: entry.guid, guid: await client.getProjectGuid(entry.address) });
+        }
+    }
+
+    return { migrated, conflicts, missing, invalid, chunks };
+}
+
+module.exports = {
+    loadMappingFile,
+    importProjectGuids,
+    migrateLegacyProjectGuids,
+};
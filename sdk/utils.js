@@ -0,0 +1,121 @@
+const { Contract, getAddress } = require("ethers");
+const { SdkError } = require("./errors");
+const { loadArtifact } = require("./artifacts");
+const { resolveAddress } = require("./deployments");
+
+/**
+ * Validates and checksums an address.
+ * @param {string} value
+ * @param {string} [label] Name of the argument, used in the error message
+ * @returns {string} The checksummed address
+ */
+function toChecksumAddress(value, label = "address") {
+    try {
+        return getAddress(value);
+    } catch (error) {
+        throw new SdkError(`Invalid ${label}: ${value}`, "INVALID_ADDRESS", { cause: error });
+    }
+}
+
+/**
+ * Validates that a value is a non-empty string.
+ * @param {string} value
+ * @param {string} label Name of the argument, used in the error message
+ * @returns {string}
+ */
+function requireString(value, label) {
+    if (typeof value !== "string" || value.length === 0) {
+        throw new SdkError(`${label} must be a non-empty string`, "INVALID_ARGUMENT");
+    }
+    return value;
+}
+
+/**
+ * Validates that a value is a positive integer, such as a batch or chunk size.
+ * @param {number} value
+ * @param {string} label Name of the argument, used in the error message
+ * @returns {number}
+ */
+function requirePositiveInteger(value, label) {
+    if (!Number.isSafeInteger(value) || value < 1) {
+        throw new SdkError(`${label} must be a positive integer, got ${value}`, "INVALID_ARGUMENT");
+    }
+    return value;
+}
+
+/**
+ * Parses a flag read from CSV or JSON: true, "true", "1" or "yes", and false, "false", "0", "no" or empty,
+ * in any case. Anything else is rejected rather than read as false.
+ * @param {boolean|string|number|null|undefined} value
+ * @param {string} label Name of the argument, used in the error message
+ * @returns {boolean}
+ */
+function parseBoolean(value, label) {
+    if (typeof value === "boolean") {
+        return value;
+    }
+    const normalized = String(value ?? "").trim().toLowerCase();
+    if (["true", "1", "yes"].includes(normalized)) {
+        return true;
+    }
+    if (["", "false", "0", "no"].includes(normalized)) {
+        return false;
+    }
+    throw new SdkError(`${label} must be true or false, got ${value}`, "INVALID_ARGUMENT");
+}
+
+/**
+ * Parses an expiration given as unix seconds, an ISO-8601 date, "never" or an empty string.
+ * @param {string|number|bigint|Date|null|undefined} value
+ * @param {string} [label] Name of the argument, used in the error message
+ * @returns {bigint} Unix seconds, 0 meaning no expiration
+ */
+function parseExpiration(value, label = "expiration") {
+    if (value === undefined || value === null || value === "" || value === "never") {
+        return 0n;
+    }
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        return BigInt(Math.floor(value.getTime() / 1000));
+    }
+    if (typeof value === "bigint" && value >= 0n) {
+        return value;
+    }
+    if ((typeof value === "number" && Number.isInteger(value) && value >= 0) || /^\d+$/.test(String(value))) {
+        return BigInt(value);
+    }
+    const date = typeof value === "string" ? new Date(value) : new Date(NaN);
+    if (Number.isNaN(date.getTime())) {
+        throw new SdkError(`${label} must be unix seconds, an ISO-8601 date or "never", got ${value}`, "INVALID_ARGUMENT");
+    }
+    return BigInt(Math.floor(date.getTime() / 1000));
+}
+
+/**
+ * Builds an ethers Contract for one of this package's contracts. When no address is given
+ * it is resolved from the chainId of the runner's network.
+ * @param {string} contractName
+ * @param {import("ethers").ContractRunner} runner A signer or provider
+ * @param {{ address?: string }} [options]
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function connectContract(contractName, runner, { address } = {}) {
+    const { abi } = loadArtifact(contractName);
+    if (address) {
+        return new Contract(toChecksumAddress(address, `${contractName} address`), abi, runner);
+    }
+    const provider = runner.provider ?? runner;
+    if (typeof provider.getNetwork !== "function") {
+        throw new SdkError(`Cannot resolve the ${contractName} address without a provider`, "MISSING_PROVIDER");
+    }
+    const { chainId } = await provider.getNetwork();
+    return new Contract(resolveAddress(contractName, chainId), abi, runner);
+}
+
+module.exports = {
+    toChecksumAddress,
+    requireString,
+    requirePositiveInteger,
+    parseBoolean,
+    parseExpiration,
+    connectContract,
+};
@@ -0,0 +1,181 @@
+const { randomBytes, toBigInt, verifyTypedData } = require("ethers");
+const { SdkError, decodeRevert } = require("./errors");
+const { toChecksumAddress, requireString, parseBoolean, parseExpiration } = require("./utils");
+
+// EIP-712 voucher types redeemed by each contract's redeemVoucher
+const VOUCHER_TYPES = {
+    RevokableMembershipNFT: {
+        MembershipVoucher: [
+            { name: "projectId", type: "uint256" },
+            { name: "to", type: "address" },
+            { name: "membershipType", type: "string" },
+            { name: "expiration", type: "uint256" },
+            { name: "transferable", type: "bool" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    },
+    SimpleERC1155: {
+        MintVoucher: [
+            { name: "to", type: "address" },
+            { name: "id", type: "uint256" },
+            { name: "amount", type: "uint256" },
+            { name: "expiration", type: "uint256" },
+            { name: "transferable", type: "bool" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    },
+    BasicNFT: {
+        MintVoucher: [
+            { name: "to", type: "address" },
+            { name: "expiration", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    },
+    SimpleERC20: {
+        MintVoucher: [
+            { name: "to", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    },
+};
+
+const DEFAULT_VALIDITY_SECONDS = 7n * 24n * 60n * 60n;
+const PERMISSION_MINT = 1n;
+
+function voucherTypes(contractName) {
+    if (!Object.hasOwn(VOUCHER_TYPES, contractName ?? "")) {
+        throw new SdkError(`Unknown voucher contract: ${contractName}; expected one of ${Object.keys(VOUCHER_TYPES).join(", ")}`, "INVALID_ARGUMENT");
+    }
+    return VOUCHER_TYPES[contractName];
+}
+
+function toUint(value, label) {
+    if (typeof value === "bigint" ? value >= 0n : /^\d+$/.test(String(value))) {
+        return BigInt(value);
+    }
+    throw new SdkError(`${label} must be a non-negative integer, got ${value}`, "INVALID_ARGUMENT");
+}
+
+async function latestTimestamp(contract) {
+    return BigInt((await contract.runner.provider.getBlock("latest")).timestamp);
+}
+
+/**
+ * Validates voucher fields and converts them to the values that are signed: addresses checksummed, integers as
+ * bigints and expirations/deadlines parsed like everywhere else in the SDK. Also accepts vouchers read back from JSON.
+ * The deadline cannot be "never": the contract would treat 0 as long expired.
+ * @param {string} contractName RevokableMembershipNFT, SimpleERC1155, BasicNFT or SimpleERC20
+ * @param {Object} fields
+ * @returns {Object} The voucher, with exactly the fields of the contract's voucher type
+ */
+function normalizeVoucher(contractName, fields) {
+    const [fieldTypes] = Object.values(voucherTypes(contractName));
+    const voucher = {};
+    for (const { name, type } of fieldTypes) {
+        const value = fields[name];
+        if (name === "expiration") {
+            voucher[name] = parseExpiration(value, name);
+        } else if (name === "deadline") {
+            voucher[name] = parseExpiration(value, name);
+            if (voucher[name] === 0n) {
+                throw new SdkError(`deadline must be unix seconds or an ISO-8601 date; a voucher cannot be valid forever, got ${value}`, "INVALID_ARGUMENT");
+            }
+        } else if (value === undefined || value === null) {
+            if (type !== "bool") {
+                throw new SdkError(`Voucher is missing ${name}`, "INVALID_ARGUMENT");
+            }
+            voucher[name] = false;
+        } else if (type === "address") {
+            voucher[name] = toChecksumAddress(value, name);
+        } else if (type === "string") {
+            voucher[name] = requireString(value, name);
+        } else if (type === "bool") {
+            voucher[name] = parseBoolean(value, name);
+        } else {
+            voucher[name] = toUint(value, name);
+        }
+    }
+    return voucher;
+}
+
+/**
+ * Reads the EIP-712 domain a contract verifies vouchers against (ERC-5267).
+ * @param {import("ethers").Contract} contract
+ * @returns {Promise<{ name: string, version: string, chainId: bigint, verifyingContract: string }>}
+ */
+async function getVoucherDomain(contract) {
+    try {
+        const [, name, version, chainId, verifyingContract] = await contract.eip712Domain();
+        return { name, version, chainId, verifyingContract };
+    } catch (error) {
+        throw decodeRevert(error, contract.interface);
+    }
+}
+
+/**
+ * Signs a mint voucher that anyone can redeem by calling `redeemVoucher(voucher, signature)` on the contract.
+ * The signer must be allowed to mint: the owner, or for memberships also an admin or, for non-admin types,
+ * an account holding the "mint" permission in the project.
+ * @param {import("ethers").Signer} signer
+ * @param {import("ethers").Contract} contract The contract that will redeem the voucher
+ * @param {string} contractName RevokableMembershipNFT, SimpleERC1155, BasicNFT or SimpleERC20
+ * @param {Object} fields The voucher fields. `nonce` defaults to a random 256-bit value and `deadline` to a week after the latest block
+ * @returns {Promise<{ contractName: string, voucher: Object, signature: string }>}
+ */
+async function signVoucher(signer, contract, contractName, fields) {
+    const types = voucherTypes(contractName);
+    // Deadlines are compared with block.timestamp, which can drift from the local clock
+    const deadline = fields.deadline ?? await latestTimestamp(contract) + DEFAULT_VALIDITY_SECONDS;
+    const voucher = normalizeVoucher(contractName, { ...fields, nonce: fields.nonce ?? toBigInt(randomBytes(32)), deadline });
+    const signature = await signer.signTypedData(await getVoucherDomain(contract), types, voucher);
+    return { contractName, voucher, signature };
+}
+
+/**
+ * Checks a signed voucher against the contract without sending a transaction.
+ * @param {import("ethers").Contract} contract
+ * @param {{ contractName: string, voucher: Object, signature: string }} signed As returned by signVoucher, or parsed from its JSON
+ * @param {{ now?: Date|number|bigint }} [options] `now` defaults to the latest block's timestamp
+ * @returns {Promise<{ signer: string, valid: boolean, expired: boolean, used: boolean, authorized: boolean }>}
+ *   `valid` is true when redeeming the voucher now should succeed
+ */
+async function verifyVoucher(contract, { contractName, voucher: fields, signature }, { now } = {}) {
+    const voucher = normalizeVoucher(contractName, fields);
+    const domain = await getVoucherDomain(contract);
+    let signer;
+    try {
+        signer = verifyTypedData(domain, voucherTypes(contractName), voucher, signature);
+    } catch (error) {
+        throw new SdkError("Voucher signature is malformed", "INVALID_SIGNATURE", { cause: error });
+    }
+
+    const timestamp = now === undefined ? await latestTimestamp(contract) : parseExpiration(now, "now");
+    try {
+        const used = await contract.isVoucherNonceUsed(signer, voucher.nonce);
+        let authorized;
+        if (contractName === "RevokableMembershipNFT") {
+            // Only the owner and admins hold permissions in project 0, which is where write:admin memberships live
+            const projectId = voucher.membershipType === "write:admin" ? 0n : voucher.projectId;
+            authorized = await contract.hasProjectPermission(projectId, signer, PERMISSION_MINT);
+        } else {
+            authorized = signer === await contract.owner();
+        }
+        const expired = voucher.deadline < timestamp;
+        return { signer, valid: !expired && !used && authorized, expired, used, authorized };
+    } catch (error) {
+        throw decodeRevert(error, contract.interface);
+    }
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    normalizeVoucher,
+    getVoucherDomain,
+    signVoucher,
+    verifyVoucher,
+};
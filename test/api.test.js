@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MembershipClient, UserBankClient, MembershipIndexer } = require("../sdk");
+const { createApiServer, createChainBackend, createIndexBackend } = require("../api");
+
+describe("HTTP API", function () {
+    let memberships, erc1155, userBank, owner, user1, user2;
+
+    const GUID = "5f0c3a52-7c4e-4b8e-9a55-3f1d2f1e8c11";
+
+    before(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+        memberships = await ethers.deployContract("RevokableMembershipNFT", ["Test Membership", "TM"]);
+        erc1155 = await ethers.deployContract("SimpleERC1155", ["https://example.com/api/{id}.json"]);
+        userBank = await upgrades.deployProxy(await ethers.getContractFactory("UserBank"), [], { initializer: "initialize", kind: "uups" });
+
+        await memberships.mint(1, user1.address, "vip", 0, false);
+        await memberships.mint(2, user1.address, "vip", 0, false);
+        await memberships.mint(1, user2.address, "premium", 0, false);
+        await memberships.revoke(3, false);
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        await erc1155.mint(user1.address, 2, 1, 0, false, "0x");
+        await userBank.setProjectGuidToAddress(GUID, user1.address);
+    });
+
+    async function startServer(options) {
+        const server = createApiServer(options);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const get = async (route, init) => {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`, init);
+            return { status: response.status, headers: response.headers, body: await response.json() };
+        };
+        return { server, get };
+    }
+
+    describe("backed by the chain", function () {
+        let server, get;
+
+        before(async function () {
+            const backend = createChainBackend({
+                memberships: new MembershipClient(memberships),
+                erc1155,
+            });
+            ({ server, get } = await startServer({ backend, userBank: new UserBankClient(userBank) }));
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        it("Should report its source", async function () {
+            const { status, body } = await get("/health");
+
+            expect(status).to.equal(200);
+            expect(body).to.include({ status: "ok", source: "chain" });
+            expect(body.blockNumber).to.be.a("number");
+        });
+
+        it("Should list memberships by holder, project, type and status", async function () {
+            const { body } = await get(`/memberships?holder=${user1.address.toLowerCase()}&projectId=1&type=vip`);
+
+            expect(body.memberships.map(({ tokenId }) => tokenId)).to.deep.equal(["1"]);
+            expect(body.memberships[0]).to.include({ user: user1.address, projectId: "1", revoked: false, expiration: null });
+
+            const revoked = await get("/memberships?status=revoked");
+            expect(revoked.body.memberships.map(({ tokenId }) => tokenId)).to.deep.equal(["3"]);
+
+            const paged = await get("/memberships?offset=1&limit=1");
+            expect(paged.body).to.include({ offset: 1, limit: 1 });
+            expect(paged.body.memberships.map(({ tokenId }) => tokenId)).to.deep.equal(["2"]);
+        });
+
+        it("Should return one membership or 404", async function () {
+            expect((await get("/memberships/2")).body).to.include({ tokenId: "2", projectId: "2" });
+
+            const missing = await get("/memberships/99");
+            expect(missing.status).to.equal(404);
+            expect(missing.body.error.code).to.equal("NOT_FOUND");
+        });
+
+        it("Should return ERC1155 balances with their metadata", async function () {
+            const { body } = await get(`/erc1155/balances?holder=${user1.address}&tokenId=1&tokenId=2&tokenId=3`);
+
+            expect(body.balances.map(({ tokenId, balance, transferable }) => [tokenId, balance, transferable])).to.deep.equal([
+                ["1", "5", true],
+                ["2", "1", false],
+            ]);
+            expect(body.balances[0].uri).to.equal("https://example.com/api/{id}.json");
+        });
+
+        it("Should require a holder and token ids for ERC1155 balances", async function () {
+            const { status, body } = await get(`/erc1155/balances?holder=${user1.address}`);
+
+            expect(status).to.equal(400);
+            expect(body.error.message).to.equal("holder and tokenId are required when reading balances from the chain");
+        });
+
+        it("Should look up UserBank mappings both ways", async function () {
+            expect((await get(`/userbank/addresses/${user1.address.toLowerCase()}`)).body).to.deep.equal({ address: user1.address, guid: GUID });
+            expect((await get(`/userbank/guids/${GUID}/addresses`)).body).to.deep.equal({ guid: GUID, addresses: [user1.address] });
+            expect((await get(`/userbank/addresses/${user2.address}`)).status).to.equal(404);
+        });
+
+        it("Should reject bad input, unknown routes and writes", async function () {
+            expect((await get("/memberships?status=lapsed")).status).to.equal(400);
+            expect((await get("/memberships?limit=5000")).status).to.equal(400);
+            expect((await get("/userbank/addresses/0x1234")).body.error.code).to.equal("INVALID_ADDRESS");
+            for (const path of ["/userbank/addresses/%E0%A4%A", "/userbank/guids/%E0%A4%A/addresses"]) {
+                const { status, body } = await get(path);
+                expect(status).to.equal(400);
+                expect(body.error.code).to.equal("INVALID_ARGUMENT");
+            }
+            expect((await get("/nope")).status).to.equal(404);
+            expect((await get("/memberships", { method: "POST" })).status).to.equal(405);
+        });
+
+        it("Should allow cross-origin requests", async function () {
+            expect((await get("/health")).headers.get("access-control-allow-origin")).to.equal("*");
+        });
+    });
+
+    describe("backed by an index", function () {
+        let server, get, indexer, database;
+
+        before(async function () {
+            database = path.join(os.tmpdir(), `api-${Date.now()}.db`);
+            indexer = new MembershipIndexer(ethers.provider, {
+                database,
+                contracts: { RevokableMembershipNFT: memberships.target, SimpleERC1155: erc1155.target },
+            });
+            await indexer.sync();
+            ({ server, get } = await startServer({ backend: createIndexBackend(indexer.store) }));
+        });
+
+        after(function (done) {
+            indexer.close();
+            for (const suffix of ["", "-wal", "-shm"]) {
+                fs.rmSync(`${database}${suffix}`, { force: true });
+            }
+            server.close(done);
+        });
+
+        it("Should answer the same membership queries", async function () {
+            const { body } = await get(`/memberships?holder=${user1.address}&type=vip&limit=1&offset=1`);
+
+            expect(body.memberships.map(({ tokenId, projectId }) => [tokenId, projectId])).to.deep.equal([["2", "2"]]);
+            expect((await get("/memberships/3")).body).to.include({ revoked: true, membershipType: "premium" });
+        });
+
+        it("Should list every ERC1155 balance of a holder", async function () {
+            const { body } = await get(`/erc1155/balances?holder=${user1.address}`);
+
+            expect(body.balances.map(({ tokenId, balance }) => [tokenId, balance])).to.deep.equal([["1", "5"], ["2", "1"]]);
+        });
+
+        it("Should report the last indexed block", async function () {
+            const { body } = await get("/health");
+
+            expect(body.source).to.equal("index");
+            expect(body.lastIndexedBlock).to.equal(await ethers.provider.getBlockNumber());
+        });
+
+        it("Should answer 503 for UserBank lookups without a UserBank", async function () {
+            const { status, body } = await get(`/userbank/addresses/${user1.address}`);
+
+            expect(status).to.equal(503);
+            expect(body.error.code).to.equal("NOT_CONFIGURED");
+        });
+    });
+});
@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { run, extractNetwork } = require("../cli");
+const { toJson } = require("../cli/output");
+const { SdkError } = require("../sdk");
+
+describe("userbank CLI", function () {
+    let deployer, user1;
+
+    beforeEach(async function () {
+        [deployer, user1] = await hre.ethers.getSigners();
+    });
+
+    it("Should split the global --network option", function () {
+        expect(extractNetwork(["--network", "bepolia", "userbank", "get"])).to.deep.equal({ network: "bepolia", rest: ["userbank", "get"] });
+        expect(extractNetwork(["membership", "list", "--network=gelato"])).to.deep.equal({ network: "gelato", rest: ["membership", "list"] });
+    });
+
+    it("Should reject unknown commands and options", async function () {
+        await expect(run(["burn-everything"], { hre })).to.be.rejectedWith(SdkError, "Unknown command burn-everything");
+        await expect(run(["deploy", "erc20", "--colour", "red"], { hre })).to.be.rejectedWith(SdkError, "Unknown option '--colour'");
+        await expect(run(["membership", "constructor"], { hre })).to.be.rejectedWith(SdkError, "membership expects one of");
+        await expect(run(["userbank", "toString"], { hre })).to.be.rejectedWith(SdkError, "userbank expects one of");
+        await expect(run(["deploy", "__proto__"], { hre })).to.be.rejectedWith(SdkError, "deploy expects one of");
+        await expect(run(["upgrade", "hasOwnProperty"], { hre })).to.be.rejectedWith(SdkError, "upgrade expects one of");
+    });
+
+    it("Should reject batch and chunk sizes below one", async function () {
+        const memberships = await run(["deploy", "membership"], { hre });
+        const userBank = await run(["deploy", "userbank"], { hre });
+
+        await expect(run(["membership", "provision", "--contract", memberships.address, "--file", "rows.csv", "--batch-size", "0"], { hre }))
+            .to.be.rejectedWith(SdkError, "--batch-size must be a positive integer, got 0");
+        await expect(run(["userbank", "import", "--contract", userBank.address, "--file", "mappings.csv", "--chunk-size", "0"], { hre }))
+            .to.be.rejectedWith(SdkError, "--chunk-size must be a positive integer, got 0");
+        await expect(run(["userbank", "migrate", "--contract", userBank.address, "--file", "mappings.csv", "--chunk-size", "0"], { hre }))
+            .to.be.rejectedWith(SdkError, "--chunk-size must be a positive integer, got 0");
+        await expect(run(["airdrop-erc1155", "--file", "recipients.csv", "--id", "1", "--chunk-size", "0"], { hre }))
+            .to.be.rejectedWith(SdkError, "--chunk-size must be a positive integer, got 0");
+    });
+
+    it("Should deploy and mint SimpleERC20 tokens", async function () {
+        const deployed = await run(["deploy", "erc20", "--name", "Test", "--symbol", "TST"], { hre });
+        expect(deployed.contract).to.equal("SimpleERC20");
+
+        const minted = await run(["mint-erc20", "--contract", deployed.address, "--to", user1.address, "--amount", "1.5"], { hre });
+        expect(minted.amount).to.equal(1500000000000000000n);
+
+        const token = await hre.ethers.getContractAt("SimpleERC20", deployed.address);
+        expect(await token.balanceOf(user1.address)).to.equal(1500000000000000000n);
+    });
+
+    it("Should mint SimpleERC1155 passes with expiration and transferability", async function () {
+        const { address } = await run(["deploy", "erc1155"], { hre });
+        const expiration = (await time.latest()) + 3600;
+
+        await run(["mint-erc1155", "--contract", address, "--to", user1.address, "--id", "1", "--amount", "2", "--expiration", String(expiration), "--transferable"], { hre });
+
+        const token = await hre.ethers.getContractAt("SimpleERC1155", address);
+        expect(await token.balanceOf(user1.address, 1)).to.equal(2);
+        const metadata = await token.getMetadata(1);
+        expect(metadata.expiration).to.equal(expiration);
+        expect(metadata.transferable).to.be.true;
+    });
+
+    it("Should airdrop a SimpleERC1155 id to a recipients file", async function () {
+        const { address } = await run(["deploy", "erc1155"], { hre });
+        const file = path.join(os.tmpdir(), `recipients-${Date.now()}.csv`);
+        fs.writeFileSync(file, `address,amount\n${user1.address},2\n${deployer.address},1\n`);
+
+        try {
+            const result = await run(["airdrop-erc1155", "--contract", address, "--file", file, "--id", "4", "--transferable"], { hre });
+            expect(result).to.include({ id: 4n, total: 2, amount: 3n });
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        const token = await hre.ethers.getContractAt("SimpleERC1155", address);
+        expect(await token.balanceOfBatch([user1.address, deployer.address], [4, 4])).to.deep.equal([2n, 1n]);
+    });
+
+    it("Should mint a BasicNFT and report its token ID", async function () {
+        const { address } = await run(["deploy", "nft"], { hre });
+
+        const minted = await run(["mint-nft", "--contract", address, "--to", user1.address, "--expiration", "never"], { hre });
+        expect(minted.tokenId).to.equal(0n);
+        expect(minted.expiration).to.equal(0n);
+    });
+
+    it("Should mint, list, revoke and reinstate memberships", async function () {
+        const { address } = await run(["deploy", "membership"], { hre });
+
+        const minted = await run(["membership", "mint", "--contract", address, "--to", user1.address, "--type", "vip", "--project", "1"], { hre });
+        expect(minted.tokenId).to.equal(1n);
+        expect(minted.expiration).to.be.null;
+
+        const checked = await run(["membership", "check", "--contract", address, "--type", "vip", "--project", "1", "--address", user1.address, "--address", deployer.address], { hre });
+        expect(checked.results).to.deep.equal([{ address: user1.address, valid: true }, { address: deployer.address, valid: false }]);
+
+        const renewed = await run(["membership", "renew", "--contract", address, "--token-id", "1", "--expiration", "2100-01-01T00:00:00Z"], { hre });
+        expect(renewed.expiration).to.deep.equal(new Date("2100-01-01T00:00:00Z"));
+        const extended = await run(["membership", "extend", "--contract", address, "--type", "vip", "--expiring-before", "2100-06-01", "--days", "30"], { hre });
+        expect(extended.extended).to.equal(1);
+
+        await run(["membership", "revoke", "--contract", address, "--token-id", "1"], { hre });
+
+        const listed = await run(["membership", "list", "--contract", address], { hre });
+        expect(listed).to.have.length(1);
+        expect(listed[0].revoked).to.be.true;
+
+        const reinstated = await run(["membership", "reinstate", "--contract", address, "--token-id", "1"], { hre });
+        expect(reinstated.revoked).to.be.false;
+        const active = await run(["membership", "list", "--contract", address, "--status", "active", "--project", "1", "--page-size", "1"], { hre });
+        expect(active.map(({ tokenId }) => tokenId)).to.deep.equal([1n]);
+
+        const granted = await run(["membership", "set-permissions", "--contract", address, "--project", "1", "--account", user1.address, "--permission", "mint", "--permission", "revoke"], { hre });
+        expect(granted.permissions).to.deep.equal(["mint", "revoke"]);
+        const permissions = await run(["membership", "permissions", "--contract", address, "--project", "2", "--account", user1.address], { hre });
+        expect(permissions.permissions).to.deep.equal([]);
+    });
+
+    it("Should sign, verify and redeem a membership voucher", async function () {
+        const { address } = await run(["deploy", "membership"], { hre });
+        const file = path.join(os.tmpdir(), `voucher-${Date.now()}.json`);
+
+        try {
+            const signed = await run(["membership", "voucher", "--contract", address, "--to", user1.address, "--type", "vip", "--project", "3", "--out", file], { hre });
+            expect(signed.contractName).to.equal("RevokableMembershipNFT");
+
+            const verified = await run(["membership", "verify-voucher", "--contract", address, "--file", file], { hre });
+            expect(verified).to.include({ signer: deployer.address, valid: true });
+
+            const redeemed = await run(["membership", "redeem", "--contract", address, "--file", file], { hre });
+            expect(redeemed).to.include({ tokenId: 1n, projectId: 3n, user: user1.address });
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    it("Should index membership events into a SQLite file", async function () {
+        const { address } = await run(["deploy", "membership"], { hre });
+        await run(["membership", "mint", "--contract", address, "--to", user1.address, "--type", "vip", "--project", "1"], { hre });
+        const database = path.join(os.tmpdir(), `index-cli-${Date.now()}.db`);
+
+        const result = await run(["index", "--db", database, "--membership", address, "--from-block", "0"], { hre });
+        for (const suffix of ["", "-wal", "-shm"]) {
+            fs.rmSync(`${database}${suffix}`, { force: true });
+        }
+        expect(result.contracts).to.deep.equal({ RevokableMembershipNFT: address });
+        expect(result.logs).to.equal(4); // OwnershipTransferred on deployment, then Transfer, ApprovalForAll and MembershipMinted
+        expect(result.reorg).to.be.null;
+    });
+
+    it("Should set and get UserBank mappings", async function () {
+        const { address, implementation } = await run(["deploy", "userbank"], { hre });
+        expect(implementation).to.be.properAddress;
+
+        await run(["userbank", "set", "--contract", address, "--guid", "guid-1", "--address", user1.address.toLowerCase()], { hre });
+        const result = await run(["userbank", "get", "--contract", address, "--address", user1.address], { hre });
+        expect(result).to.deep.equal({ address: user1.address, guid: "guid-1" });
+    });
+
+    it("Should upgrade the UserBank proxy, migrate and list its mappings", async function () {
+        const proxy = await hre.upgrades.deployProxy(await hre.ethers.getContractFactory("UserBankV1"), [], { initializer: "initialize", kind: "uups" });
+        const address = await proxy.getAddress();
+        await proxy.setProjectGuidToAddress("guid-1", user1.address.toLowerCase());
+
+        const upgraded = await run(["upgrade", "userbank", "--contract", address], { hre });
+        expect(upgraded.implementation).to.equal(await hre.upgrades.erc1967.getImplementationAddress(address));
+
+        const mappingFile = path.join(os.tmpdir(), `mappings-${Date.now()}.csv`);
+        fs.writeFileSync(mappingFile, `address\n${user1.address}\n`);
+        const migrated = await run(["userbank", "migrate", "--contract", address, "--file", mappingFile], { hre });
+        fs.rmSync(mappingFile);
+        expect(migrated.count).to.equal(1);
+        expect(migrated.migrated).to.deep.equal([{ key: user1.address.toLowerCase(), address: user1.address, guid: "guid-1" }]);
+
+        const listed = await run(["userbank", "list", "--contract", address], { hre });
+        expect(listed.mappings).to.deep.equal([{ address: user1.address, guid: "guid-1" }]);
+        const reverse = await run(["userbank", "addresses", "--contract", address, "--guid", "guid-1"], { hre });
+        expect(reverse.addresses).to.deep.equal([user1.address]);
+        const { history } = await run(["userbank", "history", "--contract", address, "--address", user1.address], { hre });
+        expect(history.map(({ type, guid }) => [type, guid])).to.deep.equal([["set", "guid-1"]]);
+
+        await run(["userbank", "grant-role", "--contract", address, "--role", "registrar", "--account", user1.address], { hre });
+        const roles = await run(["userbank", "roles", "--contract", address, "--account", user1.address], { hre });
+        expect(roles.roles).to.deep.equal(["registrar"]);
+    });
+
+    it("Should import a UserBankV1 proxy missing from the upgrades manifest before upgrading it", async function () {
+        // Deployed without hardhat-upgrades, like a proxy deployed from another checkout
+        const UserBankV1 = await hre.ethers.getContractFactory("UserBankV1");
+        const implementation = await UserBankV1.deploy();
+        const { abi, bytecode } = require("@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json");
+        const ERC1967Proxy = await hre.ethers.getContractFactory(abi, bytecode);
+        const proxy = await ERC1967Proxy.deploy(implementation, UserBankV1.interface.encodeFunctionData("initialize"));
+        const address = await proxy.getAddress();
+
+        const upgraded = await run(["upgrade", "userbank", "--contract", address], { hre });
+        expect(upgraded.implementation).to.not.equal(await implementation.getAddress());
+        const userBank = await hre.ethers.getContractAt("UserBank", address);
+        expect(await userBank.owner()).to.equal(hre.ethers.ZeroAddress);
+    });
+
+    it("Should print bigints as strings in JSON output", function () {
+        expect(JSON.parse(toJson({ amount: 10n, expiration: new Date(0) }))).to.deep.equal({ amount: "10", expiration: "1970-01-01T00:00:00.000Z" });
+    });
+});
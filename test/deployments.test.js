@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { recordDeployment, readDeployments, getDeployment, resolveAddress, SdkError } = require("../sdk");
+
+describe("deployments registry", function () {
+    let dir;
+
+    const CHAIN_ID = 1337;
+    const ADDRESS = "0x5fbdb2315678afecb367f032d93f642f64180aa3";
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should return an empty registry for an unknown chain", function () {
+        expect(readDeployments(CHAIN_ID, { dir })).to.deep.equal({ chainId: CHAIN_ID, network: null, contracts: {} });
+    });
+
+    it("Should record and resolve a deployment with a checksummed address", function () {
+        recordDeployment(CHAIN_ID, "SimpleERC20", { address: ADDRESS, transactionHash: "0xabc", blockNumber: 7 }, { dir, network: "localhost" });
+
+        const registry = readDeployments(CHAIN_ID, { dir });
+        expect(registry.network).to.equal("localhost");
+        expect(getDeployment(CHAIN_ID, "SimpleERC20", { dir })).to.deep.equal({
+            address: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+            transactionHash: "0xabc",
+            blockNumber: 7,
+        });
+        expect(resolveAddress("SimpleERC20", CHAIN_ID, { dir })).to.equal("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+    });
+
+    it("Should keep other contracts when recording a new one", function () {
+        recordDeployment(CHAIN_ID, "SimpleERC20", { address: ADDRESS, transactionHash: null, blockNumber: null }, { dir });
+        recordDeployment(CHAIN_ID, "UserBank", { address: ADDRESS, transactionHash: null, blockNumber: null, implementation: ADDRESS }, { dir });
+
+        expect(Object.keys(readDeployments(CHAIN_ID, { dir }).contracts)).to.deep.equal(["SimpleERC20", "UserBank"]);
+        expect(getDeployment(CHAIN_ID, "UserBank", { dir }).implementation).to.equal("0x5FbDB2315678afecb367f032d93F642f64180aa3");
+    });
+
+    it("Should throw when resolving an unrecorded contract", function () {
+        expect(() => resolveAddress("BasicNFT", CHAIN_ID, { dir })).to.throw(SdkError, "No BasicNFT deployment recorded for chainId 1337");
+    });
+});
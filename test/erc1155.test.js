@@ -247,6 +247,90 @@ describe("SimpleERC1155", function () {
         });
     
 
+    describe("mintBatch", function () {
+        it("Should mint several ids to one holder in one TransferBatch", async function () {
+            const futureTime = (await time.latest()) + 3600;
+
+            await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_2], [AMOUNT_10, AMOUNT_100], [futureTime, 0], [TRANSFERABLE, NON_TRANSFERABLE], EMPTY_DATA))
+                .to.emit(erc1155, "TransferBatch").withArgs(owner.address, ethers.ZeroAddress, user1.address, [TOKEN_ID_1, TOKEN_ID_2], [AMOUNT_10, AMOUNT_100])
+                .and.to.emit(erc1155, "ERC1155Minted").withArgs(user1.address, TOKEN_ID_1, AMOUNT_10, futureTime, TRANSFERABLE, BASE_URI, EMPTY_DATA)
+                .and.to.emit(erc1155, "ERC1155Minted").withArgs(user1.address, TOKEN_ID_2, AMOUNT_100, 0, NON_TRANSFERABLE, BASE_URI, EMPTY_DATA);
+
+            expect(await erc1155.balanceOfBatch([user1.address, user1.address], [TOKEN_ID_1, TOKEN_ID_2])).to.deep.equal([10n, 100n]);
+            expect((await erc1155.getMetadata(TOKEN_ID_1)).expiration).to.equal(futureTime);
+            expect((await erc1155.getMetadata(TOKEN_ID_2)).transferable).to.be.false;
+        });
+
+        it("Should keep the metadata of ids that already exist", async function () {
+            await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, NON_TRANSFERABLE, EMPTY_DATA);
+
+            await erc1155.mintBatch(user2.address, [TOKEN_ID_1], [AMOUNT_10], [0], [TRANSFERABLE], EMPTY_DATA);
+
+            expect((await erc1155.getMetadata(TOKEN_ID_1)).transferable).to.be.false;
+            expect(await erc1155.balanceOf(user2.address, TOKEN_ID_1)).to.equal(AMOUNT_10);
+        });
+
+        it("Should apply the mint rules to every id", async function () {
+            const pastTime = (await time.latest()) - 1;
+
+            await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1, 0], [AMOUNT_10, AMOUNT_10], [0, 0], [TRANSFERABLE, TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWith("Token ID must be greater than zero");
+            await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_2], [AMOUNT_10, 0], [0, 0], [TRANSFERABLE, TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWith("Amount must be greater than zero");
+            await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1], [AMOUNT_10], [pastTime], [TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWith("Expiration must be in the future or 0 if no expiration");
+            await expect(erc1155.mintBatch(ethers.ZeroAddress, [TOKEN_ID_1], [AMOUNT_10], [0], [TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWith("Cannot mint to the zero address");
+        });
+
+        it("Should reject empty and mismatched arrays", async function () {
+            await expect(erc1155.mintBatch(user1.address, [], [], [], [], EMPTY_DATA))
+                .to.be.revertedWith("ERC1155: ids is empty");
+            await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_2], [AMOUNT_10, AMOUNT_10], [0], [TRANSFERABLE, TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWith("ERC1155: ids, amounts, expirations and transferables length mismatch");
+        });
+
+        it("Should reject batch minting from non-owner", async function () {
+            await expect(erc1155.connect(user1).mintBatch(user1.address, [TOKEN_ID_1], [AMOUNT_10], [0], [TRANSFERABLE], EMPTY_DATA))
+                .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                .withArgs(user1.address);
+        });
+    });
+
+    describe("airdrop", function () {
+        it("Should mint one id to every recipient", async function () {
+            const futureTime = (await time.latest()) + 3600;
+
+            await expect(erc1155.airdrop(TOKEN_ID_1, [user1.address, user2.address, user3.address], [1, 2, 3], futureTime, NON_TRANSFERABLE, EMPTY_DATA))
+                .to.emit(erc1155, "ERC1155Minted").withArgs(user1.address, TOKEN_ID_1, 1, futureTime, NON_TRANSFERABLE, BASE_URI, EMPTY_DATA)
+                .and.to.emit(erc1155, "ERC1155Minted").withArgs(user2.address, TOKEN_ID_1, 2, futureTime, NON_TRANSFERABLE, BASE_URI, EMPTY_DATA)
+                .and.to.emit(erc1155, "ERC1155Minted").withArgs(user3.address, TOKEN_ID_1, 3, futureTime, NON_TRANSFERABLE, BASE_URI, EMPTY_DATA);
+
+            expect(await erc1155.balanceOfBatch([user1.address, user2.address, user3.address], [TOKEN_ID_1, TOKEN_ID_1, TOKEN_ID_1]))
+                .to.deep.equal([1n, 2n, 3n]);
+            expect((await erc1155.getMetadata(TOKEN_ID_1)).expiration).to.equal(futureTime);
+        });
+
+        it("Should revert the whole airdrop when one recipient is invalid", async function () {
+            await expect(erc1155.airdrop(TOKEN_ID_1, [user1.address, ethers.ZeroAddress], [1, 1], 0, TRANSFERABLE, EMPTY_DATA))
+                .to.be.revertedWith("Cannot mint to the zero address");
+            expect(await erc1155.balanceOf(user1.address, TOKEN_ID_1)).to.equal(0);
+        });
+
+        it("Should reject empty and mismatched arrays", async function () {
+            await expect(erc1155.airdrop(TOKEN_ID_1, [], [], 0, TRANSFERABLE, EMPTY_DATA))
+                .to.be.revertedWith("ERC1155: recipients is empty");
+            await expect(erc1155.airdrop(TOKEN_ID_1, [user1.address, user2.address], [1], 0, TRANSFERABLE, EMPTY_DATA))
+                .to.be.revertedWith("ERC1155: recipients and amounts length mismatch");
+        });
+
+        it("Should reject airdrops from non-owner", async function () {
+            await expect(erc1155.connect(user1).airdrop(TOKEN_ID_1, [user2.address], [1], 0, TRANSFERABLE, EMPTY_DATA))
+                .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                .withArgs(user1.address);
+        });
+    });
+
     describe("_setTokenMetadata", function () {
         // This is an internal function, so we test it indirectly through mint
         describe("Metadata Creation", function () {
@@ -399,6 +483,341 @@ describe("SimpleERC1155", function () {
         });
     });
 
+    describe("burn", function () {
+        beforeEach(async function () {
+            const futureTime = (await time.latest()) + 3600;
+            await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_100, futureTime, TRANSFERABLE, EMPTY_DATA); // transferable
+            await erc1155.mint(user1.address, TOKEN_ID_2, AMOUNT_100, futureTime, NON_TRANSFERABLE, EMPTY_DATA);  // non-transferable
+            await erc1155.mint(user1.address, TOKEN_ID_3, AMOUNT_100, futureTime, TRANSFERABLE, EMPTY_DATA); // transferable
+            await erc1155.mint(user2.address, TOKEN_ID_3, AMOUNT_100, futureTime, TRANSFERABLE, EMPTY_DATA); // transferable
+        });
+
+        describe("Holder Burns", function () {
+            it("Should allow burning transferable tokens", async function () {
+                await expect(erc1155.connect(user1).burn(user1.address, TOKEN_ID_1, AMOUNT_10))
+                    .to.emit(erc1155, "TransferSingle").withArgs(user1.address, user1.address, ethers.ZeroAddress, TOKEN_ID_1, AMOUNT_10);
+
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_1)).to.equal(AMOUNT_100 - AMOUNT_10);
+                expect(await erc1155["totalSupply(uint256)"](TOKEN_ID_1)).to.equal(AMOUNT_100 - AMOUNT_10);
+            });
+
+            it("Should allow burning non-transferable tokens", async function () {
+                await expect(erc1155.connect(user1).burn(user1.address, TOKEN_ID_2, AMOUNT_100))
+                    .to.emit(erc1155, "TransferSingle");
+
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_2)).to.equal(0);
+                expect(await erc1155.exists(TOKEN_ID_2)).to.be.false;
+            });
+
+            it("Should allow batch burning of mixed tokens", async function () {
+                await expect(erc1155.connect(user1).burnBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_2, TOKEN_ID_3], [1, 2, 3]))
+                    .to.emit(erc1155, "TransferBatch");
+
+                expect(await erc1155.balanceOfBatch([user1.address, user1.address, user1.address], [TOKEN_ID_1, TOKEN_ID_2, TOKEN_ID_3]))
+                    .to.deep.equal([99n, 98n, 97n]);
+                expect(await erc1155.balanceOf(user2.address, TOKEN_ID_3)).to.equal(AMOUNT_100);
+            });
+
+            it("Should allow burning expired tokens", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.connect(user1).burn(user1.address, TOKEN_ID_1, AMOUNT_100))
+                    .to.emit(erc1155, "TransferSingle");
+            });
+
+            it("Should handle approved burns", async function () {
+                await erc1155.connect(user1).setApprovalForAll(user2.address, true);
+
+                await expect(erc1155.connect(user2).burn(user1.address, TOKEN_ID_2, AMOUNT_10))
+                    .to.emit(erc1155, "TransferSingle");
+            });
+
+            it("Should prevent burning another holder's tokens without approval", async function () {
+                await expect(erc1155.connect(user2).burn(user1.address, TOKEN_ID_1, AMOUNT_10))
+                    .to.be.revertedWithCustomError(erc1155, "ERC1155MissingApprovalForAll")
+                    .withArgs(user2.address, user1.address);
+                await expect(erc1155.connect(owner).burnBatch(user1.address, [TOKEN_ID_1], [AMOUNT_10]))
+                    .to.be.revertedWithCustomError(erc1155, "ERC1155MissingApprovalForAll")
+                    .withArgs(owner.address, user1.address);
+            });
+        });
+
+        describe("Owner Revocations", function () {
+            it("Should revoke non-transferable tokens", async function () {
+                await expect(erc1155.revoke(user1.address, TOKEN_ID_2, AMOUNT_10))
+                    .to.emit(erc1155, "BalanceRevoked").withArgs(user1.address, TOKEN_ID_2, AMOUNT_10)
+                    .and.to.emit(erc1155, "TransferSingle").withArgs(owner.address, user1.address, ethers.ZeroAddress, TOKEN_ID_2, AMOUNT_10);
+
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_2)).to.equal(AMOUNT_100 - AMOUNT_10);
+            });
+
+            it("Should revoke from one holder only", async function () {
+                await erc1155.revoke(user2.address, TOKEN_ID_3, AMOUNT_100);
+
+                expect(await erc1155.balanceOfBatch([user1.address, user2.address], [TOKEN_ID_3, TOKEN_ID_3])).to.deep.equal([BigInt(AMOUNT_100), 0n]);
+            });
+
+            it("Should reject revocations from non-owner", async function () {
+                await expect(erc1155.connect(user2).revoke(user1.address, TOKEN_ID_1, AMOUNT_10))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user2.address);
+            });
+        });
+
+        describe("Edge Cases", function () {
+            it("Should handle burn more than balance", async function () {
+                await expect(erc1155.connect(user1).burn(user1.address, TOKEN_ID_1, AMOUNT_100 + 1))
+                    .to.be.revertedWithCustomError(erc1155, "ERC1155InsufficientBalance");
+                await expect(erc1155.revoke(user1.address, TOKEN_ID_1, AMOUNT_100 + 1))
+                    .to.be.revertedWithCustomError(erc1155, "ERC1155InsufficientBalance");
+            });
+
+            it("Should reject revoking zero tokens", async function () {
+                await expect(erc1155.revoke(user1.address, TOKEN_ID_1, 0))
+                    .to.be.revertedWith("Amount must be greater than zero");
+            });
+
+            it("Should fail for empty and mismatched batch burns", async function () {
+                await expect(erc1155.connect(user1).burnBatch(user1.address, [], []))
+                    .to.be.revertedWith("ERC1155: ids is empty");
+                await expect(erc1155.connect(user1).burnBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_3], [AMOUNT_10]))
+                    .to.be.revertedWith("ERC1155: ids and values length mismatch");
+            });
+
+            it("Should allow minting again after burning", async function () {
+                await erc1155.connect(user1).burn(user1.address, TOKEN_ID_2, AMOUNT_100);
+
+                await expect(erc1155.mint(user1.address, TOKEN_ID_2, 1, 0, NON_TRANSFERABLE, EMPTY_DATA))
+                    .to.emit(erc1155, "TransferSingle");
+            });
+        });
+    });
+
+    describe("expiration", function () {
+        let expiration;
+
+        beforeEach(async function () {
+            expiration = (await time.latest()) + 3600;
+            await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_100, expiration, TRANSFERABLE, EMPTY_DATA);
+            await erc1155.mint(user2.address, TOKEN_ID_1, AMOUNT_10, expiration, TRANSFERABLE, EMPTY_DATA);
+            await erc1155.mint(user1.address, TOKEN_ID_2, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA); // never expires
+        });
+
+        describe("activeBalanceOf", function () {
+            it("Should match balanceOf before expiry", async function () {
+                expect(await erc1155.isExpired(TOKEN_ID_1)).to.be.false;
+                expect(await erc1155.activeBalanceOf(user1.address, TOKEN_ID_1)).to.equal(AMOUNT_100);
+            });
+
+            it("Should return zero after expiry while balanceOf keeps the raw balance", async function () {
+                await time.increase(3600);
+
+                expect(await erc1155.isExpired(TOKEN_ID_1)).to.be.true;
+                expect(await erc1155.activeBalanceOf(user1.address, TOKEN_ID_1)).to.equal(0);
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_1)).to.equal(AMOUNT_100);
+            });
+
+            it("Should never expire tokens without an expiration", async function () {
+                await time.increase(24 * 3600);
+
+                expect(await erc1155.isExpired(TOKEN_ID_2)).to.be.false;
+                expect(await erc1155.activeBalanceOf(user1.address, TOKEN_ID_2)).to.equal(AMOUNT_10);
+            });
+        });
+
+        describe("transfers", function () {
+            it("Should reject transfers of expired tokens", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, AMOUNT_10, EMPTY_DATA))
+                    .to.be.revertedWith(`token id ${TOKEN_ID_1} has expired`);
+            });
+
+            it("Should reject batch transfers containing an expired token", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.connect(user1).safeBatchTransferFrom(user1.address, user2.address, [TOKEN_ID_2, TOKEN_ID_1], [1, 1], EMPTY_DATA))
+                    .to.be.revertedWith(`token id ${TOKEN_ID_1} has expired`);
+            });
+
+            it("Should reject minting more of an expired token", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA))
+                    .to.be.revertedWith(`token id ${TOKEN_ID_1} has expired`);
+            });
+
+            it("Should allow transfers again once the owner extends the expiration", async function () {
+                await time.increase(3600);
+                await erc1155.updateMetadata(TOKEN_ID_1, (await time.latest()) + 3600, TRANSFERABLE);
+
+                await expect(erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, AMOUNT_10, EMPTY_DATA))
+                    .to.emit(erc1155, "TransferSingle");
+            });
+
+            it("Should move each id of a batch transfer once", async function () {
+                await erc1155.connect(user1).safeBatchTransferFrom(user1.address, user3.address, [TOKEN_ID_1, TOKEN_ID_2], [5, 5], EMPTY_DATA);
+
+                expect(await erc1155.balanceOfBatch([user3.address, user3.address], [TOKEN_ID_1, TOKEN_ID_2])).to.deep.equal([5n, 5n]);
+            });
+        });
+
+        describe("burnExpired", function () {
+            it("Should burn the balances of every listed holder", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.burnExpired(TOKEN_ID_1, [user1.address, user2.address, user3.address]))
+                    .to.emit(erc1155, "ExpiredBalanceBurned").withArgs(user1.address, TOKEN_ID_1, AMOUNT_100)
+                    .and.to.emit(erc1155, "ExpiredBalanceBurned").withArgs(user2.address, TOKEN_ID_1, AMOUNT_10)
+                    .and.to.emit(erc1155, "TransferSingle").withArgs(owner.address, user1.address, ethers.ZeroAddress, TOKEN_ID_1, AMOUNT_100);
+
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_1)).to.equal(0);
+                expect(await erc1155.balanceOf(user2.address, TOKEN_ID_1)).to.equal(0);
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_2)).to.equal(AMOUNT_10);
+            });
+
+            it("Should skip holders without a balance when repeated", async function () {
+                await time.increase(3600);
+                await erc1155.burnExpired(TOKEN_ID_1, [user1.address]);
+
+                await expect(erc1155.burnExpired(TOKEN_ID_1, [user1.address])).not.to.emit(erc1155, "ExpiredBalanceBurned");
+            });
+
+            it("Should reject sweeping tokens that have not expired", async function () {
+                await expect(erc1155.burnExpired(TOKEN_ID_1, [user1.address]))
+                    .to.be.revertedWith(`token id ${TOKEN_ID_1} has not expired`);
+                await expect(erc1155.burnExpired(TOKEN_ID_2, [user1.address]))
+                    .to.be.revertedWith(`token id ${TOKEN_ID_2} has not expired`);
+            });
+
+            it("Should reject sweeps from non-owner", async function () {
+                await time.increase(3600);
+
+                await expect(erc1155.connect(user1).burnExpired(TOKEN_ID_1, [user2.address]))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+    });
+
+    describe("supply caps", function () {
+        describe("totalSupply and exists", function () {
+            it("Should follow mints and burns", async function () {
+                expect(await erc1155.exists(TOKEN_ID_1)).to.be.false;
+                await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA);
+                await erc1155.mint(user2.address, TOKEN_ID_1, AMOUNT_100, 0, TRANSFERABLE, EMPTY_DATA);
+                await erc1155.mint(user2.address, TOKEN_ID_2, 1, (await time.latest()) + 60, TRANSFERABLE, EMPTY_DATA);
+
+                expect(await erc1155["totalSupply(uint256)"](TOKEN_ID_1)).to.equal(AMOUNT_10 + AMOUNT_100);
+                expect(await erc1155["totalSupply()"]()).to.equal(AMOUNT_10 + AMOUNT_100 + 1);
+                expect(await erc1155.exists(TOKEN_ID_1)).to.be.true;
+
+                await time.increase(3600);
+                await erc1155.burnExpired(TOKEN_ID_2, [user2.address]);
+                expect(await erc1155.exists(TOKEN_ID_2)).to.be.false;
+            });
+        });
+
+        describe("setMaxSupply", function () {
+            it("Should cap mints of an id across holders", async function () {
+                await expect(erc1155.setMaxSupply(TOKEN_ID_1, 15))
+                    .to.emit(erc1155, "MaxSupplySet").withArgs(TOKEN_ID_1, 15);
+                await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.mint(user2.address, TOKEN_ID_1, 6, 0, TRANSFERABLE, EMPTY_DATA))
+                    .to.be.revertedWithCustomError(erc1155, "MaxSupplyExceeded")
+                    .withArgs(TOKEN_ID_1, 15, 16);
+                await erc1155.mint(user2.address, TOKEN_ID_1, 5, 0, TRANSFERABLE, EMPTY_DATA);
+                expect(await erc1155.maxSupply(TOKEN_ID_1)).to.equal(15);
+            });
+
+            it("Should apply to batch mints and airdrops", async function () {
+                await erc1155.setMaxSupply(TOKEN_ID_1, 2);
+
+                await expect(erc1155.mintBatch(user1.address, [TOKEN_ID_1, TOKEN_ID_1], [1, 2], [0, 0], [TRANSFERABLE, TRANSFERABLE], EMPTY_DATA))
+                    .to.be.revertedWithCustomError(erc1155, "MaxSupplyExceeded")
+                    .withArgs(TOKEN_ID_1, 2, 3);
+                await expect(erc1155.airdrop(TOKEN_ID_1, [user1.address, user2.address, user3.address], [1, 1, 1], 0, TRANSFERABLE, EMPTY_DATA))
+                    .to.be.revertedWithCustomError(erc1155, "MaxSupplyExceeded")
+                    .withArgs(TOKEN_ID_1, 2, 3);
+            });
+
+            it("Should not count transfers against the cap", async function () {
+                await erc1155.setMaxSupply(TOKEN_ID_1, AMOUNT_10);
+                await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, AMOUNT_10, EMPTY_DATA))
+                    .to.emit(erc1155, "TransferSingle");
+            });
+
+            it("Should reject a cap below the current supply and allow lifting it", async function () {
+                await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.setMaxSupply(TOKEN_ID_1, 9))
+                    .to.be.revertedWithCustomError(erc1155, "MaxSupplyBelowTotalSupply")
+                    .withArgs(TOKEN_ID_1, 9, AMOUNT_10);
+                await erc1155.setMaxSupply(TOKEN_ID_1, AMOUNT_10);
+                await erc1155.setMaxSupply(TOKEN_ID_1, 0);
+                await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_100, 0, TRANSFERABLE, EMPTY_DATA);
+                expect(await erc1155["totalSupply(uint256)"](TOKEN_ID_1)).to.equal(AMOUNT_10 + AMOUNT_100);
+            });
+
+            it("Should reject non-owners", async function () {
+                await expect(erc1155.connect(user1).setMaxSupply(TOKEN_ID_1, 1))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+
+        describe("setMaxPerWallet", function () {
+            beforeEach(async function () {
+                await expect(erc1155.setMaxPerWallet(TOKEN_ID_1, 2))
+                    .to.emit(erc1155, "MaxPerWalletSet").withArgs(TOKEN_ID_1, 2);
+            });
+
+            it("Should cap what a wallet can be minted", async function () {
+                await erc1155.mint(user1.address, TOKEN_ID_1, 2, 0, TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.mint(user1.address, TOKEN_ID_1, 1, 0, TRANSFERABLE, EMPTY_DATA))
+                    .to.be.revertedWithCustomError(erc1155, "MaxPerWalletExceeded")
+                    .withArgs(TOKEN_ID_1, user1.address, 2, 3);
+                await erc1155.mint(user2.address, TOKEN_ID_1, 2, 0, TRANSFERABLE, EMPTY_DATA);
+                expect(await erc1155.maxPerWallet(TOKEN_ID_1)).to.equal(2);
+            });
+
+            it("Should cap what a wallet can receive by transfer", async function () {
+                await erc1155.mint(user1.address, TOKEN_ID_1, 2, 0, TRANSFERABLE, EMPTY_DATA);
+                await erc1155.mint(user2.address, TOKEN_ID_1, 1, 0, TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, 2, EMPTY_DATA))
+                    .to.be.revertedWithCustomError(erc1155, "MaxPerWalletExceeded")
+                    .withArgs(TOKEN_ID_1, user2.address, 2, 3);
+                await erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, 1, EMPTY_DATA);
+                expect(await erc1155.balanceOf(user2.address, TOKEN_ID_1)).to.equal(2);
+            });
+
+            it("Should let holders above a lowered cap keep and send their tokens", async function () {
+                await erc1155.mint(user1.address, TOKEN_ID_1, 2, 0, TRANSFERABLE, EMPTY_DATA);
+                await erc1155.setMaxPerWallet(TOKEN_ID_1, 1);
+
+                await erc1155.connect(user1).safeTransferFrom(user1.address, user1.address, TOKEN_ID_1, 2, EMPTY_DATA);
+                await erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, TOKEN_ID_1, 1, EMPTY_DATA);
+                expect(await erc1155.balanceOfBatch([user1.address, user2.address], [TOKEN_ID_1, TOKEN_ID_1])).to.deep.equal([1n, 1n]);
+            });
+
+            it("Should leave other ids uncapped", async function () {
+                await erc1155.mint(user1.address, TOKEN_ID_2, AMOUNT_100, 0, TRANSFERABLE, EMPTY_DATA);
+                expect(await erc1155.balanceOf(user1.address, TOKEN_ID_2)).to.equal(AMOUNT_100);
+            });
+
+            it("Should reject non-owners", async function () {
+                await expect(erc1155.connect(user1).setMaxPerWallet(TOKEN_ID_1, 1))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+    });
+
     describe("ERC1155 Standard Functions", function () {
         beforeEach(async function () {
             const futureTime = (await time.latest()) + 3600;
@@ -476,6 +895,124 @@ describe("SimpleERC1155", function () {
         });
     });
 
+    describe("metadata URIs", function () {
+        const TOKEN_URI = "ipfs://bafy/pass-1.json";
+
+        function decodeDataUri(uri) {
+            const prefix = "data:application/json;base64,";
+            expect(uri.startsWith(prefix)).to.be.true;
+            return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+        }
+
+        beforeEach(async function () {
+            await erc1155.mint(user1.address, TOKEN_ID_1, AMOUNT_10, 0, TRANSFERABLE, EMPTY_DATA);
+        });
+
+        describe("setTokenURI", function () {
+            it("Should give one id its own URI", async function () {
+                await expect(erc1155.setTokenURI(TOKEN_ID_1, TOKEN_URI))
+                    .to.emit(erc1155, "URI").withArgs(TOKEN_URI, TOKEN_ID_1)
+                    .and.to.emit(erc1155, "MetadataUpdate").withArgs(TOKEN_ID_1);
+
+                expect(await erc1155.uri(TOKEN_ID_1)).to.equal(TOKEN_URI);
+                expect(await erc1155.uri(TOKEN_ID_2)).to.equal(BASE_URI);
+            });
+
+            it("Should fall back to the base URI when cleared", async function () {
+                await erc1155.setTokenURI(TOKEN_ID_1, TOKEN_URI);
+                await expect(erc1155.setTokenURI(TOKEN_ID_1, "")).to.emit(erc1155, "URI").withArgs(BASE_URI, TOKEN_ID_1);
+
+                expect(await erc1155.uri(TOKEN_ID_1)).to.equal(BASE_URI);
+            });
+
+            it("Should be echoed by ERC1155Minted on later mints", async function () {
+                await erc1155.setTokenURI(TOKEN_ID_1, TOKEN_URI);
+
+                await expect(erc1155.mint(user2.address, TOKEN_ID_1, 1, 0, TRANSFERABLE, EMPTY_DATA))
+                    .to.emit(erc1155, "ERC1155Minted").withArgs(user2.address, TOKEN_ID_1, 1, 0, TRANSFERABLE, TOKEN_URI, EMPTY_DATA);
+            });
+
+            it("Should reject unknown ids and non-owners", async function () {
+                await expect(erc1155.setTokenURI(TOKEN_ID_2, TOKEN_URI)).to.be.revertedWith("Token ID does not exist");
+                await expect(erc1155.connect(user1).setTokenURI(TOKEN_ID_1, TOKEN_URI))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+
+        describe("setBaseURI", function () {
+            it("Should replace the base URI for every id without its own URI", async function () {
+                const newBaseURI = "https://cdn.example.com/{id}.json";
+                await erc1155.setTokenURI(TOKEN_ID_1, TOKEN_URI);
+
+                await expect(erc1155.setBaseURI(newBaseURI))
+                    .to.emit(erc1155, "BatchMetadataUpdate").withArgs(0, ethers.MaxUint256);
+
+                expect(await erc1155.uri(TOKEN_ID_2)).to.equal(newBaseURI);
+                expect(await erc1155.uri(TOKEN_ID_1)).to.equal(TOKEN_URI);
+            });
+
+            it("Should reject non-owners", async function () {
+                await expect(erc1155.connect(user1).setBaseURI("https://evil.example.com/{id}.json"))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+
+        describe("setOnChainMetadata", function () {
+            it("Should serve base64 JSON embedding expiration and transferability", async function () {
+                const futureTime = (await time.latest()) + 3600;
+                await erc1155.mint(user1.address, TOKEN_ID_2, AMOUNT_10, futureTime, NON_TRANSFERABLE, EMPTY_DATA);
+
+                await expect(erc1155.setOnChainMetadata(true))
+                    .to.emit(erc1155, "BatchMetadataUpdate").withArgs(0, ethers.MaxUint256);
+                expect(await erc1155.onChainMetadata()).to.be.true;
+
+                expect(decodeDataUri(await erc1155.uri(TOKEN_ID_1))).to.deep.equal({
+                    name: "Pass #1",
+                    expiration: 0,
+                    transferable: true,
+                    attributes: [
+                        { trait_type: "Expiration", value: "Never" },
+                        { trait_type: "Transferable", value: "Yes" },
+                    ],
+                });
+                expect(decodeDataUri(await erc1155.uri(TOKEN_ID_2))).to.deep.include({
+                    expiration: futureTime,
+                    transferable: false,
+                    attributes: [
+                        { trait_type: "Expiration", display_type: "date", value: futureTime },
+                        { trait_type: "Transferable", value: "No" },
+                    ],
+                });
+            });
+
+            it("Should follow updateMetadata", async function () {
+                await erc1155.setOnChainMetadata(true);
+
+                await expect(erc1155.updateMetadata(TOKEN_ID_1, 0, NON_TRANSFERABLE))
+                    .to.emit(erc1155, "MetadataUpdate").withArgs(TOKEN_ID_1)
+                    .and.to.emit(erc1155, "TokenMetadataUpdated").withArgs(TOKEN_ID_1, 0, NON_TRANSFERABLE);
+                expect(decodeDataUri(await erc1155.uri(TOKEN_ID_1)).transferable).to.be.false;
+            });
+
+            it("Should give way to an id's own URI and switch back off", async function () {
+                await erc1155.setOnChainMetadata(true);
+                await erc1155.setTokenURI(TOKEN_ID_1, TOKEN_URI);
+                expect(await erc1155.uri(TOKEN_ID_1)).to.equal(TOKEN_URI);
+
+                await erc1155.setOnChainMetadata(false);
+                expect(await erc1155.uri(TOKEN_ID_2)).to.equal(BASE_URI);
+            });
+
+            it("Should reject non-owners", async function () {
+                await expect(erc1155.connect(user1).setOnChainMetadata(true))
+                    .to.be.revertedWithCustomError(erc1155, "OwnableUnauthorizedAccount")
+                    .withArgs(user1.address);
+            });
+        });
+    });
+
     describe("supportsInterface", function () {
         it("Should support ERC1155 interface", async function () {
             const ERC1155_INTERFACE_ID = "0xd9b67a26";
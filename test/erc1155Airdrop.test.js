@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { TransactionSender, SdkError, loadRecipientsFile, airdropErc1155 } = require("../sdk");
+
+describe("ERC1155 airdrop", function () {
+    let erc1155, sender, owner, user1, user2, user3, dir;
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+        erc1155 = await ethers.deployContract("SimpleERC1155", ["https://example.com/api/{id}.json"]);
+        sender = TransactionSender.for(owner);
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("loadRecipientsFile", function () {
+        it("Should parse CSV and add up repeated addresses", function () {
+            const file = writeFile("recipients.csv", [
+                "address,amount",
+                `${user1.address.toLowerCase()},2`,
+                `${user2.address},1`,
+                `${user1.address},3`,
+            ].join("\n"));
+
+            expect(loadRecipientsFile(file)).to.deep.equal([
+                { address: user1.address, amount: 5n },
+                { address: user2.address, amount: 1n },
+            ]);
+        });
+
+        it("Should report the row of invalid input", function () {
+            const file = writeFile("recipients.json", JSON.stringify([{ address: user1.address, amount: 1 }, { address: user2.address, amount: 0 }]));
+
+            expect(() => loadRecipientsFile(file)).to.throw(SdkError, "Invalid row 2: amount must be a positive integer, got 0");
+        });
+    });
+
+    describe("airdropErc1155", function () {
+        it("Should mint to every recipient in chunks", async function () {
+            const recipients = [user1, user2, user3].map(({ address }, i) => ({ address, amount: BigInt(i + 1) }));
+            const chunks = [];
+
+            const result = await airdropErc1155(erc1155, sender, recipients, { id: 1, transferable: true, chunkSize: 2, onChunk: (chunk) => chunks.push(chunk) });
+
+            expect(result).to.include({ total: 3, amount: 6n });
+            expect(result.chunks.map(({ from, to }) => [from, to])).to.deep.equal([[0, 2], [2, 3]]);
+            expect(chunks).to.have.length(2);
+            expect(await erc1155.balanceOfBatch([user1.address, user2.address, user3.address], [1, 1, 1])).to.deep.equal([1n, 2n, 3n]);
+            expect((await erc1155.getMetadata(1)).transferable).to.be.true;
+        });
+
+        it("Should resume from a recipient index", async function () {
+            const recipients = [user1, user2, user3].map(({ address }) => ({ address, amount: 1n }));
+
+            const result = await airdropErc1155(erc1155, sender, recipients, { id: 1, startAt: 2 });
+
+            expect(result).to.include({ total: 1, amount: 1n });
+            expect(await erc1155.balanceOfBatch([user1.address, user3.address], [1, 1])).to.deep.equal([0n, 1n]);
+        });
+
+        it("Should report where to resume when a later chunk fails", async function () {
+            const recipients = [
+                { address: user1.address, amount: 1n },
+                { address: ethers.ZeroAddress, amount: 1n },
+            ];
+
+            const error = await airdropErc1155(erc1155, sender, recipients, { id: 1, chunkSize: 1 }).catch((caught) => caught);
+
+            expect(error).to.be.instanceOf(SdkError);
+            expect(error.code).to.equal("AIRDROP_INCOMPLETE");
+            expect(error.message).to.include("Cannot mint to the zero address");
+            expect(error.details.resumeFrom).to.equal(1);
+            expect(await erc1155.balanceOf(user1.address, 1)).to.equal(1);
+        });
+
+        it("Should report where to resume when a recipient is over the gas cap", async function () {
+            // Minting to a new holder costs more than topping up an existing one
+            await erc1155.mint(user1.address, 1, 1, 0, false, "0x");
+            const recipients = [user1, user2].map(({ address }) => ({ address, amount: 1n }));
+            const [existing, fresh] = await Promise.all(recipients.map(({ address }) => erc1155.airdrop.estimateGas(1, [address], [1], 0, false, "0x")));
+            const { gasLimit } = await ethers.provider.getBlock("latest");
+            const maxGasFraction = Number(((existing + fresh) / 2n) * 10000n / gasLimit) / 10000;
+
+            const error = await airdropErc1155(erc1155, sender, recipients, { id: 1, chunkSize: 1, maxGasFraction }).catch((caught) => caught);
+
+            expect(error).to.be.instanceOf(SdkError);
+            expect(error.code).to.equal("AIRDROP_INCOMPLETE");
+            expect(error.cause.code).to.equal("GAS_LIMIT_EXCEEDED");
+            expect(error.details.resumeFrom).to.equal(1);
+            expect(await erc1155.balanceOf(user1.address, 1)).to.equal(2);
+        });
+
+        it("Should reject a chunk size below one", async function () {
+            const recipients = [{ address: user1.address, amount: 1n }];
+
+            await expect(airdropErc1155(erc1155, sender, recipients, { id: 1, chunkSize: 0 }))
+                .to.be.rejectedWith(SdkError, "chunkSize must be a positive integer, got 0");
+        });
+    });
+});
@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MembershipIndexer, SdkError } = require("../sdk");
+
+describe("MembershipIndexer", function () {
+    let memberships, erc1155, nft, owner, user1, user2, fromBlock, database, indexer;
+
+    const VIP_TYPE = "vip";
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+        fromBlock = await ethers.provider.getBlockNumber();
+        memberships = await ethers.deployContract("RevokableMembershipNFT", ["Test Membership", "TM"]);
+        erc1155 = await ethers.deployContract("SimpleERC1155", ["https://example.com/api/{id}.json"]);
+        nft = await ethers.deployContract("BasicNFT", ["BasicNFT", "BNFT", "https://example.com/metadata/"]);
+
+        database = path.join(os.tmpdir(), `index-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+        indexer = createIndexer();
+    });
+
+    afterEach(function () {
+        indexer.close();
+        for (const suffix of ["", "-wal", "-shm"]) {
+            fs.rmSync(`${database}${suffix}`, { force: true });
+        }
+    });
+
+    function createIndexer(contracts) {
+        return new MembershipIndexer(ethers.provider, {
+            database,
+            fromBlock,
+            contracts: contracts ?? {
+                RevokableMembershipNFT: memberships.target,
+                SimpleERC1155: erc1155.target,
+                BasicNFT: nft.target,
+            },
+        });
+    }
+
+    describe("memberships", function () {
+        it("Should follow mints, transfers, revocations, reinstatements and renewals", async function () {
+            const expiration = (await time.latest()) + 3600;
+            await memberships.mint(1, user1.address, VIP_TYPE, expiration, true);
+            await memberships.mint(2, user2.address, "write:admin", 0, false);
+            await memberships.mint(1, user2.address, "premium", 0, false);
+            await memberships.connect(user1).transferFrom(user1.address, owner.address, 1);
+            await memberships.renew(1, expiration + 60);
+            await memberships.revoke(2, false);
+            await memberships.revoke(3, false);
+            await memberships.reinstate(3);
+
+            const result = await indexer.sync();
+            expect(result.reorg).to.be.null;
+            expect(result.logs).to.be.greaterThan(0);
+
+            const indexed = indexer.store.getMemberships();
+            expect(indexed.map(({ tokenId, user, projectId, revoked }) => [tokenId, user, projectId, revoked])).to.deep.equal([
+                [1n, owner.address, 1n, false],
+                [2n, user2.address, 0n, true],
+                [3n, user2.address, 1n, false],
+            ]);
+            expect(indexed[0].expiration.getTime()).to.equal((expiration + 60) * 1000);
+            expect(indexed[0].transferable).to.be.true;
+            expect(indexed[1].isAdmin).to.be.false;
+        });
+
+        it("Should drop burned memberships and filter like queryMemberships", async function () {
+            const expiration = (await time.latest()) + 100;
+            await memberships.mint(1, user1.address, VIP_TYPE, 0, false);
+            await memberships.mint(1, user1.address, VIP_TYPE, expiration, false);
+            await memberships.mint(2, user1.address, VIP_TYPE, 0, false);
+            await memberships.mint(1, user2.address, VIP_TYPE, 0, false);
+            await memberships.revoke(3, true);
+            await memberships.revoke(4, false);
+            await time.increaseTo(expiration + 1);
+            await indexer.sync();
+
+            // Statuses are relative to `now`, which has to follow the chain's clock after time.increaseTo
+            const now = new Date((await time.latest()) * 1000);
+            const tokenIds = (filter) => indexer.store.getMemberships({ now, ...filter }).map(({ tokenId }) => tokenId);
+            expect(tokenIds()).to.deep.equal([1n, 2n, 4n]);
+            expect(indexer.store.getMembership(memberships.target, 3)).to.be.null;
+            expect(tokenIds({ holder: user1.address, status: "active" })).to.deep.equal([1n]);
+            expect(tokenIds({ projectId: 1, status: "expired" })).to.deep.equal([2n]);
+            expect(tokenIds({ status: "revoked" })).to.deep.equal([4n]);
+            expect(() => indexer.store.getMemberships({ status: "lapsed" })).to.throw(SdkError, "Unknown status: lapsed");
+        });
+    });
+
+    it("Should track SimpleERC1155 balances and token metadata", async function () {
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        await erc1155.mint(user1.address, 2, 1, 0, false, "0x");
+        await erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 2, "0x");
+        await erc1155.connect(user2).safeTransferFrom(user2.address, user1.address, 1, 2, "0x");
+        await erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 5, "0x");
+        await indexer.sync();
+
+        const balances = indexer.store.getErc1155Balances();
+        expect(balances.map(({ tokenId, holder, balance }) => [tokenId, holder, balance])).to.deep.equal([
+            [1n, user2.address, 5n],
+            [2n, user1.address, 1n],
+        ]);
+        expect(balances[0].transferable).to.be.true;
+        expect(balances[0].uri).to.equal("https://example.com/api/{id}.json");
+        expect(indexer.store.getErc1155Balances({ holder: user1.address }).map(({ tokenId }) => tokenId)).to.deep.equal([2n]);
+    });
+
+    it("Should follow per-id ERC1155 URIs", async function () {
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        await erc1155.mint(user1.address, 2, 1, 0, true, "0x");
+        await erc1155.setTokenURI(2, "ipfs://bafy/2.json");
+        await indexer.sync();
+
+        expect(indexer.store.getErc1155Balances().map(({ uri }) => uri)).to.deep.equal([
+            "https://example.com/api/{id}.json",
+            "ipfs://bafy/2.json",
+        ]);
+    });
+
+    it("Should follow ERC1155 metadata updates", async function () {
+        const expiration = (await time.latest()) + 3600;
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        await erc1155.updateMetadata(1, expiration, false);
+        await indexer.sync();
+
+        const [balance] = indexer.store.getErc1155Balances();
+        expect(balance.transferable).to.be.false;
+        expect(balance.expiration.getTime()).to.equal(expiration * 1000);
+    });
+
+    it("Should track BasicNFT holders and expirations", async function () {
+        const expiration = (await time.latest()) + 3600;
+        await nft.mint(user1.address, expiration);
+        await nft.mint(user2.address, 0);
+        await nft.connect(user1).transferFrom(user1.address, user2.address, 0);
+        await indexer.sync();
+
+        const nfts = indexer.store.getNfts({ holder: user2.address });
+        expect(nfts.map(({ tokenId }) => tokenId)).to.deep.equal([0n, 1n]);
+        expect(nfts[0].expiration.getTime()).to.equal(expiration * 1000);
+        expect(nfts[1].expiration).to.be.null;
+    });
+
+    it("Should resume from the database file without applying logs twice", async function () {
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        const first = await indexer.sync();
+        indexer.close();
+
+        await erc1155.mint(user1.address, 1, 3, 0, true, "0x");
+        indexer = createIndexer();
+        const second = await indexer.sync();
+
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(second.logs).to.equal(2);
+        expect(indexer.store.getErc1155Balances()[0].balance).to.equal(8n);
+    });
+
+    it("Should refuse a database built for other contracts", async function () {
+        await indexer.sync();
+        indexer.close();
+
+        indexer = createIndexer({ RevokableMembershipNFT: memberships.target });
+        await expect(indexer.sync()).to.be.rejectedWith(SdkError, "use a new database file")
+            .and.eventually.have.property("code", "INDEX_MISMATCH");
+    });
+
+    it("Should reject contracts it cannot index", function () {
+        expect(() => createIndexer({ SimpleERC20: memberships.target })).to.throw(SdkError, "Cannot index SimpleERC20");
+    });
+
+    it("Should fail cleanly when the RPC node does not have the head block yet", async function () {
+        await erc1155.mint(user1.address, 1, 5, 0, true, "0x");
+        const lagging = new Proxy(ethers.provider, {
+            get: (target, property) => (property === "getBlock" ? async () => null : target[property].bind(target)),
+        });
+        indexer.close();
+        indexer = new MembershipIndexer(lagging, { database, fromBlock, contracts: { SimpleERC1155: erc1155.target } });
+
+        await expect(indexer.sync()).to.be.rejectedWith(SdkError, "is not available from the RPC node yet")
+            .and.eventually.have.property("code", "BLOCK_NOT_FOUND");
+        expect(indexer.store.getLastBlock()).to.be.null;
+    });
+
+    it("Should roll back orphaned blocks after a reorg", async function () {
+        await memberships.mint(1, user1.address, VIP_TYPE, 0, false);
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await memberships.mint(1, user2.address, VIP_TYPE, 0, false);
+        await memberships.revoke(1, false);
+        await indexer.sync();
+        expect(indexer.store.getMemberships({ status: "active" })).to.have.length(1);
+
+        // Replace the indexed blocks with a longer fork where token 1 stays active and token 2 goes to owner
+        await network.provider.send("evm_revert", [snapshot]);
+        await network.provider.send("evm_mine");
+        await memberships.mint(1, owner.address, "premium", 0, false);
+        await network.provider.send("evm_mine");
+
+        const result = await indexer.sync();
+        expect(result.reorg.droppedLogs).to.equal(4);
+        expect(indexer.store.getMemberships().map(({ tokenId, user, membershipType, revoked }) => [tokenId, user, membershipType, revoked])).to.deep.equal([
+            [1n, user1.address, VIP_TYPE, false],
+            [2n, owner.address, "premium", false],
+        ]);
+    });
+});
@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MembershipClient, ContractRevertError, SdkError, createMembershipGuard, extendMemberships } = require("../sdk");
+
+describe("MembershipClient", function () {
+    let membershipNFT, client, owner, user1, user2;
+
+    const PROJECT_ID = 1;
+    const VIP_TYPE = "vip";
+    const WRITE_ADMIN_TYPE = "write:admin";
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+        const MembershipNFT = await ethers.getContractFactory("RevokableMembershipNFT");
+        membershipNFT = await MembershipNFT.deploy("Test Membership", "TM");
+        await membershipNFT.waitForDeployment();
+        client = await MembershipClient.connect(owner, { address: await membershipNFT.getAddress() });
+    });
+
+    describe("mint", function () {
+        it("Should return the decoded membership", async function () {
+            const expiration = new Date(((await time.latest()) + 3600) * 1000);
+
+            const membership = await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: VIP_TYPE, expiration, transferable: true });
+
+            expect(membership.tokenId).to.equal(1n);
+            expect(membership.projectId).to.equal(BigInt(PROJECT_ID));
+            expect(membership.user).to.equal(user1.address);
+            expect(membership.membershipType).to.equal(VIP_TYPE);
+            expect(membership.isAdmin).to.be.false;
+            expect(membership.expiration.getTime()).to.equal(expiration.getTime());
+            expect(membership.revoked).to.be.false;
+            expect(membership.transferable).to.be.true;
+            expect(membership.hash).to.match(/^0x[0-9a-f]{64}$/);
+        });
+
+        it("Should map a zero expiration to null and flag admins", async function () {
+            const membership = await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: WRITE_ADMIN_TYPE });
+
+            expect(membership.expiration).to.be.null;
+            expect(membership.isAdmin).to.be.true;
+            expect(membership.projectId).to.equal(0n);
+        });
+
+        it("Should decode require() reverts", async function () {
+            const userClient = new MembershipClient(membershipNFT.connect(user1));
+
+            await expect(userClient.mint({ projectId: PROJECT_ID, to: user2.address, membershipType: VIP_TYPE }))
+                .to.be.rejectedWith(ContractRevertError, "Caller is not an admin");
+        });
+    });
+
+    describe("revoke", function () {
+        beforeEach(async function () {
+            await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: VIP_TYPE });
+        });
+
+        it("Should soft revoke a membership", async function () {
+            await client.revoke(1);
+
+            const membership = await client.viewMembership(1);
+            expect(membership.revoked).to.be.true;
+        });
+
+        it("Should reinstate a soft-revoked membership", async function () {
+            await client.revoke(1);
+            await client.reinstate(1);
+
+            const membership = await client.viewMembership(1);
+            expect(membership.revoked).to.be.false;
+        });
+
+        it("Should hard revoke a membership", async function () {
+            await client.revoke(1, { hard: true });
+
+            expect(await client.viewMembership(1)).to.be.null;
+        });
+    });
+
+    describe("project permissions", function () {
+        it("Should set, list and check permissions by name", async function () {
+            await client.setProjectPermissions({ projectId: PROJECT_ID, account: user1.address.toLowerCase(), permissions: ["mint", "manage-project"] });
+
+            expect(await client.getProjectPermissions(PROJECT_ID, user1.address)).to.deep.equal(["mint", "manage-project"]);
+            expect(await client.hasProjectPermission({ projectId: PROJECT_ID, account: user1.address, permission: "mint" })).to.be.true;
+            expect(await client.hasProjectPermission({ projectId: 2, account: user1.address, permission: "mint" })).to.be.false;
+
+            const projectClient = new MembershipClient(membershipNFT.connect(user1));
+            await projectClient.mint({ projectId: PROJECT_ID, to: user2.address, membershipType: VIP_TYPE });
+            await expect(projectClient.mint({ projectId: 2, to: user2.address, membershipType: VIP_TYPE }))
+                .to.be.rejectedWith(ContractRevertError, "Caller is not an admin");
+        });
+
+        it("Should reject unknown permission names", async function () {
+            await expect(client.setProjectPermissions({ projectId: PROJECT_ID, account: user1.address, permissions: ["burn"] }))
+                .to.be.rejectedWith(SdkError, "Unknown permission: burn")
+                .and.eventually.have.property("code", "INVALID_ARGUMENT");
+        });
+    });
+
+    describe("project lookups", function () {
+        beforeEach(async function () {
+            await client.mint({ projectId: 1, to: user1.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: 2, to: user1.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: 2, to: user1.address, membershipType: "premium" });
+        });
+
+        it("Should look up a membership by project and type", async function () {
+            const first = await client.getProjectMembership({ projectId: 1, user: user1.address, membershipType: VIP_TYPE });
+            const second = await client.getProjectMembership({ projectId: 2, user: user1.address, membershipType: VIP_TYPE });
+
+            expect(first.tokenId).to.equal(1n);
+            expect(second.tokenId).to.equal(2n);
+            expect(await client.getProjectMembership({ projectId: 3, user: user1.address, membershipType: VIP_TYPE })).to.be.null;
+        });
+
+        it("Should list a user's memberships in one project", async function () {
+            const memberships = await client.getUserProjectMemberships(user1.address, 2);
+
+            expect(memberships.map((m) => m.membershipType)).to.deep.equal([VIP_TYPE, "premium"]);
+            expect(await client.getUserProjectMemberships(user2.address, 2)).to.deep.equal([]);
+        });
+    });
+
+    describe("membership checks", function () {
+        beforeEach(async function () {
+            await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: VIP_TYPE });
+        });
+
+        it("Should check one or many addresses", async function () {
+            expect(await client.hasValidMembership({ projectId: PROJECT_ID, user: user1.address.toLowerCase(), membershipType: VIP_TYPE })).to.be.true;
+
+            const valid = await client.hasValidMemberships({ projectId: PROJECT_ID, users: [user1.address, user2.address], membershipType: VIP_TYPE });
+            expect([...valid]).to.deep.equal([[user1.address, true], [user2.address, false]]);
+        });
+
+        it("Should authorize members and reject everyone else", async function () {
+            const authorize = createMembershipGuard(client, { projectId: PROJECT_ID, membershipType: VIP_TYPE });
+
+            expect(await authorize(user1.address.toLowerCase())).to.equal(user1.address);
+            await expect(authorize(user2.address)).to.be.rejectedWith(SdkError, "has no valid vip membership for project 1")
+                .and.eventually.have.property("code", "MEMBERSHIP_REQUIRED");
+        });
+
+        it("Should cache answers until they expire", async function () {
+            const cached = createMembershipGuard(client, { projectId: PROJECT_ID, membershipType: VIP_TYPE, cacheTtlMs: 60000 });
+            const uncached = createMembershipGuard(client, { projectId: PROJECT_ID, membershipType: VIP_TYPE, cacheTtlMs: 0 });
+            await cached(user1.address);
+
+            await client.revoke(1);
+
+            expect(await cached(user1.address)).to.equal(user1.address);
+            await expect(uncached(user1.address)).to.be.rejectedWith(SdkError);
+        });
+
+        it("Should evict the least recently used answer once the cache is full", async function () {
+            const cached = createMembershipGuard(client, { projectId: PROJECT_ID, membershipType: VIP_TYPE, cacheTtlMs: 60000, cacheSize: 1 });
+            await cached(user1.address);
+            await expect(cached(user2.address)).to.be.rejectedWith(SdkError);
+
+            await client.revoke(1);
+
+            await expect(cached(user1.address)).to.be.rejectedWith(SdkError, "has no valid vip membership");
+        });
+    });
+
+    describe("extendMemberships", function () {
+        let now;
+
+        beforeEach(async function () {
+            now = await time.latest();
+            await client.mint({ projectId: 1, to: user1.address, membershipType: VIP_TYPE, expiration: now + 1000 });
+            await client.mint({ projectId: 2, to: user2.address, membershipType: VIP_TYPE, expiration: now + 2000 });
+            await client.mint({ projectId: 1, to: user2.address, membershipType: VIP_TYPE, expiration: now + 9000 });
+            await client.mint({ projectId: 1, to: user1.address, membershipType: "premium", expiration: now + 1000 });
+            await client.mint({ projectId: 1, to: user2.address, membershipType: VIP_TYPE });
+        });
+
+        it("Should extend memberships of a type that expire before a date", async function () {
+            const results = await extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now + 5000, seconds: 86400 });
+
+            expect(results.map(({ tokenId, status }) => [tokenId, status])).to.deep.equal([[1n, "extended"], [2n, "extended"]]);
+            expect((await client.viewMembership(1)).expiration.getTime()).to.equal((now + 1000 + 86400) * 1000);
+            expect((await client.viewMembership(3)).expiration.getTime()).to.equal((now + 9000) * 1000);
+            expect((await client.viewMembership(4)).expiration.getTime()).to.equal((now + 1000) * 1000);
+
+            const again = await extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now + 5000, seconds: 86400 });
+            expect(again).to.deep.equal([]);
+        });
+
+        it("Should renew to a fixed date and filter by project", async function () {
+            const until = new Date((now + 50000) * 1000);
+            const results = await extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now + 5000, until, projectId: 2 });
+
+            expect(results.map(({ tokenId }) => tokenId)).to.deep.equal([2n]);
+            expect((await client.viewMembership(2)).expiration.getTime()).to.equal(until.getTime());
+        });
+
+        it("Should only report on a dry run", async function () {
+            const results = await extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now + 5000, seconds: 60, dryRun: true });
+
+            expect(results.map(({ status }) => status)).to.deep.equal(["selected", "selected"]);
+            expect((await client.viewMembership(1)).expiration.getTime()).to.equal((now + 1000) * 1000);
+        });
+
+        it("Should require exactly one of seconds and until", async function () {
+            await expect(extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now }))
+                .to.be.rejectedWith(SdkError, "Pass exactly one of seconds and until");
+        });
+
+        it("Should reject a batch size below one", async function () {
+            for (const batchSize of [0, -1, 1.5]) {
+                await expect(extendMemberships(client, { membershipType: VIP_TYPE, expiringBefore: now + 5000, seconds: 60, batchSize }))
+                    .to.be.rejectedWith(SdkError, `batchSize must be a positive integer, got ${batchSize}`);
+            }
+            expect((await client.viewMembership(1)).expiration.getTime()).to.equal((now + 1000) * 1000);
+        });
+    });
+
+    describe("viewAllMemberships", function () {
+        it("Should return plain membership objects", async function () {
+            await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: PROJECT_ID, to: user2.address, membershipType: VIP_TYPE });
+
+            const memberships = await client.viewAllMemberships();
+            expect(memberships.map((m) => m.user)).to.deep.equal([user1.address, user2.address]);
+            expect(memberships.map((m) => m.tokenId)).to.deep.equal([1n, 2n]);
+        });
+
+        it("Should fetch across several pages", async function () {
+            for (let i = 0; i < 5; i++) {
+                await client.mint({ projectId: PROJECT_ID, to: user1.address, membershipType: VIP_TYPE });
+            }
+
+            const memberships = await client.viewAllMemberships({ pageSize: 2 });
+            expect(memberships.map((m) => m.tokenId)).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+        });
+    });
+
+    describe("paginated queries", function () {
+        beforeEach(async function () {
+            await client.mint({ projectId: 1, to: user1.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: 2, to: user2.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: 1, to: user2.address, membershipType: "premium" });
+            await client.mint({ projectId: 1, to: user2.address, membershipType: VIP_TYPE });
+            await client.mint({ projectId: 1, to: user1.address, membershipType: VIP_TYPE });
+            await client.revoke(5);
+        });
+
+        it("Should page through memberships", async function () {
+            const page = await client.getMemberships({ offset: 3, limit: 10 });
+
+            expect(page.map((m) => m.tokenId)).to.deep.equal([4n, 5n]);
+        });
+
+        it("Should return the next offset, or null at the end", async function () {
+            const first = await client.queryMemberships({ membershipType: "premium" }, { limit: 2 });
+            expect(first).to.deep.equal({ memberships: [], nextOffset: 2 });
+
+            const last = await client.queryMemberships({ membershipType: "premium" }, { offset: 2, limit: 3 });
+            expect(last.memberships.map((m) => m.tokenId)).to.deep.equal([3n]);
+            expect(last.nextOffset).to.be.null;
+        });
+
+        it("Should walk filtered pages transparently", async function () {
+            const found = [];
+            for await (const membership of client.iterateMemberships({ projectId: 1, membershipType: VIP_TYPE, status: "active" }, { pageSize: 2 })) {
+                found.push(membership.tokenId);
+            }
+            expect(found).to.deep.equal([1n, 4n]);
+
+            const held = [];
+            for await (const membership of client.iterateMemberships({ holder: user2.address.toLowerCase(), status: "any" }, { pageSize: 1 })) {
+                held.push(membership.tokenId);
+            }
+            expect(held).to.deep.equal([2n, 3n, 4n]);
+        });
+
+        it("Should reject unknown statuses", async function () {
+            await expect(client.queryMemberships({ status: "lapsed" }))
+                .to.be.rejectedWith(SdkError, "Unknown status: lapsed")
+                .and.eventually.have.property("code", "INVALID_ARGUMENT");
+        });
+    });
+});
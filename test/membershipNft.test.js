@@ -249,6 +249,366 @@ describe("RevokableMembershipNFT", function () {
         });
     });
 
+    describe("per-project memberships", function () {
+        let futureTime;
+
+        beforeEach(async function () {
+            futureTime = (await time.latest()) + 3600;
+            await membershipNFT.mint(1, user1.address, VIP_TYPE, futureTime, transferable);
+            await membershipNFT.mint(2, user1.address, VIP_TYPE, 0, nonTransferable);
+        });
+
+        it("Should keep the same membership type separate per project", async function () {
+            const project1 = await membershipNFT.viewProjectMembership(1, user1.address, VIP_TYPE);
+            const project2 = await membershipNFT.viewProjectMembership(2, user1.address, VIP_TYPE);
+
+            expect(project1.tokenId).to.equal(1);
+            expect(project1.expiration).to.equal(futureTime);
+            expect(project2.tokenId).to.equal(2);
+            expect(project2.expiration).to.equal(0);
+            expect((await membershipNFT.viewProjectMembership(0, user1.address, VIP_TYPE)).user).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should store admin memberships under project 0", async function () {
+            await membershipNFT.mint(PROJECT_ID, writeAdmin.address, WRITE_ADMIN_TYPE, 0, transferable);
+
+            expect((await membershipNFT.viewProjectMembership(0, writeAdmin.address, WRITE_ADMIN_TYPE)).isAdmin).to.be.true;
+            expect((await membershipNFT.viewProjectMembership(PROJECT_ID, writeAdmin.address, WRITE_ADMIN_TYPE)).user).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should only revoke the membership of the revoked project", async function () {
+            await membershipNFT.revoke(1, false);
+
+            expect((await membershipNFT.viewProjectMembership(1, user1.address, VIP_TYPE)).revoked).to.be.true;
+            expect((await membershipNFT.viewProjectMembership(2, user1.address, VIP_TYPE)).revoked).to.be.false;
+        });
+
+        it("Should delete the project entry on hard revoke", async function () {
+            await membershipNFT.revoke(2, true);
+
+            expect((await membershipNFT.viewProjectMembership(2, user1.address, VIP_TYPE)).user).to.equal(ethers.ZeroAddress);
+            expect((await membershipNFT.viewProjectMembership(1, user1.address, VIP_TYPE)).tokenId).to.equal(1);
+        });
+
+        it("Should move the project entry to the new holder on transfer", async function () {
+            await membershipNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+            expect((await membershipNFT.viewProjectMembership(1, user1.address, VIP_TYPE)).user).to.equal(ethers.ZeroAddress);
+            const moved = await membershipNFT.viewProjectMembership(1, user2.address, VIP_TYPE);
+            expect(moved.tokenId).to.equal(1);
+            expect(moved.user).to.equal(user2.address);
+        });
+
+        it("Should list a user's memberships per project", async function () {
+            await membershipNFT.mint(2, user1.address, PREMIUM_TYPE, 0, nonTransferable);
+
+            const memberships = await membershipNFT.viewUserProjectMemberships(user1.address, 2);
+            expect(memberships.map((m) => m.tokenId)).to.deep.equal([2n, 3n]);
+            expect(await membershipNFT.viewUserProjectMemberships(user1.address, 5)).to.deep.equal([]);
+        });
+    });
+
+    describe("hasValidMembership", function () {
+        let futureTime;
+
+        beforeEach(async function () {
+            futureTime = (await time.latest()) + 3600;
+            await membershipNFT.mint(PROJECT_ID, user1.address, VIP_TYPE, futureTime, transferable);
+        });
+
+        it("Should accept a current membership", async function () {
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.true;
+        });
+
+        it("Should reject another project, type or address", async function () {
+            expect(await membershipNFT.hasValidMembership(user1.address, 2, VIP_TYPE)).to.be.false;
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, PREMIUM_TYPE)).to.be.false;
+            expect(await membershipNFT.hasValidMembership(user2.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+            expect(await membershipNFT.hasValidMembership(ethers.ZeroAddress, 0, "")).to.be.false;
+        });
+
+        it("Should reject an expired membership", async function () {
+            await time.increaseTo(futureTime);
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+        });
+
+        it("Should reject a revoked membership", async function () {
+            await membershipNFT.revoke(1, false);
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+        });
+
+        it("Should follow the token when it is transferred", async function () {
+            await membershipNFT.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+            expect(await membershipNFT.hasValidMembership(user2.address, PROJECT_ID, VIP_TYPE)).to.be.true;
+        });
+
+        it("Should check admin memberships under project 0", async function () {
+            await membershipNFT.mint(PROJECT_ID, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+            expect(await membershipNFT.hasValidMembership(writeAdmin.address, PROJECT_ID_ADMIN, WRITE_ADMIN_TYPE)).to.be.true;
+        });
+
+        it("Should check many addresses at once", async function () {
+            await membershipNFT.mint(PROJECT_ID, user3.address, VIP_TYPE, 0, transferable);
+
+            expect(await membershipNFT.hasValidMemberships([user1.address, user2.address, user3.address], PROJECT_ID, VIP_TYPE))
+                .to.deep.equal([true, false, true]);
+            expect(await membershipNFT.hasValidMemberships([], PROJECT_ID, VIP_TYPE)).to.deep.equal([]);
+        });
+    });
+
+    describe("renew and extend", function () {
+        let futureTime;
+
+        beforeEach(async function () {
+            futureTime = (await time.latest()) + 3600;
+            await membershipNFT.mint(PROJECT_ID, user1.address, VIP_TYPE, futureTime, transferable);
+            await membershipNFT.mint(PROJECT_ID, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+        });
+
+        it("Should renew a membership and keep its tokenId", async function () {
+            const newExpiration = futureTime + 86400;
+            await expect(membershipNFT.renew(1, newExpiration))
+                .to.emit(membershipNFT, "MembershipRenewed").withArgs(1, futureTime, newExpiration);
+
+            expect((await membershipNFT.viewMembership(1)).expiration).to.equal(newExpiration);
+            expect((await membershipNFT.viewProjectMembership(PROJECT_ID, user1.address, VIP_TYPE)).expiration).to.equal(newExpiration);
+            expect(await membershipNFT.ownerOf(1)).to.equal(user1.address);
+        });
+
+        it("Should renew an expired membership", async function () {
+            await time.increaseTo(futureTime + 10);
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+
+            await membershipNFT.renew(1, 0);
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.true;
+        });
+
+        it("Should extend from the current expiration", async function () {
+            await expect(membershipNFT.extend(1, 600))
+                .to.emit(membershipNFT, "MembershipRenewed").withArgs(1, futureTime, futureTime + 600);
+        });
+
+        it("Should extend an expired membership from now", async function () {
+            await time.increaseTo(futureTime + 1000);
+            await membershipNFT.extend(1, 600);
+
+            expect((await membershipNFT.viewMembership(1)).expiration).to.equal((await time.latest()) + 600);
+        });
+
+        it("Should allow write admins to renew", async function () {
+            await expect(membershipNFT.connect(writeAdmin).extend(1, 600))
+                .to.emit(membershipNFT, "MembershipRenewed");
+        });
+
+        it("Should reject renewals from non-admins", async function () {
+            await expect(membershipNFT.connect(user1).renew(1, futureTime + 600))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should reject past expirations", async function () {
+            await expect(membershipNFT.renew(1, (await time.latest()) - 1))
+                .to.be.revertedWith("Expiration must be in the future or 0 if no expiration");
+        });
+
+        it("Should reject renewing revoked or missing memberships", async function () {
+            await membershipNFT.revoke(1, false);
+            await expect(membershipNFT.renew(1, 0)).to.be.revertedWith("Membership is revoked");
+            await expect(membershipNFT.renew(99, 0)).to.be.revertedWith("Invalid tokenId: Membership does not exist");
+            await expect(membershipNFT.extend(99, 600)).to.be.revertedWith("Invalid tokenId: Membership does not exist");
+        });
+
+        it("Should reject extending memberships that never expire", async function () {
+            await expect(membershipNFT.extend(2, 600)).to.be.revertedWith("Membership does not expire");
+            await expect(membershipNFT.extend(1, 0)).to.be.revertedWith("Duration must be greater than 0");
+        });
+    });
+
+    describe("reinstate", function () {
+        beforeEach(async function () {
+            await membershipNFT.mint(PROJECT_ID, user1.address, VIP_TYPE, 0, transferable);
+            await membershipNFT.mint(PROJECT_ID, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+        });
+
+        it("Should reinstate a soft-revoked membership", async function () {
+            await membershipNFT.revoke(1, false);
+
+            await expect(membershipNFT.reinstate(1))
+                .to.emit(membershipNFT, "MembershipReinstated").withArgs(1, false);
+
+            expect((await membershipNFT.viewMembership(1)).revoked).to.be.false;
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.true;
+        });
+
+        it("Should restore the admin flag of write admins", async function () {
+            await membershipNFT.revoke(2, false);
+            await expect(membershipNFT.connect(writeAdmin).mint(PROJECT_ID, user2.address, VIP_TYPE, 0, transferable))
+                .to.be.revertedWith("Caller is not an admin");
+
+            await expect(membershipNFT.reinstate(2))
+                .to.emit(membershipNFT, "MembershipReinstated").withArgs(2, true);
+
+            expect((await membershipNFT.viewMembership(2)).isAdmin).to.be.true;
+            expect((await membershipNFT.viewProjectMembership(0, writeAdmin.address, WRITE_ADMIN_TYPE)).isAdmin).to.be.true;
+            await expect(membershipNFT.connect(writeAdmin).mint(PROJECT_ID, user2.address, VIP_TYPE, 0, transferable))
+                .to.emit(membershipNFT, "MembershipMinted");
+        });
+
+        it("Should not revalidate an expired membership", async function () {
+            const expiration = (await time.latest()) + 100;
+            await membershipNFT.mint(PROJECT_ID, user2.address, VIP_TYPE, expiration, transferable);
+            await membershipNFT.revoke(3, false);
+            await time.increaseTo(expiration + 1);
+
+            await membershipNFT.reinstate(3);
+            expect(await membershipNFT.hasValidMembership(user2.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+        });
+
+        it("Should reject reinstating active, burned or missing memberships", async function () {
+            await expect(membershipNFT.reinstate(1)).to.be.revertedWith("Membership is not revoked");
+
+            await membershipNFT.revoke(1, true);
+            await expect(membershipNFT.reinstate(1)).to.be.revertedWith("Invalid tokenId: Membership does not exist");
+            await expect(membershipNFT.reinstate(99)).to.be.revertedWith("Invalid tokenId: Membership does not exist");
+        });
+
+        it("Should reject reinstating from non-admins", async function () {
+            await membershipNFT.revoke(1, false);
+            await expect(membershipNFT.connect(user1).reinstate(1))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+    });
+
+    describe("project permissions", function () {
+        const OTHER_PROJECT_ID = 2;
+        const MINT = 1n;
+        const REVOKE = 2n;
+        const MANAGE_PROJECT = 8n;
+        let projectAdmin;
+
+        beforeEach(async function () {
+            projectAdmin = user3;
+            await membershipNFT.mint(PROJECT_ID, user1.address, VIP_TYPE, 0, nonTransferable);
+            await membershipNFT.mint(OTHER_PROJECT_ID, user1.address, VIP_TYPE, 0, nonTransferable);
+            await membershipNFT.setProjectPermissions(PROJECT_ID, projectAdmin.address, MINT | REVOKE);
+        });
+
+        it("Should expose the permission flags", async function () {
+            expect(await membershipNFT.PERMISSION_MINT()).to.equal(MINT);
+            expect(await membershipNFT.PERMISSION_REVOKE()).to.equal(REVOKE);
+            expect(await membershipNFT.PERMISSION_VIEW()).to.equal(4n);
+            expect(await membershipNFT.PERMISSION_MANAGE_PROJECT()).to.equal(MANAGE_PROJECT);
+        });
+
+        it("Should emit ProjectPermissionsSet with the previous permissions", async function () {
+            await expect(membershipNFT.setProjectPermissions(PROJECT_ID, projectAdmin.address, MINT))
+                .to.emit(membershipNFT, "ProjectPermissionsSet")
+                .withArgs(PROJECT_ID, projectAdmin.address, MINT | REVOKE, MINT, owner.address);
+
+            expect(await membershipNFT.projectPermissions(PROJECT_ID, projectAdmin.address)).to.equal(MINT);
+        });
+
+        it("Should let a project admin mint, renew, revoke and reinstate in their project", async function () {
+            await expect(membershipNFT.connect(projectAdmin).mint(PROJECT_ID, user2.address, VIP_TYPE, 0, nonTransferable))
+                .to.emit(membershipNFT, "MembershipMinted");
+            await membershipNFT.connect(projectAdmin).renew(3, (await time.latest()) + 3600);
+            await membershipNFT.connect(projectAdmin).extend(3, 600);
+
+            await membershipNFT.connect(projectAdmin).revoke(1, false);
+            await membershipNFT.connect(projectAdmin).reinstate(1);
+            await membershipNFT.connect(projectAdmin).revoke(3, true);
+
+            expect(await membershipNFT.hasValidMembership(user1.address, PROJECT_ID, VIP_TYPE)).to.be.true;
+            expect(await membershipNFT.hasValidMembership(user2.address, PROJECT_ID, VIP_TYPE)).to.be.false;
+        });
+
+        it("Should deny a project admin in other projects", async function () {
+            await expect(membershipNFT.connect(projectAdmin).mint(OTHER_PROJECT_ID, user2.address, VIP_TYPE, 0, nonTransferable))
+                .to.be.revertedWith("Caller is not an admin");
+            await expect(membershipNFT.connect(projectAdmin).revoke(2, false))
+                .to.be.revertedWith("Caller is not an admin");
+            await expect(membershipNFT.connect(projectAdmin).revoke(2, true))
+                .to.be.revertedWith("Caller is not an admin");
+            await expect(membershipNFT.connect(projectAdmin).renew(2, 0))
+                .to.be.revertedWith("Caller is not an admin");
+            await expect(membershipNFT.connect(projectAdmin).setProjectPermissions(OTHER_PROJECT_ID, user2.address, MINT))
+                .to.be.revertedWith("Caller is not an admin");
+
+            await membershipNFT.revoke(2, false);
+            await expect(membershipNFT.connect(projectAdmin).reinstate(2))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should not let a project admin mint admin memberships", async function () {
+            await expect(membershipNFT.connect(projectAdmin).mint(PROJECT_ID, user2.address, WRITE_ADMIN_TYPE, 0, nonTransferable))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should not make a project admin an operator of the holder's tokens", async function () {
+            await membershipNFT.connect(projectAdmin).mint(PROJECT_ID, user1.address, PREMIUM_TYPE, 0, transferable);
+
+            expect(await membershipNFT.isApprovedForAll(user1.address, projectAdmin.address)).to.be.false;
+            await expect(membershipNFT.connect(projectAdmin).transferFrom(user1.address, projectAdmin.address, 3))
+                .to.be.revertedWithCustomError(membershipNFT, "ERC721InsufficientApproval");
+        });
+
+        it("Should require each permission separately", async function () {
+            await membershipNFT.setProjectPermissions(PROJECT_ID, projectAdmin.address, MINT);
+
+            await expect(membershipNFT.connect(projectAdmin).revoke(1, false))
+                .to.be.revertedWith("Caller is not an admin");
+            await membershipNFT.connect(projectAdmin).mint(PROJECT_ID, user2.address, VIP_TYPE, 0, nonTransferable);
+
+            await membershipNFT.setProjectPermissions(PROJECT_ID, projectAdmin.address, 0);
+            await expect(membershipNFT.connect(projectAdmin).mint(PROJECT_ID, user2.address, VIP_TYPE, 0, nonTransferable))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should let project managers set permissions in their project only", async function () {
+            await membershipNFT.setProjectPermissions(PROJECT_ID, user2.address, MANAGE_PROJECT);
+
+            await expect(membershipNFT.connect(user2).setProjectPermissions(PROJECT_ID, projectAdmin.address, 0))
+                .to.emit(membershipNFT, "ProjectPermissionsSet")
+                .withArgs(PROJECT_ID, projectAdmin.address, MINT | REVOKE, 0, user2.address);
+            await expect(membershipNFT.connect(user2).setProjectPermissions(OTHER_PROJECT_ID, projectAdmin.address, MINT))
+                .to.be.revertedWith("Caller is not an admin");
+            await expect(membershipNFT.connect(user2).mint(PROJECT_ID, user1.address, PREMIUM_TYPE, 0, nonTransferable))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should let write admins set permissions in any project", async function () {
+            await membershipNFT.mint(PROJECT_ID_ADMIN, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+
+            await membershipNFT.connect(writeAdmin).setProjectPermissions(OTHER_PROJECT_ID, projectAdmin.address, REVOKE);
+            await membershipNFT.connect(projectAdmin).revoke(2, false);
+        });
+
+        it("Should reject invalid permission updates", async function () {
+            await expect(membershipNFT.setProjectPermissions(PROJECT_ID_ADMIN, projectAdmin.address, MINT))
+                .to.be.revertedWith("Project 0 is reserved for admins");
+            await expect(membershipNFT.setProjectPermissions(PROJECT_ID, ethers.ZeroAddress, MINT))
+                .to.be.revertedWith("Account must not be zero");
+            await expect(membershipNFT.setProjectPermissions(PROJECT_ID, projectAdmin.address, 16))
+                .to.be.revertedWith("Unknown permission");
+            await expect(membershipNFT.connect(user1).setProjectPermissions(PROJECT_ID, user1.address, MINT))
+                .to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should report effective permissions", async function () {
+            await membershipNFT.mint(PROJECT_ID_ADMIN, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+
+            expect(await membershipNFT.hasProjectPermission(PROJECT_ID, projectAdmin.address, MINT | REVOKE)).to.be.true;
+            expect(await membershipNFT.hasProjectPermission(PROJECT_ID, projectAdmin.address, MANAGE_PROJECT)).to.be.false;
+            expect(await membershipNFT.hasProjectPermission(OTHER_PROJECT_ID, projectAdmin.address, MINT)).to.be.false;
+            expect(await membershipNFT.hasProjectPermission(OTHER_PROJECT_ID, owner.address, MANAGE_PROJECT)).to.be.true;
+            expect(await membershipNFT.hasProjectPermission(OTHER_PROJECT_ID, writeAdmin.address, MANAGE_PROJECT)).to.be.true;
+
+            await membershipNFT.revoke(3, false);
+            expect(await membershipNFT.hasProjectPermission(OTHER_PROJECT_ID, writeAdmin.address, MINT)).to.be.false;
+        });
+    });
+
     describe("revoke", function () {
         beforeEach(async function () {
             const futureTime = (await time.latest()) + 3600;
@@ -536,6 +896,80 @@ describe("RevokableMembershipNFT", function () {
         });
     });
 
+    describe("paginated queries", function () {
+        const ANY = { filterByProject: false, projectId: 0, membershipType: "", holder: ethers.ZeroAddress, status: 0 };
+        const ACTIVE = 1;
+        const EXPIRED = 2;
+        const REVOKED = 3;
+        let expiration;
+
+        beforeEach(async function () {
+            expiration = (await time.latest()) + 100;
+            await membershipNFT.mint(PROJECT_ID, user1.address, VIP_TYPE, 0, nonTransferable);
+            await membershipNFT.mint(PROJECT_ID, user2.address, VIP_TYPE, expiration, nonTransferable);
+            await membershipNFT.mint(2, user1.address, VIP_TYPE, 0, nonTransferable);
+            await membershipNFT.mint(PROJECT_ID, user1.address, PREMIUM_TYPE, 0, nonTransferable);
+            await membershipNFT.mint(PROJECT_ID_ADMIN, writeAdmin.address, WRITE_ADMIN_TYPE, 0, nonTransferable);
+            await membershipNFT.revoke(4, false);
+        });
+
+        const tokenIdsOf = (memberships) => memberships.map((membership) => membership.tokenId);
+
+        it("Should page through memberships", async function () {
+            expect(tokenIdsOf(await membershipNFT.viewMemberships(0, 2))).to.deep.equal([1n, 2n]);
+            expect(tokenIdsOf(await membershipNFT.viewMemberships(4, 2))).to.deep.equal([5n]);
+            expect(await membershipNFT.viewMemberships(5, 2)).to.deep.equal([]);
+            expect(await membershipNFT.viewMemberships(9, 2)).to.deep.equal([]);
+        });
+
+        it("Should scan at most limit tokens and return the next offset", async function () {
+            const filter = { ...ANY, membershipType: PREMIUM_TYPE };
+
+            const [first, firstNext] = await membershipNFT.queryMemberships(filter, 0, 2);
+            expect(first).to.deep.equal([]);
+            expect(firstNext).to.equal(2);
+
+            const [second, secondNext] = await membershipNFT.queryMemberships(filter, 2, 2);
+            expect(tokenIdsOf(second)).to.deep.equal([4n]);
+            expect(secondNext).to.equal(4);
+
+            const [third, thirdNext] = await membershipNFT.queryMemberships(filter, 4, 2);
+            expect(third).to.deep.equal([]);
+            expect(thirdNext).to.equal(0);
+        });
+
+        it("Should filter by project, including the admin project", async function () {
+            const [project1] = await membershipNFT.queryMemberships({ ...ANY, filterByProject: true, projectId: PROJECT_ID }, 0, 10);
+            const [admins] = await membershipNFT.queryMemberships({ ...ANY, filterByProject: true, projectId: PROJECT_ID_ADMIN }, 0, 10);
+
+            expect(tokenIdsOf(project1)).to.deep.equal([1n, 2n, 4n]);
+            expect(tokenIdsOf(admins)).to.deep.equal([5n]);
+        });
+
+        it("Should filter by holder and type", async function () {
+            const [held, next] = await membershipNFT.queryMemberships({ ...ANY, holder: user1.address, membershipType: VIP_TYPE }, 0, 10);
+
+            expect(tokenIdsOf(held)).to.deep.equal([1n, 3n]);
+            expect(next).to.equal(0);
+        });
+
+        it("Should filter by status", async function () {
+            await time.increaseTo(expiration + 1);
+
+            const [active] = await membershipNFT.queryMemberships({ ...ANY, status: ACTIVE }, 0, 10);
+            const [expired] = await membershipNFT.queryMemberships({ ...ANY, status: EXPIRED }, 0, 10);
+            const [revoked] = await membershipNFT.queryMemberships({ ...ANY, status: REVOKED }, 0, 10);
+
+            expect(tokenIdsOf(active)).to.deep.equal([1n, 3n, 5n]);
+            expect(tokenIdsOf(expired)).to.deep.equal([2n]);
+            expect(tokenIdsOf(revoked)).to.deep.equal([4n]);
+        });
+
+        it("Should reject a zero limit", async function () {
+            await expect(membershipNFT.queryMemberships(ANY, 0, 0)).to.be.revertedWith("Limit must be greater than 0");
+        });
+    });
+
     describe("nextTokenId", function () {
         it("Should return current next token ID", async function () {
             expect(await membershipNFT.nextTokenId()).to.equal(0);
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { MembershipClient, SdkError, TransactionSender, loadProvisioningFile, provisionMemberships } = require("../sdk");
+
+describe("membership provisioning", function () {
+    let membershipNFT, client, owner, user1, user2, user3, dir, statePath;
+
+    function writeFile(name, content) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+        const MembershipNFT = await ethers.getContractFactory("RevokableMembershipNFT");
+        membershipNFT = await MembershipNFT.deploy("Test Membership", "TM");
+        await membershipNFT.waitForDeployment();
+        client = new MembershipClient(membershipNFT.connect(owner));
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "provisioning-"));
+        statePath = path.join(dir, "state.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("loadProvisioningFile", function () {
+        it("Should parse CSV with quoted fields and ignore extra columns", function () {
+            const file = writeFile("rows.csv", [
+                "name,address,projectId,membershipType,expiration,transferable",
+                `"Doe, Jane",${user1.address.toLowerCase()},2,vip,2030-01-01T00:00:00Z,yes`,
+                `bob,${user2.address},0,write:admin,never,`,
+            ].join("\n"));
+
+            expect(loadProvisioningFile(file)).to.deep.equal([
+                { address: user1.address, projectId: 2n, membershipType: "vip", expiration: 1893456000n, transferable: true },
+                { address: user2.address, projectId: 0n, membershipType: "write:admin", expiration: 0n, transferable: false },
+            ]);
+        });
+
+        it("Should parse JSON", function () {
+            const file = writeFile("rows.json", JSON.stringify([{ address: user1.address, projectId: 1, membershipType: "vip", expiration: 0, transferable: true }]));
+
+            expect(loadProvisioningFile(file)).to.have.length(1);
+        });
+
+        it("Should report the row of invalid input", function () {
+            const file = writeFile("rows.csv", `address,projectId,membershipType\n${user1.address},1,vip\n0x1234,1,vip\n`);
+
+            expect(() => loadProvisioningFile(file)).to.throw(SdkError, "Invalid row 2: Invalid address: 0x1234");
+        });
+    });
+
+    describe("provisionMemberships", function () {
+        let rows;
+
+        beforeEach(function () {
+            rows = loadProvisioningFile(writeFile("rows.csv", [
+                "address,projectId,membershipType,expiration,transferable",
+                `${user1.address},1,vip,,false`,
+                `${user2.address},1,vip,,true`,
+                `${user3.address},1,premium,,false`,
+            ].join("\n")));
+        });
+
+        it("Should mint every row and report token IDs and hashes", async function () {
+            const results = await provisionMemberships(client, rows, { statePath, batchSize: 2 });
+
+            expect(results.map((result) => result.status)).to.deep.equal(["minted", "minted", "minted"]);
+            expect(results.map((result) => result.tokenId)).to.deep.equal(["1", "2", "3"]);
+            expect(results.every((result) => /^0x[0-9a-f]{64}$/.test(result.transactionHash))).to.be.true;
+            expect(await membershipNFT.totalSupply()).to.equal(3);
+        });
+
+        it("Should not mint again when rerun with the same state file", async function () {
+            await provisionMemberships(client, rows, { statePath });
+            await provisionMemberships(client, rows, { statePath });
+
+            expect(await membershipNFT.totalSupply()).to.equal(3);
+        });
+
+        it("Should recover rows that were minted but not recorded before a crash", async function () {
+            await provisionMemberships(client, rows, { statePath });
+            const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+            state.rows[1] = { ...state.rows[1], status: "pending", tokenId: null, transactionHash: null };
+            state.rows[2] = { ...state.rows[2], status: "sent", tokenId: null };
+            fs.writeFileSync(statePath, JSON.stringify(state));
+
+            const results = await provisionMemberships(client, rows, { statePath });
+
+            expect(results.map((result) => result.tokenId)).to.deep.equal(["1", "2", "3"]);
+            expect(await membershipNFT.totalSupply()).to.equal(3);
+        });
+
+        it("Should match recovered mints to rows by project", async function () {
+            const twoProjects = loadProvisioningFile(writeFile("projects.csv", [
+                "address,projectId,membershipType,expiration,transferable",
+                `${user1.address},2,vip,,false`,
+                `${user1.address},1,vip,,false`,
+            ].join("\n")));
+            const userClient = new MembershipClient(membershipNFT.connect(user1));
+            await provisionMemberships(userClient, twoProjects, { statePath });
+            // The second row's mint went out before the crash, but the first row's never did
+            await membershipNFT.mint(1, user1.address, "vip", 0, false);
+
+            const results = await provisionMemberships(client, twoProjects, { statePath });
+
+            expect(results.map((result) => result.tokenId)).to.deep.equal(["2", "1"]);
+            expect(await membershipNFT.totalSupply()).to.equal(2);
+            expect((await client.getProjectMembership({ projectId: 2, user: user1.address, membershipType: "vip" })).tokenId).to.equal(2n);
+        });
+
+        it("Should wait for a transaction left in the mempool instead of sending it again", async function () {
+            // The first run times out waiting for its first mint, which is how it looks when it is interrupted
+            const impatient = new MembershipClient(membershipNFT, { sender: new TransactionSender(owner, { timeoutMs: 100, pollIntervalMs: 20 }) });
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                await expect(provisionMemberships(impatient, rows, { statePath, batchSize: 1 }))
+                    .to.be.rejectedWith(SdkError, "not mined");
+                expect(JSON.parse(fs.readFileSync(statePath, "utf8")).rows[0].status).to.equal("sent");
+
+                const resumed = new MembershipClient(membershipNFT, { sender: new TransactionSender(owner, { pollIntervalMs: 20 }) });
+                const results = provisionMemberships(resumed, rows, { statePath });
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                await network.provider.send("evm_setAutomine", [true]);
+                await network.provider.send("evm_mine");
+
+                expect((await results).map((result) => result.tokenId)).to.deep.equal(["1", "2", "3"]);
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+            expect(await membershipNFT.totalSupply()).to.equal(3);
+        });
+
+        it("Should reject a batch size below one", async function () {
+            await expect(provisionMemberships(client, rows, { statePath, batchSize: 0 }))
+                .to.be.rejectedWith(SdkError, "batchSize must be a positive integer, got 0");
+        });
+
+        it("Should record failures and retry them on the next run", async function () {
+            const userClient = new MembershipClient(membershipNFT.connect(user1));
+            const failed = await provisionMemberships(userClient, rows.slice(0, 1), { statePath });
+            expect(failed[0].status).to.equal("failed");
+            expect(failed[0].error).to.equal("Execution reverted: Caller is not an admin");
+
+            await membershipNFT.mint(0, user1.address, "write:admin", 0, false);
+            const retried = await provisionMemberships(userClient, rows.slice(0, 1), { statePath });
+            expect(retried[0].status).to.equal("minted");
+        });
+
+        it("Should refuse a state file from a different input", async function () {
+            await provisionMemberships(client, rows.slice(0, 1), { statePath });
+
+            await expect(provisionMemberships(client, rows, { statePath }))
+                .to.be.rejectedWith(SdkError, "belongs to a different input file or contract");
+        });
+    });
+});
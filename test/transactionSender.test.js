@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { TransactionSender, ContractRevertError, SdkError } = require("../sdk");
+
+describe("TransactionSender", function () {
+    let token, owner, user1;
+
+    const FAST = { retryDelayMs: 1, pollIntervalMs: 10 };
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+        token = await ethers.deployContract("SimpleERC20", ["Test", "TST"]);
+        await token.waitForDeployment();
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should send a contract call and return its receipt", async function () {
+        const sender = new TransactionSender(owner, FAST);
+
+        const receipt = await sender.send(token, "mint", [user1.address, 100]);
+
+        expect(receipt.status).to.equal(1);
+        expect(await token.balanceOf(user1.address)).to.equal(100);
+    });
+
+    it("Should assign consecutive nonces to concurrent transactions", async function () {
+        const sender = new TransactionSender(owner, FAST);
+        const start = await ethers.provider.getTransactionCount(owner.address);
+
+        const submitted = await Promise.all([1, 2, 3].map((amount) => sender.submit(token, "mint", [user1.address, amount])));
+        await Promise.all(submitted.map((tx) => tx.wait()));
+
+        expect(submitted.map((tx) => tx.nonce).sort()).to.deep.equal([start, start + 1, start + 2]);
+        expect(await token.balanceOf(user1.address)).to.equal(6);
+    });
+
+    it("Should decode reverts without consuming a nonce", async function () {
+        const sender = new TransactionSender(user1, FAST);
+        const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+        await expect(sender.send(token, "mint", [user1.address, 1]))
+            .to.be.rejectedWith(ContractRevertError, "OwnableUnauthorizedAccount");
+
+        const tx = await sender.submit(token, "transfer", [owner.address, 0]);
+        expect(tx.nonce).to.equal(nonce);
+    });
+
+    it("Should resynchronise when another process used the nonce", async function () {
+        const sender = new TransactionSender(owner, FAST);
+        await sender.send(token, "mint", [user1.address, 1]);
+
+        await token.mint(user1.address, 1); // bypasses the sender
+
+        const receipt = await sender.send(token, "mint", [user1.address, 1]);
+        expect(receipt.status).to.equal(1);
+        expect(await token.balanceOf(user1.address)).to.equal(3);
+    });
+
+    it("Should retry transient RPC errors", async function () {
+        let failures = 0;
+        const flaky = {
+            provider: owner.provider,
+            getAddress: () => owner.getAddress(),
+            estimateGas: (request) => owner.estimateGas(request),
+            sendTransaction: async (request) => {
+                if (failures++ === 0) {
+                    throw Object.assign(new Error("socket hang up"), { code: "NETWORK_ERROR" });
+                }
+                return owner.sendTransaction(request);
+            },
+        };
+        const sender = new TransactionSender(flaky, FAST);
+
+        const receipt = await sender.send(token, "mint", [user1.address, 5]);
+
+        expect(receipt.status).to.equal(1);
+        expect(failures).to.equal(2);
+    });
+
+    it("Should not use up a nonce when the fee lookup fails", async function () {
+        let failures = 0;
+        const provider = {
+            getTransactionCount: (...args) => owner.provider.getTransactionCount(...args),
+            getTransactionReceipt: (hash) => owner.provider.getTransactionReceipt(hash),
+            getBlockNumber: () => owner.provider.getBlockNumber(),
+            getFeeData: async () => {
+                if (failures++ === 0) {
+                    throw new Error("method eth_maxPriorityFeePerGas not supported");
+                }
+                return owner.provider.getFeeData();
+            },
+        };
+        const signer = {
+            provider,
+            getAddress: () => owner.getAddress(),
+            estimateGas: (request) => owner.estimateGas(request),
+            sendTransaction: (request) => owner.sendTransaction(request),
+        };
+        const sender = new TransactionSender(signer, FAST);
+        const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+        await expect(sender.send(token, "mint", [user1.address, 1])).to.be.rejectedWith("not supported");
+
+        const tx = await sender.submit(token, "mint", [user1.address, 1]);
+        expect(tx.nonce).to.equal(nonce);
+        expect((await tx.wait()).status).to.equal(1);
+    });
+
+    it("Should replace a stuck transaction with bumped fees", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+        const sender = new TransactionSender(owner, { ...FAST, stuckTimeoutMs: 0, maxReplacements: 1 });
+
+        const tx = await sender.submit(token, "mint", [user1.address, 7]);
+        const original = await ethers.provider.getTransaction(tx.hash);
+        const waiting = tx.wait();
+        while (tx.hashes.length < 2) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        await network.provider.send("evm_mine");
+
+        const receipt = await waiting;
+        expect(receipt.hash).to.equal(tx.hashes[1]);
+        const replacement = await ethers.provider.getTransaction(tx.hashes[1]);
+        expect(replacement.maxFeePerGas > original.maxFeePerGas).to.be.true;
+        expect(await token.balanceOf(user1.address)).to.equal(7);
+    });
+
+    it("Should wait for the configured number of confirmations", async function () {
+        const sender = new TransactionSender(owner, { ...FAST, confirmations: 3 });
+        let confirmed = false;
+
+        const waiting = sender.send(token, "mint", [user1.address, 1]).then((receipt) => {
+            confirmed = true;
+            return receipt;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(confirmed).to.be.false;
+
+        await network.provider.send("hardhat_mine", ["0x2"]);
+        const receipt = await waiting;
+        expect(await receipt.confirmations()).to.be.at.least(3);
+    });
+
+    it("Should share one sender per signer", function () {
+        expect(TransactionSender.for(owner)).to.equal(TransactionSender.for(owner));
+        expect(TransactionSender.for(owner)).to.not.equal(TransactionSender.for(user1));
+    });
+
+    it("Should require a signer with a provider", function () {
+        expect(() => new TransactionSender(ethers.provider)).to.throw(SdkError, "needs a signer");
+    });
+});
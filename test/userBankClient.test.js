@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { UserBankClient, ContractRevertError, SdkError, loadMappingFile, importProjectGuids, migrateLegacyProjectGuids, loadArtifact } = require("../sdk");
+
+describe("UserBankClient", function () {
+    let userBank, client, owner, addr1;
+
+    const GUID = "5f0c3a52-7c4e-4b8e-9a55-3f1d2f1e8c11";
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+        const UserBank = await ethers.getContractFactory("UserBank");
+        userBank = await upgrades.deployProxy(UserBank, [], { initializer: "initialize", kind: "uups" });
+        client = await UserBankClient.connect(owner, { address: await userBank.getAddress() });
+    });
+
+    it("Should set and get a project GUID", async function () {
+        const receipt = await client.setProjectGuidToAddress(GUID, addr1.address);
+        expect(receipt.status).to.equal(1);
+        expect(await client.getProjectGuid(addr1.address)).to.equal(GUID);
+    });
+
+    it("Should checksum addresses so lowercase and checksummed lookups agree", async function () {
+        await client.setProjectGuidToAddress(GUID, addr1.address.toLowerCase());
+        expect(await client.getProjectGuid(addr1.address)).to.equal(GUID);
+        expect(await userBank.getProjectGuid(addr1.address)).to.equal(GUID);
+    });
+
+    it("Should return null for an unmapped address", async function () {
+        expect(await client.getProjectGuid(addr1.address)).to.be.null;
+    });
+
+    it("Should reject invalid addresses before sending a transaction", async function () {
+        await expect(client.setProjectGuidToAddress(GUID, "0x1234"))
+            .to.be.rejectedWith(SdkError, "Invalid address");
+    });
+
+    it("Should reject an empty GUID", async function () {
+        await expect(client.setProjectGuidToAddress("", addr1.address))
+            .to.be.rejectedWith(SdkError, "guid must be a non-empty string");
+    });
+
+    it("Should decode custom error reverts", async function () {
+        const nonOwnerClient = await UserBankClient.connect(addr1, { address: await userBank.getAddress() });
+        try {
+            await nonOwnerClient.setProjectGuidToAddress(GUID, addr1.address);
+            expect.fail("expected a revert");
+        } catch (error) {
+            expect(error).to.be.instanceOf(ContractRevertError);
+            expect(error.errorName).to.equal("AccessControlUnauthorizedAccount");
+            expect(error.args[0]).to.equal(addr1.address);
+        }
+    });
+
+    describe("enumeration", function () {
+        it("Should iterate over every mapping across pages", async function () {
+            const addresses = Array.from({ length: 5 }, () => ethers.Wallet.createRandom().address);
+            await client.setProjectGuidsToAddresses(addresses.map((address, i) => ({ address, guid: `guid-${i % 2}` })));
+
+            const seen = [];
+            for await (const mapping of client.iterateMappings({ pageSize: 2 })) {
+                seen.push(mapping.address);
+            }
+            expect(seen).to.deep.equal(addresses);
+            expect(await client.getMappingCount()).to.equal(5);
+            expect(await client.getAddressesForGuid("guid-1")).to.deep.equal([addresses[1], addresses[3]]);
+        });
+
+        it("Should remove a mapping", async function () {
+            await client.setProjectGuidToAddress(GUID, addr1.address);
+            await client.removeProjectGuid(addr1.address);
+
+            expect(await client.getProjectGuid(addr1.address)).to.be.null;
+            expect(await client.getMappingCount()).to.equal(0);
+        });
+    });
+
+    describe("roles", function () {
+        it("Should grant, list and revoke roles by name", async function () {
+            await client.grantRole("registrar", addr1.address);
+            expect(await client.getRoles(addr1.address)).to.deep.equal(["registrar"]);
+            expect(await client.hasRole(UserBankClient.ROLES.registrar, addr1.address)).to.be.true;
+
+            await client.revokeRole("registrar", addr1.address);
+            expect(await client.getRoles(addr1.address)).to.deep.equal([]);
+        });
+
+        it("Should reject unknown role names", async function () {
+            await expect(client.grantRole("owner", addr1.address))
+                .to.be.rejectedWith(SdkError, "Unknown role: owner");
+        });
+
+        it("Should pause and unpause writes", async function () {
+            await client.pause();
+            expect(await client.paused()).to.be.true;
+            await expect(client.setProjectGuidToAddress(GUID, addr1.address))
+                .to.be.rejectedWith(ContractRevertError, "EnforcedPause");
+
+            await client.unpause();
+            expect(await client.paused()).to.be.false;
+        });
+    });
+
+    describe("getHistory", function () {
+        let other;
+
+        beforeEach(async function () {
+            other = ethers.Wallet.createRandom().address;
+            await client.setProjectGuidToAddress("guid-1", addr1.address);
+            await client.setProjectGuidToAddress("guid-2", other);
+            await client.setProjectGuidToAddress("guid-2", addr1.address);
+            await client.removeProjectGuid(addr1.address);
+        });
+
+        it("Should replay every change to an address in order", async function () {
+            const history = await client.getHistory({ address: addr1.address, blockRange: 2 });
+
+            expect(history.map(({ type, guid, previousGuid }) => [type, guid, previousGuid])).to.deep.equal([
+                ["set", "guid-1", null],
+                ["set", "guid-2", "guid-1"],
+                ["cleared", null, "guid-2"],
+            ]);
+            expect(history[0].operator).to.equal(owner.address);
+            expect(history[0].timestamp).to.be.instanceOf(Date);
+            expect(history[2].blockNumber).to.be.greaterThan(history[0].blockNumber);
+        });
+
+        it("Should include changes that moved an address away from a GUID", async function () {
+            const history = await client.getHistory({ guid: "guid-1" });
+
+            expect(history.map(({ type, address }) => [type, address])).to.deep.equal([
+                ["set", addr1.address],
+                ["set", addr1.address],
+            ]);
+            expect(await client.getHistory({ guid: "guid-2" })).to.have.length(3);
+        });
+
+        it("Should reject a block range below one", async function () {
+            for (const blockRange of [0, -10, 2.5]) {
+                await expect(client.getHistory({ address: addr1.address, blockRange }))
+                    .to.be.rejectedWith(SdkError, `blockRange must be a positive integer, got ${blockRange}`)
+                    .and.eventually.have.property("code", "INVALID_ARGUMENT");
+            }
+        });
+    });
+
+    describe("importProjectGuids", function () {
+        let mappings;
+
+        beforeEach(function () {
+            mappings = Array.from({ length: 7 }, (_, i) => ({ address: ethers.Wallet.createRandom().address, guid: `guid-${i}` }));
+        });
+
+        it("Should write mappings in chunks and verify them", async function () {
+            const result = await importProjectGuids(client, mappings, { chunkSize: 3 });
+
+            expect(result.chunks.map(({ from, to }) => [from, to])).to.deep.equal([[0, 3], [3, 6], [6, 7]]);
+            expect(result.mismatches).to.be.empty;
+            expect(await client.getProjectGuid(mappings[6].address)).to.equal("guid-6");
+        });
+
+        it("Should shrink chunks that exceed the gas cap", async function () {
+            const result = await importProjectGuids(client, mappings, { chunkSize: 7, maxGasFraction: 0.02 });
+
+            expect(result.chunks.length).to.be.greaterThan(1);
+            expect(result.chunks[result.chunks.length - 1].to).to.equal(7);
+            expect(result.mismatches).to.be.empty;
+        });
+
+        it("Should reject a chunk size below one", async function () {
+            await expect(importProjectGuids(client, mappings, { chunkSize: 0 }))
+                .to.be.rejectedWith(SdkError, "chunkSize must be a positive integer, got 0");
+            expect(await client.getMappingCount()).to.equal(0);
+        });
+
+        it("Should load mapping files and keep the last GUID of duplicated addresses", function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mappings-"));
+            const file = path.join(dir, "mappings.csv");
+            fs.writeFileSync(file, `address,guid\n${addr1.address.toLowerCase()},first\n${owner.address},other\n${addr1.address},second\n`);
+
+            expect(loadMappingFile(file)).to.deep.equal([
+                { address: owner.address, guid: "other" },
+                { address: addr1.address, guid: "second" },
+            ]);
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe("migrateLegacyProjectGuids", function () {
+        let legacy, lowercase, checksummed, mixedCase;
+
+        beforeEach(async function () {
+            lowercase = ethers.Wallet.createRandom().address;
+            checksummed = ethers.Wallet.createRandom().address;
+            legacy = await upgrades.deployProxy(await ethers.getContractFactory("UserBankV1"), [], { initializer: "initialize", kind: "uups" });
+            await legacy.setProjectGuidToAddress("guid-lower", lowercase.toLowerCase());
+            await legacy.setProjectGuidToAddress("guid-checksum", checksummed);
+            // Setting an address replaces its lowercase and checksummed legacy keys, but not other spellings
+            mixedCase = `0x${[...addr1.address.slice(2)].map((c) => (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase())).join("")}`;
+            await legacy.setProjectGuidToAddress("guid-conflict", mixedCase);
+            await upgrades.upgradeProxy(legacy, await ethers.getContractFactory("UserBank"), { kind: "uups", call: { fn: "initializeV2" } });
+            client = await UserBankClient.connect(owner, { address: await legacy.getAddress() });
+            await client.setProjectGuidToAddress(GUID, addr1.address);
+        });
+
+        it("Should find legacy keys in any casing and move them to address keys", async function () {
+            const result = await migrateLegacyProjectGuids(client, [lowercase, checksummed.toLowerCase(), owner.address, "typo", mixedCase]);
+
+            expect(result.migrated).to.deep.equal([
+                { key: lowercase.toLowerCase(), address: lowercase, guid: "guid-lower" },
+                { key: checksummed, address: checksummed, guid: "guid-checksum" },
+            ]);
+            expect(result.conflicts).to.deep.equal([{ key: mixedCase, address: addr1.address, legacyGuid: "guid-conflict", guid: GUID }]);
+            expect(result.missing).to.deep.equal([owner.address]);
+            expect(result.invalid).to.deep.equal(["typo"]);
+            expect(result.chunks).to.have.length(1);
+            expect(await client.getAddressesForGuid("guid-lower")).to.deep.equal([lowercase]);
+        });
+
+        it("Should reject a chunk size below one", async function () {
+            await expect(migrateLegacyProjectGuids(client, [lowercase], { chunkSize: 0 }))
+                .to.be.rejectedWith(SdkError, "chunkSize must be a positive integer, got 0");
+            expect(await client.getLegacyProjectGuid(lowercase.toLowerCase())).to.equal("guid-lower");
+        });
+    });
+
+    it("Should fail to resolve an address on an unknown network", async function () {
+        await expect(UserBankClient.connect(owner))
+            .to.be.rejectedWith(SdkError, "No UserBank deployment recorded for chainId 31337");
+    });
+
+    it("Should reject artifacts of unknown contracts", function () {
+        for (const name of ["Unknown", "toString", "__proto__"]) {
+            expect(() => loadArtifact(name)).to.throw(SdkError, `Unknown contract ${name}`);
+        }
+    });
+});
@@ -2,22 +2,320 @@ const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 
 describe("UserBank", function () {
-    let UserBank, userBank, owner, addr1;
+    let UserBank, userBank, owner, addr1, address1, address2, address3;
 
     beforeEach(async function () {
         [owner, addr1] = await ethers.getSigners();
+        [address1, address2, address3] = ["0x1111111111111111111111111111111111111111", "0x2222222222222222222222222222222222222222", "0x3333333333333333333333333333333333333333"];
         UserBank = await ethers.getContractFactory("UserBank");
         userBank = await upgrades.deployProxy(UserBank, [], { initializer: "initialize" });
     });
 
     it("should allow owner to set and get projectGuidToAddress", async function () {
-        await userBank.setProjectGuidToAddress("guid123", "address123");
-        expect(await userBank.getProjectGuidToAddress("address123")).to.equal("guid123");
+        await userBank.setProjectGuidToAddress("guid123", address1);
+        expect(await userBank.getProjectGuid(address1)).to.equal("guid123");
     });
 
     it("should not allow non-owner to set projectGuidToAddress", async function () {
         await expect(
-            userBank.connect(addr1).setProjectGuidToAddress("guid456", "address456")
+            userBank.connect(addr1).setProjectGuidToAddress("guid456", address1)
         ).to.be.reverted;
     });
-});
\ No newline at end of file
+
+    describe("address keys", function () {
+        it("should resolve lowercase and checksummed addresses to the same mapping", async function () {
+            await userBank.setProjectGuidToAddress("guid1", addr1.address.toLowerCase());
+            expect(await userBank.getProjectGuid(addr1.address)).to.equal("guid1");
+        });
+
+        it("should reject an empty GUID", async function () {
+            await expect(userBank.setProjectGuidToAddress("", address1)).to.be.revertedWith("GUID must not be empty");
+            await expect(
+                userBank.setProjectGuidsToAddresses(["guid1", ""], [address1, address2])
+            ).to.be.revertedWith("GUID must not be empty");
+        });
+
+        it("should reject the zero address", async function () {
+            await expect(
+                userBank.setProjectGuidToAddress("guid1", ethers.ZeroAddress)
+            ).to.be.revertedWith("Address must not be zero");
+        });
+
+    });
+
+    describe("events", function () {
+        it("should emit ProjectGuidSet with the previous GUID", async function () {
+            await expect(userBank.setProjectGuidToAddress("guid1", address1))
+                .to.emit(userBank, "ProjectGuidSet").withArgs(address1, "guid1", "", owner.address);
+            await expect(userBank.setProjectGuidToAddress("guid2", address1))
+                .to.emit(userBank, "ProjectGuidSet").withArgs(address1, "guid2", "guid1", owner.address);
+        });
+
+        it("should emit ProjectGuidSet for every mapping of a batch", async function () {
+            await expect(userBank.setProjectGuidsToAddresses(["guid1", "guid2"], [address1, address2]))
+                .to.emit(userBank, "ProjectGuidSet").withArgs(address2, "guid2", "", owner.address);
+        });
+
+        it("should emit ProjectGuidCleared when a mapping is removed", async function () {
+            await userBank.setProjectGuidToAddress("guid1", address1);
+            await expect(userBank.removeProjectGuid(address1))
+                .to.emit(userBank, "ProjectGuidCleared").withArgs(address1, "guid1", owner.address);
+        });
+    });
+
+    describe("setProjectGuidsToAddresses", function () {
+        it("should set every mapping in one transaction", async function () {
+            await userBank.setProjectGuidsToAddresses(["guid1", "guid2"], [address1, address2]);
+            expect(await userBank.getProjectGuid(address1)).to.equal("guid1");
+            expect(await userBank.getProjectGuid(address2)).to.equal("guid2");
+        });
+
+        it("should accept an empty batch", async function () {
+            await expect(userBank.setProjectGuidsToAddresses([], [])).to.not.be.reverted;
+        });
+
+        it("should reject mismatched array lengths", async function () {
+            await expect(
+                userBank.setProjectGuidsToAddresses(["guid1"], [address1, address2])
+            ).to.be.revertedWith("guids and addrs length mismatch");
+        });
+
+        it("should not allow non-registrars to set mappings", async function () {
+            await expect(
+                userBank.connect(addr1).setProjectGuidsToAddresses(["guid1"], [address1])
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount")
+                .withArgs(addr1.address, await userBank.REGISTRAR_ROLE());
+        });
+    });
+
+    describe("reverse lookup and enumeration", function () {
+        beforeEach(async function () {
+            await userBank.setProjectGuidsToAddresses(["guidA", "guidB", "guidA"], [address1, address2, address3]);
+        });
+
+        it("should return every address mapped to a guid", async function () {
+            expect(await userBank.getAddressesForGuid("guidA")).to.deep.equal([address1, address3]);
+            expect(await userBank.getAddressesForGuid("guidB")).to.deep.equal([address2]);
+            expect(await userBank.getAddressesForGuid("unknown")).to.deep.equal([]);
+        });
+
+        it("should count mappings", async function () {
+            expect(await userBank.getMappingCount()).to.equal(3);
+        });
+
+        it("should paginate mappings", async function () {
+            const [addrs, guids] = await userBank.getMappings(1, 5);
+            expect(addrs).to.deep.equal([address2, address3]);
+            expect(guids).to.deep.equal(["guidB", "guidA"]);
+
+            const [empty] = await userBank.getMappings(10, 5);
+            expect(empty).to.deep.equal([]);
+        });
+
+        it("should move an address between guids when it is remapped", async function () {
+            await userBank.setProjectGuidToAddress("guidB", address1);
+
+            expect(await userBank.getAddressesForGuid("guidA")).to.deep.equal([address3]);
+            expect(await userBank.getAddressesForGuid("guidB")).to.deep.equal([address2, address1]);
+            expect(await userBank.getMappingCount()).to.equal(3);
+        });
+
+        it("should remove a mapping from every index", async function () {
+            await userBank.removeProjectGuid(address1);
+
+            expect(await userBank.getProjectGuid(address1)).to.equal("");
+            expect(await userBank.getAddressesForGuid("guidA")).to.deep.equal([address3]);
+            expect(await userBank.getMappingCount()).to.equal(2);
+            const [addrs] = await userBank.getMappings(0, 10);
+            expect([...addrs]).to.have.members([address2, address3]);
+        });
+
+        it("should reject removing an unmapped address", async function () {
+            await expect(userBank.removeProjectGuid(addr1.address)).to.be.revertedWith("Address is not mapped");
+        });
+
+        it("should not allow non-registrars to remove mappings", async function () {
+            await expect(
+                userBank.connect(addr1).removeProjectGuid(address1)
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("upgrade from V1", function () {
+        let proxy, upgraded, lowercase, checksummed;
+
+        beforeEach(async function () {
+            lowercase = "0xabcdef0123456789abcdef0123456789abcdef01";
+            checksummed = ethers.getAddress("0xfedcba9876543210fedcba9876543210fedcba98");
+            const UserBankV1 = await ethers.getContractFactory("UserBankV1");
+            proxy = await upgrades.deployProxy(UserBankV1, [], { initializer: "initialize", kind: "uups" });
+            await proxy.setProjectGuidToAddress("guidA", lowercase);
+            await proxy.setProjectGuidToAddress("guidB", checksummed);
+            await proxy.setProjectGuidToAddress("guidC", "not-an-address");
+            upgraded = await upgrades.upgradeProxy(proxy, UserBank, { kind: "uups", call: { fn: "initializeV2" } });
+        });
+
+        it("should pass the storage layout validation", async function () {
+            await upgrades.validateUpgrade(await ethers.getContractFactory("UserBankV1"), UserBank, { kind: "uups" });
+        });
+
+        it("should keep existing mappings readable by address after the upgrade", async function () {
+            expect(await upgraded.getProjectGuid(lowercase)).to.equal("guidA");
+            expect(await upgraded.getProjectGuid(checksummed.toLowerCase())).to.equal("guidB");
+            expect(await upgraded.getLegacyProjectGuid("not-an-address")).to.equal("guidC");
+        });
+
+        it("should hand the owner's powers over to roles", async function () {
+            for (const role of [await upgraded.DEFAULT_ADMIN_ROLE(), await upgraded.UPGRADER_ROLE(), await upgraded.REGISTRAR_ROLE(), await upgraded.PAUSER_ROLE()]) {
+                expect(await upgraded.hasRole(role, owner.address)).to.be.true;
+            }
+            expect(await upgraded.owner()).to.equal(ethers.ZeroAddress);
+            await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+        });
+
+        it("should not let anyone but the owner run initializeV2", async function () {
+            const fresh = await upgrades.deployProxy(await ethers.getContractFactory("UserBankV1"), [], { initializer: "initialize", kind: "uups" });
+            const upgradedFresh = await upgrades.upgradeProxy(fresh, UserBank, { kind: "uups" });
+
+            await expect(upgradedFresh.connect(addr1).initializeV2())
+                .to.be.revertedWithCustomError(upgradedFresh, "OwnableUnauthorizedAccount");
+        });
+
+        it("should migrate string keys to address keys", async function () {
+            await expect(upgraded.migrateLegacyMappings([lowercase, checksummed, address1]))
+                .to.emit(upgraded, "ProjectGuidSet").withArgs(ethers.getAddress(lowercase), "guidA", "", owner.address);
+
+            expect(await upgraded.getMappingCount()).to.equal(2);
+            expect(await upgraded.getAddressesForGuid("guidB")).to.deep.equal([checksummed]);
+            expect(await upgraded.getLegacyProjectGuid(lowercase)).to.equal("");
+            expect(await upgraded.getProjectGuid(lowercase)).to.equal("guidA");
+        });
+
+        it("should replace a legacy mapping when the address is set before migrating", async function () {
+            await expect(upgraded.setProjectGuidToAddress("guidNew", lowercase))
+                .to.emit(upgraded, "ProjectGuidSet").withArgs(ethers.getAddress(lowercase), "guidNew", "guidA", owner.address);
+            await upgraded.migrateLegacyMappings([lowercase]);
+
+            expect(await upgraded.getProjectGuid(lowercase)).to.equal("guidNew");
+            expect(await upgraded.getLegacyProjectGuid(lowercase)).to.equal("");
+        });
+
+        it("should not fall back to a legacy mapping once the address is removed", async function () {
+            await upgraded.setProjectGuidToAddress("guidNew", checksummed);
+            await expect(upgraded.removeProjectGuid(checksummed))
+                .to.emit(upgraded, "ProjectGuidCleared").withArgs(checksummed, "guidNew", owner.address);
+            expect(await upgraded.getProjectGuid(checksummed)).to.equal("");
+
+            await expect(upgraded.removeProjectGuid(lowercase))
+                .to.emit(upgraded, "ProjectGuidCleared").withArgs(ethers.getAddress(lowercase), "guidA", owner.address);
+            expect(await upgraded.getProjectGuid(lowercase)).to.equal("");
+            expect(await upgraded.getLegacyProjectGuid(lowercase)).to.equal("");
+            await expect(upgraded.removeProjectGuid(lowercase)).to.be.revertedWith("Address is not mapped");
+        });
+
+        it("should leave legacy keys whose address already has a GUID", async function () {
+            // Only the lowercase and checksummed spellings are replaced by later writes
+            const fresh = await upgrades.deployProxy(await ethers.getContractFactory("UserBankV1"), [], { initializer: "initialize", kind: "uups" });
+            const mixedCase = "0xABCDEF0123456789abcdef0123456789abcdef01";
+            await fresh.setProjectGuidToAddress("guidA", mixedCase);
+            const upgradedFresh = await upgrades.upgradeProxy(fresh, UserBank, { kind: "uups", call: { fn: "initializeV2" } });
+
+            await upgradedFresh.setProjectGuidToAddress("guidNew", lowercase);
+            await upgradedFresh.migrateLegacyMappings([mixedCase]);
+
+            expect(await upgradedFresh.getProjectGuid(lowercase)).to.equal("guidNew");
+            expect(await upgradedFresh.getLegacyProjectGuid(mixedCase)).to.equal("guidA");
+        });
+
+        it("should reject legacy keys that are not addresses", async function () {
+            await expect(
+                upgraded.migrateLegacyMappings(["not-an-address"])
+            ).to.be.revertedWith("Invalid legacy address");
+        });
+
+        it("should not allow non-registrars to migrate", async function () {
+            await expect(
+                upgraded.connect(addr1).migrateLegacyMappings([lowercase])
+            ).to.be.revertedWithCustomError(upgraded, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should not allow non-owner to upgrade the V1 proxy", async function () {
+            const fresh = await upgrades.deployProxy(await ethers.getContractFactory("UserBankV1"), [], { initializer: "initialize", kind: "uups" });
+            await expect(
+                upgrades.upgradeProxy(fresh, UserBank.connect(addr1), { kind: "uups" })
+            ).to.be.revertedWithCustomError(fresh, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("roles", function () {
+        let registrar, pauser, REGISTRAR_ROLE, PAUSER_ROLE, UPGRADER_ROLE;
+
+        beforeEach(async function () {
+            [, , registrar, pauser] = await ethers.getSigners();
+            [REGISTRAR_ROLE, PAUSER_ROLE, UPGRADER_ROLE] = [await userBank.REGISTRAR_ROLE(), await userBank.PAUSER_ROLE(), await userBank.UPGRADER_ROLE()];
+            await userBank.grantRole(REGISTRAR_ROLE, registrar.address);
+            await userBank.grantRole(PAUSER_ROLE, pauser.address);
+        });
+
+        it("should grant every role to the deployer", async function () {
+            expect(await userBank.hasRole(await userBank.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await userBank.hasRole(UPGRADER_ROLE, owner.address)).to.be.true;
+            expect(await userBank.hasRole(REGISTRAR_ROLE, owner.address)).to.be.true;
+            expect(await userBank.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+        });
+
+        it("should let a registrar set mappings", async function () {
+            await expect(userBank.connect(registrar).setProjectGuidToAddress("guid1", address1))
+                .to.emit(userBank, "ProjectGuidSet").withArgs(address1, "guid1", "", registrar.address);
+        });
+
+        it("should not let a registrar upgrade the contract", async function () {
+            await expect(
+                upgrades.upgradeProxy(userBank, UserBank.connect(registrar), { kind: "uups" })
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount")
+                .withArgs(registrar.address, UPGRADER_ROLE);
+
+            const implementation = await upgrades.deployImplementation(UserBank, { kind: "uups" });
+            await expect(
+                userBank.connect(registrar).upgradeToAndCall(implementation, "0x")
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should not let a registrar grant roles", async function () {
+            await expect(
+                userBank.connect(registrar).grantRole(UPGRADER_ROLE, registrar.address)
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should let an upgrader upgrade the contract", async function () {
+            await userBank.grantRole(UPGRADER_ROLE, addr1.address);
+            await upgrades.upgradeProxy(userBank, UserBank.connect(addr1), { kind: "uups" });
+        });
+
+        it("should stop writes while paused", async function () {
+            await userBank.connect(pauser).pause();
+
+            await expect(
+                userBank.connect(registrar).setProjectGuidToAddress("guid1", address1)
+            ).to.be.revertedWithCustomError(userBank, "EnforcedPause");
+            expect(await userBank.getProjectGuid(address1)).to.equal("");
+
+            await userBank.connect(pauser).unpause();
+            await userBank.connect(registrar).setProjectGuidToAddress("guid1", address1);
+            expect(await userBank.getProjectGuid(address1)).to.equal("guid1");
+        });
+
+        it("should not let a registrar pause", async function () {
+            await expect(userBank.connect(registrar).pause())
+                .to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount");
+        });
+
+        it("should remove access when a role is revoked", async function () {
+            await userBank.revokeRole(REGISTRAR_ROLE, registrar.address);
+
+            await expect(
+                userBank.connect(registrar).setProjectGuidToAddress("guid1", address1)
+            ).to.be.revertedWithCustomError(userBank, "AccessControlUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MembershipClient, SdkError, signVoucher, verifyVoucher, getVoucherDomain, normalizeVoucher } = require("../sdk");
+
+describe("Mint vouchers", function () {
+    let owner, user1, user2, relayer;
+
+    beforeEach(async function () {
+        [owner, user1, user2, relayer] = await ethers.getSigners();
+    });
+
+    describe("RevokableMembershipNFT", function () {
+        let memberships, client;
+
+        beforeEach(async function () {
+            memberships = await ethers.deployContract("RevokableMembershipNFT", ["Test Membership", "TM"]);
+            client = new MembershipClient(memberships);
+        });
+
+        it("Should expose its EIP-712 domain", async function () {
+            expect(await getVoucherDomain(memberships)).to.deep.equal({
+                name: "Test Membership",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: memberships.target,
+            });
+        });
+
+        it("Should let anyone redeem an owner-signed voucher", async function () {
+            const signed = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", transferable: true, nonce: 7 });
+            expect(await client.verifyVoucher(signed)).to.include({ signer: owner.address, valid: true, used: false });
+
+            const minted = await new MembershipClient(memberships.connect(relayer)).redeemVoucher(signed);
+            expect(minted).to.include({ tokenId: 1n, projectId: 1n, user: user1.address, membershipType: "vip", transferable: true });
+            expect(await memberships.isVoucherNonceUsed(owner.address, 7)).to.be.true;
+            // The signer, not the relayer, becomes the holder's operator
+            expect(await memberships.isApprovedForAll(user1.address, owner.address)).to.be.true;
+            expect(await memberships.isApprovedForAll(user1.address, relayer.address)).to.be.false;
+        });
+
+        it("Should emit VoucherRedeemed with the signer, nonce and redeemer", async function () {
+            const { voucher, signature } = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", nonce: 1 });
+
+            await expect(memberships.connect(relayer).redeemVoucher(voucher, signature))
+                .to.emit(memberships, "VoucherRedeemed").withArgs(owner.address, 1, relayer.address)
+                .and.to.emit(memberships, "MembershipMinted");
+        });
+
+        it("Should reject replayed, expired and cancelled vouchers", async function () {
+            const signed = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", nonce: 1 });
+            await memberships.connect(relayer).redeemVoucher(signed.voucher, signed.signature);
+            await expect(memberships.connect(relayer).redeemVoucher(signed.voucher, signed.signature)).to.be.revertedWith("Voucher nonce already used");
+            expect(await client.verifyVoucher(signed)).to.include({ valid: false, used: true });
+
+            const deadline = (await time.latest()) + 60;
+            const expiring = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", nonce: 2, deadline });
+            await time.increaseTo(deadline + 1);
+            await expect(memberships.redeemVoucher(expiring.voucher, expiring.signature)).to.be.revertedWith("Voucher expired");
+            expect(await client.verifyVoucher(expiring)).to.include({ valid: false, expired: true });
+
+            const cancelled = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", nonce: 3 });
+            await expect(memberships.cancelVoucher(3)).to.emit(memberships, "VoucherCancelled").withArgs(owner.address, 3);
+            await expect(memberships.redeemVoucher(cancelled.voucher, cancelled.signature)).to.be.revertedWith("Voucher nonce already used");
+        });
+
+        it("Should reject vouchers whose fields were changed after signing", async function () {
+            const { voucher, signature } = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", nonce: 1 });
+
+            // The recovered signer is then some unrelated account, which may not mint
+            await expect(memberships.redeemVoucher({ ...voucher, to: user2.address }, signature)).to.be.revertedWith("Caller is not an admin");
+        });
+
+        it("Should apply the signer's project permissions", async function () {
+            await memberships.setProjectPermissions(1, user1.address, await memberships.PERMISSION_MINT());
+            const scoped = new MembershipClient(memberships.connect(user1));
+
+            const inProject = await scoped.signVoucher({ projectId: 1, to: user2.address, membershipType: "vip" });
+            expect((await client.redeemVoucher(inProject)).user).to.equal(user2.address);
+            // Project-scoped minters are not made operators, as with mint
+            expect(await memberships.isApprovedForAll(user2.address, user1.address)).to.be.false;
+
+            const otherProject = await scoped.signVoucher({ projectId: 2, to: user2.address, membershipType: "vip" });
+            expect(await client.verifyVoucher(otherProject)).to.include({ signer: user1.address, valid: false, authorized: false });
+            await expect(client.redeemVoucher(otherProject)).to.be.rejectedWith("Caller is not an admin");
+
+            const admin = await scoped.signVoucher({ projectId: 1, to: user2.address, membershipType: "write:admin" });
+            expect(await client.verifyVoucher(admin)).to.include({ authorized: false });
+        });
+
+        it("Should accept vouchers read back from JSON", async function () {
+            const signed = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip" });
+            const parsed = JSON.parse(JSON.stringify(signed, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+
+            expect(await client.verifyVoucher(parsed)).to.include({ valid: true });
+            expect((await client.redeemVoucher(parsed)).user).to.equal(user1.address);
+        });
+
+        it("Should validate voucher fields before signing", async function () {
+            await expect(client.signVoucher({ projectId: 1, to: "0x1234", membershipType: "vip" })).to.be.rejectedWith(SdkError, "Invalid to");
+            await expect(client.signVoucher({ projectId: -1, to: user1.address, membershipType: "vip" }))
+                .to.be.rejectedWith(SdkError, "projectId must be a non-negative integer");
+            await expect(signVoucher(owner, memberships, "UserBank", {})).to.be.rejectedWith(SdkError, "Unknown voucher contract: UserBank");
+            await expect(signVoucher(owner, memberships, "constructor", {})).to.be.rejectedWith(SdkError, "Unknown voucher contract: constructor");
+        });
+
+        it("Should reject deadlines that never expire", async function () {
+            await expect(client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip", deadline: "never" }))
+                .to.be.rejectedWith(SdkError, "a voucher cannot be valid forever");
+            const signed = await client.signVoucher({ projectId: 1, to: user1.address, membershipType: "vip" });
+            await expect(client.verifyVoucher({ ...signed, voucher: { ...signed.voucher, deadline: null } }))
+                .to.be.rejectedWith(SdkError, "a voucher cannot be valid forever")
+                .and.eventually.have.property("code", "INVALID_ARGUMENT");
+        });
+
+        it("Should parse boolean fields strictly", function () {
+            const fields = { projectId: 1, to: user1.address, membershipType: "vip", nonce: 1, deadline: 2000000000 };
+
+            expect(normalizeVoucher("RevokableMembershipNFT", { ...fields, transferable: "TRUE" }).transferable).to.be.true;
+            expect(normalizeVoucher("RevokableMembershipNFT", { ...fields, transferable: "1" }).transferable).to.be.true;
+            expect(normalizeVoucher("RevokableMembershipNFT", { ...fields, transferable: "no" }).transferable).to.be.false;
+            expect(() => normalizeVoucher("RevokableMembershipNFT", { ...fields, transferable: "maybe" }))
+                .to.throw(SdkError, "transferable must be true or false, got maybe");
+        });
+    });
+
+    describe("SimpleERC1155", function () {
+        let erc1155;
+
+        beforeEach(async function () {
+            erc1155 = await ethers.deployContract("SimpleERC1155", ["https://example.com/api/{id}.json"]);
+        });
+
+        it("Should mint non-transferable tokens from an owner-signed voucher", async function () {
+            const expiration = (await time.latest()) + 3600;
+            const signed = await signVoucher(owner, erc1155, "SimpleERC1155", { to: user1.address, id: 1, amount: 3, expiration, transferable: false });
+            expect((await verifyVoucher(erc1155, signed)).valid).to.be.true;
+
+            await expect(erc1155.connect(relayer).redeemVoucher(signed.voucher, signed.signature))
+                .to.emit(erc1155, "ERC1155Minted").withArgs(user1.address, 1, 3, expiration, false, "https://example.com/api/{id}.json", "0x");
+            expect(await erc1155.balanceOf(user1.address, 1)).to.equal(3);
+            await expect(erc1155.connect(user1).safeTransferFrom(user1.address, user2.address, 1, 1, "0x")).to.be.revertedWith("token id 1 is non-transferable");
+        });
+
+        it("Should only accept vouchers signed by the owner", async function () {
+            const signed = await signVoucher(user1, erc1155, "SimpleERC1155", { to: user1.address, id: 1, amount: 3 });
+
+            expect(await verifyVoucher(erc1155, signed)).to.include({ signer: user1.address, authorized: false, valid: false });
+            await expect(erc1155.redeemVoucher(signed.voucher, signed.signature)).to.be.revertedWith("Voucher signer is not the owner");
+        });
+    });
+
+    describe("BasicNFT", function () {
+        it("Should mint from an owner-signed voucher", async function () {
+            const nft = await ethers.deployContract("BasicNFT", ["BasicNFT", "BNFT", "https://example.com/metadata/"]);
+            const signed = await signVoucher(owner, nft, "BasicNFT", { to: user1.address, expiration: 0 });
+
+            await expect(nft.connect(relayer).redeemVoucher(signed.voucher, signed.signature)).to.emit(nft, "NftMinted").withArgs(0, user1.address, 0);
+            expect(await nft.ownerOf(0)).to.equal(user1.address);
+
+            const forged = await signVoucher(user1, nft, "BasicNFT", { to: user1.address, expiration: 0 });
+            await expect(nft.redeemVoucher(forged.voucher, forged.signature)).to.be.revertedWith("Voucher signer is not the owner");
+        });
+    });
+
+    describe("SimpleERC20", function () {
+        it("Should mint from an owner-signed voucher once", async function () {
+            const token = await ethers.deployContract("SimpleERC20", ["Test", "TST"]);
+            const signed = await signVoucher(owner, token, "SimpleERC20", { to: user1.address, amount: ethers.parseEther("5") });
+
+            await token.connect(relayer).redeemVoucher(signed.voucher, signed.signature);
+            expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("5"));
+            await expect(token.connect(relayer).redeemVoucher(signed.voucher, signed.signature)).to.be.revertedWith("Voucher nonce already used");
+        });
+
+        it("Should not accept a voucher signed for another contract", async function () {
+            const token = await ethers.deployContract("SimpleERC20", ["Test", "TST"]);
+            const other = await ethers.deployContract("SimpleERC20", ["Test", "TST"]);
+            const signed = await signVoucher(owner, other, "SimpleERC20", { to: user1.address, amount: 1 });
+
+            await expect(token.redeemVoucher(signed.voucher, signed.signature)).to.be.revertedWith("Voucher signer is not the owner");
+        });
+    });
+});